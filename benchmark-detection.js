@@ -0,0 +1,110 @@
+/**
+ * Window Detection Benchmark
+ *
+ * Times windowDetector on long ranges of deterministic 5 second ticks: one market over
+ * the full range (detectWindows) and 15 minute markets over the same range
+ * (detectWindowsByMarket, as backtests run), with the 36 month projection.
+ * Identical output to the linear-scan pipeline it replaced is checked by test-detection.js.
+ *
+ * Usage: node benchmark-detection.js [--days 30]
+ */
+
+import { performance } from 'perf_hooks';
+import windowDetector from './server/services/window-detector.js';
+import { createRandom } from './server/services/monte-carlo.js';
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const START = 1700000100;
+const DAY_SECONDS = 86400;
+const MAX_RUNTIME_MINUTES = 20; // backtest-processor.js
+const PROJECTED_DAYS = 36 * 30;
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  const value = index >= 0 ? Number(process.argv[index + 1]) : fallback;
+  if (!(value > 0)) {
+    throw new Error(`--${name} must be a positive number of days`);
+  }
+  return value;
+}
+
+/**
+ * Both legs every 5 seconds with ±2 seconds of jitter - UP walks slowly, the combined mid
+ * sits at 1.02 with roughly one dislocation below 1.00 an hour, occasional gaps and stale pairs
+ * @param {Function} marketOf - (timestamp) => market_id
+ */
+function generateSnapshots(days, marketOf, seed = 1) {
+  const random = createRandom(seed);
+  const snapshots = [];
+  let dislocationTicks = 0;
+  let up = 0.5;
+
+  for (let time = START; time < START + days * DAY_SECONDS; time += 5) {
+    if (dislocationTicks === 0 && random() < 1 / 720) {
+      dislocationTicks = 6 + Math.floor(random() * 18);
+    }
+    const combinedMid = dislocationTicks > 0 ? 0.97 : 1.02;
+    if (dislocationTicks > 0) dislocationTicks--;
+    if (random() < 0.002) continue; // gap
+
+    up = Math.min(0.8, Math.max(0.2, up + (random() - 0.5) * 0.004));
+    const stale = random() < 0.001;
+    [up, combinedMid - up].forEach((mid, index) => {
+      const jitter = stale ? (index === 0 ? -2 : 4) : Math.floor(random() * 5) - 2;
+      snapshots.push({
+        market_id: marketOf(time),
+        timestamp: time + jitter,
+        outcome_index: index,
+        mid,
+        last: mid
+      });
+    });
+  }
+  return snapshots;
+}
+
+function time(fn) {
+  const started = performance.now();
+  const result = fn();
+  return { result, seconds: (performance.now() - started) / 1000 };
+}
+
+function report(label, days, snapshotCount, { result, seconds }) {
+  const projectedMinutes = (seconds * PROJECTED_DAYS / days) / 60;
+  log(`  ${label}: ${seconds.toFixed(2)}s for ${snapshotCount} snapshots, ${result.windows.length} windows`);
+  log(`    36 months at this rate: ~${projectedMinutes.toFixed(1)} min (backtest limit ${MAX_RUNTIME_MINUTES} min)`,
+    projectedMinutes < MAX_RUNTIME_MINUTES ? 'green' : 'red');
+}
+
+function run() {
+  const days = option('days', 30);
+
+  log(`\nTiming (${days} days)`, 'cyan');
+  const end = START + days * DAY_SECONDS;
+  let snapshots = generateSnapshots(days, () => 'bench-market');
+  report('one market (detectWindows)', days, snapshots.length, time(() => windowDetector.detectWindows(snapshots, START, end)));
+
+  snapshots = null; // let the first set go before building the second
+  snapshots = generateSnapshots(days, timestamp => `bench-${Math.floor((timestamp - START) / 900)}`);
+  report('15 minute markets (detectWindowsByMarket)', days, snapshots.length, time(() => windowDetector.detectWindowsByMarket(snapshots, START, end)));
+
+  log(`\nHeap used: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(0)} MB`);
+}
+
+try {
+  run();
+} catch (error) {
+  log(`✗ ${error.message}`, 'red');
+  console.error(error);
+  process.exit(1);
+}
@@ -0,0 +1,191 @@
+/**
+ * Golden-file cases for test-golden.js
+ *
+ * Each case is a fixed snapshot set run through detection, simulation and the final
+ * metrics; its expected output is committed next to this file as <name>.json.
+ * Hand-built cases keep one behaviour each small enough to read in the golden file.
+ * The synthetic case comes from the seeded generator, so the golden file records an
+ * input fingerprint - a generator change shows up there, not as a detector regression.
+ */
+
+import { createOutcome } from '../lib/data-mappers.js';
+
+export const START = 1700000100; // aligned to a 15 minute boundary
+const MARKET_SECONDS = 900;
+const TICK_SECONDS = 5;
+
+/**
+ * A 15 minute market row, fee free and resolved to UP unless overridden
+ */
+function market(marketId, start, overrides = {}) {
+  return {
+    market_id: marketId,
+    start_time: start,
+    end_time: start + MARKET_SECONDS,
+    fee_regime: 'fee_free',
+    maker_fee_bps: 0,
+    taker_fee_bps: 0,
+    resolution_status: 'resolved',
+    winning_outcome: 0,
+    resolved_time: start + MARKET_SECONDS,
+    ...overrides
+  };
+}
+
+/**
+ * Ticks for both legs of a market every 5 seconds
+ * @param {Function} quote - (offsetSeconds) => [up, down], where each leg is a mid, an object of
+ *   snapshot fields (mid, best_ask, asks...) or null for no tick
+ */
+function ticks(marketId, start, quote, { from = 0, to = MARKET_SECONDS } = {}) {
+  const snapshots = [];
+  for (let offset = from; offset < to; offset += TICK_SECONDS) {
+    quote(offset).forEach((leg, index) => {
+      if (leg === null) return;
+      const fields = typeof leg === 'number' ? { mid: leg } : leg;
+      snapshots.push({
+        market_id: marketId,
+        timestamp: start + offset,
+        ...createOutcome(index, { 0: 'UP', 1: 'DOWN' }),
+        last: fields.mid,
+        is_tradable: 1,
+        ...fields
+      });
+    });
+  }
+  return snapshots;
+}
+
+const inside = (offset, from, to) => offset >= from && offset <= to;
+
+export const GOLDEN_CASES = [
+  {
+    name: 'clean-window',
+    description: 'One dislocation below 1.00 in an otherwise overpriced market, filled and held to resolution',
+    tradeSize: 100,
+    params: {},
+    build() {
+      return {
+        markets: [market('golden-clean', START)],
+        snapshots: ticks('golden-clean', START, offset => [
+          0.52,
+          inside(offset, 300, 360) ? 0.45 - (offset - 300) / 6000 : 0.50
+        ])
+      };
+    }
+  },
+  {
+    name: 'gaps-and-missing-legs',
+    description: 'A gap and a missing leg split windows; windows under minTickCount are dropped',
+    tradeSize: 100,
+    params: {},
+    build() {
+      return {
+        markets: [market('golden-gaps', START, { winning_outcome: 1 })],
+        snapshots: ticks('golden-gaps', START, offset => {
+          if (offset >= 140 && offset < 160) return [null, null]; // gap in both legs
+          if (offset >= 420 && offset < 450) return [0.48, null]; // DOWN stops trading
+          const dislocated = inside(offset, 100, 200) || inside(offset, 400, 460)
+            || inside(offset, 700, 710) || inside(offset, 800, 805);
+          return [0.48, dislocated ? 0.49 : 0.53];
+        })
+      };
+    }
+  },
+  {
+    name: 'fees-and-exits',
+    description: 'Curve and flat fee markets under a bid-threshold exit; the unresolved market never reaches the threshold',
+    tradeSize: 200,
+    params: { exitPolicy: 'bid_threshold', exitBidThreshold: 1.0 },
+    build() {
+      const curveStart = START;
+      const flatStart = START + MARKET_SECONDS;
+      return {
+        markets: [
+          market('golden-curve', curveStart, { fee_regime: 'price_curve', winning_outcome: 1 }),
+          market('golden-flat', flatStart, {
+            fee_regime: 'flat',
+            maker_fee_bps: 0,
+            taker_fee_bps: 100,
+            resolution_status: null,
+            winning_outcome: null,
+            resolved_time: null
+          })
+        ],
+        snapshots: [
+          ...ticks('golden-curve', curveStart, offset => [0.30, inside(offset, 200, 260) ? 0.65 : 0.72]),
+          ...ticks('golden-flat', flatStart, offset => [0.61, inside(offset, 100, 150) ? 0.36 : 0.393])
+        ]
+      };
+    }
+  },
+  {
+    name: 'hedge-risk',
+    description: 'A delayed second leg misses its price and is unwound; Monte Carlo spreads latency and fills',
+    tradeSize: 100,
+    params: {
+      legDelaySeconds: 10,
+      unwindPolicy: 'unwind',
+      monteCarloIterations: 25,
+      monteCarloSeed: 7,
+      latencyDistribution: 'uniform',
+      latencyJitterSeconds: 5,
+      fillProbability: 0.9
+    },
+    build() {
+      return {
+        markets: [market('golden-hedge', START)],
+        snapshots: ticks('golden-hedge', START, offset => {
+          // DOWN reprices upward 10 seconds into the first window
+          if (inside(offset, 200, 205)) return [0.47, 0.50];
+          if (inside(offset, 210, 240)) return [0.45, 0.52];
+          if (inside(offset, 600, 660)) return [0.47, 0.50];
+          return [0.52, 0.50];
+        })
+      };
+    }
+  },
+  {
+    name: 'book-depth',
+    description: 'Recorded order books (priceSource book) too thin for the trade size give a partial fill',
+    tradeSize: 100,
+    params: { priceSource: 'book' },
+    build() {
+      const book = (bid, asks) => ({
+        mid: (bid + asks[0].price) / 2,
+        best_bid: bid,
+        best_ask: asks[0].price,
+        asks
+      });
+      return {
+        markets: [market('golden-book', START)],
+        snapshots: ticks('golden-book', START, offset => inside(offset, 300, 340)
+          ? [
+            book(0.46, [{ price: 0.47, size: 40 }, { price: 0.48, size: 30 }]),
+            book(0.49, [{ price: 0.50, size: 50 }, { price: 0.52, size: 100 }])
+          ]
+          : [
+            book(0.50, [{ price: 0.52, size: 500 }]),
+            book(0.48, [{ price: 0.50, size: 500 }])
+          ])
+      };
+    }
+  },
+  {
+    name: 'synthetic-6h',
+    description: 'Six hours of seeded synthetic 15 minute markets with gaps, stale legs and halts',
+    tradeSize: 50,
+    params: {},
+    build({ generator }) {
+      const { markets, snapshots } = generator.generate({
+        seed: 2024,
+        startTime: START,
+        durationHours: 6,
+        gapsPerHour: 1,
+        staleLegsPerHour: 1,
+        haltsPerHour: 1
+      });
+      return { markets, snapshots };
+    }
+  }
+];
@@ -9,6 +9,7 @@
 
 import { GraphQLClient } from 'graphql-request';
 import dotenv from 'dotenv';
+import dataProvider from './data-provider.js';
 
 dotenv.config();
 
@@ -78,12 +79,15 @@ class BitqueryClient {
   }
 
   async executeQuery(query, variables = {}, retryCount = 0) {
-    await this.checkRateLimit();
+    // Replayed fixtures cost no quota
+    if (!dataProvider.isOffline) {
+      await this.checkRateLimit();
+    }
 
     this.stats.totalRequests++;
 
     try {
-      const data = await this.client.request(query, variables);
+      const data = await dataProvider.graphql('bitquery', query, variables, () => this.client.request(query, variables));
       this.stats.successfulRequests++;
       this.stats.lastSuccessfulRequest = new Date().toISOString();
       return data;
@@ -17,6 +17,11 @@ const USDC_DECIMALS = 1000000;
  */
 const BUCKET_SIZE = 5;
 
+/**
+ * Outcome index for each side label - token 0 is the first outcome (YES/UP), token 1 the second (NO/DOWN)
+ */
+const OUTCOME_INDEX_BY_LABEL = { YES: 0, UP: 0, NO: 1, DOWN: 1 };
+
 /**
  * Calculate price from OrderFilled event
  *
@@ -124,6 +129,8 @@ export function determineSide(tokenIdStr, tokenMapping = {}) {
  *   market_id: string,
  *   timestamp: number (Unix seconds),
  *   side: 'UP'|'DOWN'|'YES'|'NO',
+ *   outcome_index: 0|1,
+ *   outcome_label: same as side,
  *   mid: number (price),
  *   last: number (price),
  *   is_tradable: 1
@@ -187,6 +194,8 @@ export function transformOrderFilledToSnapshot(event, conditionId, tokenMapping
       market_id: conditionId,
       timestamp,
       side,
+      outcome_index: resolveOutcomeIndex(side),
+      outcome_label: side,
       mid: price,
       last: price,
       is_tradable: 1,
@@ -249,6 +258,8 @@ export function aggregateOrderFilledEvents(events, conditionId, tokenMapping = {
         market_id: snapshot.market_id,
         timestamp: snapshot.timestamp,
         side: snapshot.side,
+        outcome_index: snapshot.outcome_index,
+        outcome_label: snapshot.outcome_label,
         prices: [],
         is_tradable: 1,
       });
@@ -282,6 +293,8 @@ export function aggregateOrderFilledEvents(events, conditionId, tokenMapping = {
       market_id: bucket.market_id,
       timestamp: bucket.timestamp,
       side: bucket.side,
+      outcome_index: bucket.outcome_index,
+      outcome_label: bucket.outcome_label,
       mid: avgPrice,
       last: bucket.prices[bucket.prices.length - 1], // Use last price in bucket
       is_tradable: bucket.is_tradable,
@@ -440,6 +453,42 @@ export function createTokenMapping(conditionId, marketQuestion) {
   };
 }
 
+/**
+ * Resolve a side label to its outcome index
+ *
+ * @param {string} label - 'YES' | 'NO' | 'UP' | 'DOWN' (case-insensitive)
+ * @returns {number|null} 0, 1, or null for an unknown label
+ */
+export function resolveOutcomeIndex(label) {
+  const index = OUTCOME_INDEX_BY_LABEL[String(label || '').toUpperCase()];
+  return index === undefined ? null : index;
+}
+
+/**
+ * Get a snapshot's outcome index, falling back to its side label
+ * (rows written before outcome_index existed only carry the label)
+ *
+ * @param {object} snapshot - Snapshot record
+ * @returns {number|null} 0, 1, or null
+ */
+export function getOutcomeIndex(snapshot) {
+  return Number.isInteger(snapshot.outcome_index)
+    ? snapshot.outcome_index
+    : resolveOutcomeIndex(snapshot.side);
+}
+
+/**
+ * Build a snapshot's outcome fields from the market's token mapping
+ *
+ * @param {number} outcomeIndex - 0 or 1
+ * @param {object} tokenMapping - Map of outcome index -> label (see createTokenMapping)
+ * @returns {object} { outcome_index, outcome_label, side } - side mirrors the label for older readers
+ */
+export function createOutcome(outcomeIndex, tokenMapping = {}) {
+  const label = tokenMapping[String(outcomeIndex)] || (outcomeIndex === 0 ? 'YES' : 'NO');
+  return { outcome_index: outcomeIndex, outcome_label: label, side: label };
+}
+
 export default {
   calculatePriceFromOrderFilled,
   roundTimestampToBucket,
@@ -452,5 +501,8 @@ export default {
   isUpDownMarket,
   extractTimeframe,
   createTokenMapping,
+  resolveOutcomeIndex,
+  getOutcomeIndex,
+  createOutcome,
   BUCKET_SIZE,
 };
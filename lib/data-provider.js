@@ -0,0 +1,178 @@
+/**
+ * Data Provider
+ *
+ * Transport for every external data request (Gamma, CLOB and Bitquery), so
+ * downloads and backtests can run offline against recorded responses.
+ *
+ * Modes (DATA_PROVIDER env var, else `dataProvider` in data/settings.json):
+ * - live: requests go to the real APIs
+ * - record: live, and each response is saved as a fixture
+ * - fixture: responses are read from fixtures only - no network access
+ *
+ * Fixtures live in DATA_FIXTURE_DIR (default ./fixtures), one JSON file per
+ * request at <service>/<key>.json, keyed by the request path and parameters
+ * (never the host, so a mock server and the real API share fixtures).
+ * manifest.json records when the fixtures were captured; recording and replay
+ * run on that clock so relative periods ("7d") resolve to the recorded range.
+ * Delete the directory to record a fresh set.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const DATA_PROVIDERS = ['live', 'record', 'fixture'];
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SETTINGS_FILE = path.join(ROOT_DIR, 'data', 'settings.json');
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Stable JSON (sorted object keys) so equal requests always produce the same key
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class DataProvider {
+  /**
+   * Active mode, read per request so a settings change applies without a restart
+   */
+  get mode() {
+    const mode = process.env.DATA_PROVIDER || this.readSettings().dataProvider || 'live';
+    if (!DATA_PROVIDERS.includes(mode)) {
+      throw new Error(`Unknown data provider "${mode}" - expected one of: ${DATA_PROVIDERS.join(', ')}`);
+    }
+    return mode;
+  }
+
+  /**
+   * Fixture directory (read per request so tests can point it elsewhere)
+   */
+  get fixtureDir() {
+    return process.env.DATA_FIXTURE_DIR || path.join(ROOT_DIR, 'fixtures');
+  }
+
+  get isOffline() {
+    return this.mode === 'fixture';
+  }
+
+  /**
+   * HTTP GET returning the response body
+   * @param {string} service - Fixture namespace ('gamma' or 'clob')
+   * @param {Object} client - axios instance used for live requests
+   * @param {string} url - Full request URL
+   * @param {Object} params - Query parameters
+   * @returns {Promise<any>} Response body
+   */
+  async get(service, client, url, params = {}) {
+    const request = { path: new URL(url).pathname, params };
+    return this.resolve(service, request, async () => (await client.get(url, { params })).data);
+  }
+
+  /**
+   * GraphQL query returning the response data
+   * @param {string} service - Fixture namespace ('bitquery')
+   * @param {string} query - GraphQL document
+   * @param {Object} variables - Query variables
+   * @param {Function} execute - () => Promise of the live response data
+   */
+  async graphql(service, query, variables, execute) {
+    // Whitespace in the document does not change the request
+    const request = { query: query.replace(/\s+/g, ' ').trim(), variables };
+    return this.resolve(service, request, execute);
+  }
+
+  /**
+   * Current time in unix seconds, used to resolve relative periods
+   * A fixture set has one clock: the first recording stamps it in the manifest, and
+   * later recordings into the same set and fixture replays run on it, so every
+   * period resolves to the same range (and the same requests)
+   */
+  now() {
+    const mode = this.mode;
+    if (mode === 'live') return Math.floor(Date.now() / 1000);
+
+    const manifest = this.readManifest();
+    if (manifest?.recordedAt) return manifest.recordedAt;
+
+    const recordedAt = Math.floor(Date.now() / 1000);
+    if (mode === 'record') this.writeManifest({ recordedAt });
+    return recordedAt;
+  }
+
+  /**
+   * Serve a request according to the active mode
+   */
+  async resolve(service, request, execute) {
+    const mode = this.mode;
+    const file = this.fixturePath(service, request);
+
+    if (mode === 'fixture') {
+      if (!fs.existsSync(file)) {
+        const error = new Error(`No ${service} fixture for ${stableStringify(request).slice(0, 200)} (expected ${file})`);
+        error.code = 'FIXTURE_MISSING';
+        console.warn(`[DataProvider] ${error.message}`);
+        throw error;
+      }
+      return JSON.parse(fs.readFileSync(file, 'utf-8')).response;
+    }
+
+    const response = await execute();
+    if (mode === 'record') {
+      this.writeFixture(file, { service, request, response });
+    }
+    return response;
+  }
+
+  /**
+   * Fixture file for a request
+   */
+  fixturePath(service, request) {
+    const key = crypto.createHash('sha1').update(stableStringify(request)).digest('hex');
+    return path.join(this.fixtureDir, service, `${key}.json`);
+  }
+
+  /**
+   * Save a recorded response (the first one also stamps the clock, see now())
+   */
+  writeFixture(file, fixture) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+    this.now();
+  }
+
+  writeManifest(manifest) {
+    fs.mkdirSync(this.fixtureDir, { recursive: true });
+    fs.writeFileSync(path.join(this.fixtureDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  }
+
+  readManifest() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.fixtureDir, MANIFEST_FILE), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  readSettings() {
+    try {
+      return JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+}
+
+const dataProvider = new DataProvider();
+export default dataProvider;
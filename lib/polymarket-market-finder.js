@@ -10,6 +10,7 @@
 
 import axios from 'axios';
 import bitqueryClient from './bitquery-client.js';
+import dataProvider from './data-provider.js';
 import {
   isBitcoinMarket,
   isUpDownMarket,
@@ -17,7 +18,7 @@ import {
   createTokenMapping,
 } from './data-mappers.js';
 
-const GAMMA_API_BASE = 'https://gamma-api.polymarket.com';
+const GAMMA_API_BASE = process.env.GAMMA_API_BASE || 'https://gamma-api.polymarket.com';
 
 const ASSET_KEYWORDS = {
   BTC: [/\bbitcoin\b/i, /\bbtc\b/i, /\$btc/i],
@@ -38,10 +39,8 @@ async function fetchGammaMarkets(asset, startTime) {
   const fetchBatch = async (params, label) => {
     const markets = [];
     for (let offset = 0; offset < MAX_GAMMA_PAGES * 100; offset += 100) {
-      const response = await client.get(`${GAMMA_API_BASE}/markets`, {
-        params: { limit: 100, offset, ...params },
-      });
-      const batch = response.data || [];
+      const data = await dataProvider.get('gamma', client, `${GAMMA_API_BASE}/markets`, { limit: 100, offset, ...params });
+      const batch = data || [];
       if (batch.length === 0) break;
       markets.push(...batch);
       await new Promise(resolve => setTimeout(resolve, 50));
@@ -213,6 +212,15 @@ function buildMarketObjects(gammaMarkets, trades, { returnAllIfNoTrades = false
       clobTokenIds: parsedTokenIds,
       startDate: market.startDate || null,
       endDate: market.endDate || null,
+      // Fee metadata, passed through as Gamma reports it (see fee-model.js)
+      feesEnabled: market.feesEnabled,
+      makerBaseFee: market.makerBaseFee,
+      takerBaseFee: market.takerBaseFee,
+      // Resolution metadata, passed through as Gamma reports it (see market-resolution.js)
+      outcomePrices: market.outcomePrices,
+      closedTime: market.closedTime || null,
+      umaResolutionStatus: market.umaResolutionStatus,
+      umaResolutionStatuses: market.umaResolutionStatuses,
       metadata: {
         timeframe: extractTimeframe(question),
         is_up_down: isUpDown,
@@ -0,0 +1,261 @@
+/**
+ * Mock Bitquery Server
+ * Local stand-in for the Bitquery V2 GraphQL endpoint, for tests and offline development.
+ * Serves the subset of the EVM schema the app queries (lib/bitquery-client.js and
+ * config/bitquery-queries.js): DEXTradeByTokens filtered by token ids, and Events
+ * (OrderFilled, ConditionPreparation, QuestionInitialized, PositionSplit). Filters are read
+ * from the query text and variables - this is not a GraphQL parser.
+ * Unscripted tokens get deterministic generated trades; failure modes can be queued so the
+ * client's retry and quota handling can be exercised.
+ *
+ * Usage: node mocks/bitquery-server.js [port]
+ *        BITQUERY_STREAMING_ENDPOINT=http://localhost:<port>/graphql npm run server
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+/**
+ * Failure modes, each consumed by one request
+ * - rate_limit: HTTP 429
+ * - quota_exceeded: HTTP 402
+ * - quota_message: HTTP 200 with a GraphQL "points limit" error
+ * - graphql_error: HTTP 200 with a generic GraphQL error
+ * - network: connection reset without a response
+ * - partial_page: half of the rows the request asked for
+ */
+export const FAILURE_MODES = ['rate_limit', 'quota_exceeded', 'quota_message', 'graphql_error', 'network', 'partial_page'];
+
+const USDC_CONTRACT = '0x2791bca1f2de4661ed88a30c99a7a9449aa84174';
+const DEFAULT_TOKENS = ['mock-token-0', 'mock-token-1'];
+const DEFAULT_RANGE_SECONDS = 24 * 60 * 60;
+
+/**
+ * Reject unknown failure modes early - a typo would otherwise pass silently
+ */
+function checkModes(modes) {
+  const unknown = modes.filter(mode => !FAILURE_MODES.includes(mode));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown failure mode(s): ${unknown.join(', ')} - expected one of: ${FAILURE_MODES.join(', ')}`);
+  }
+  return modes;
+}
+
+/**
+ * Token seed for deterministic prices
+ */
+function seedOf(value) {
+  return [...String(value)].reduce((sum, ch) => sum + ch.charCodeAt(0), 0);
+}
+
+/**
+ * Deterministic trades for a token - one every intervalSeconds on an absolute grid, so
+ * overlapping ranges and pages always agree. The price swings around 0.5.
+ * @param {string} tokenId
+ * @param {number} startTime - Unix seconds (inclusive)
+ * @param {number} endTime - Unix seconds (inclusive)
+ * @param {number} intervalSeconds
+ * @returns {Array} [{ tokenId, time, price, side }]
+ */
+export function generateTrades(tokenId, startTime, endTime, intervalSeconds = 60) {
+  const seed = seedOf(tokenId);
+  const trades = [];
+  for (let time = Math.ceil(startTime / intervalSeconds) * intervalSeconds; time <= endTime; time += intervalSeconds) {
+    const step = time / intervalSeconds;
+    trades.push({
+      tokenId,
+      time,
+      price: Number((0.5 + 0.3 * Math.sin((step + seed) / 15)).toFixed(4)),
+      side: step % 2 === 0 ? 'buy' : 'sell'
+    });
+  }
+  return trades;
+}
+
+/**
+ * Deterministic events for a signature - one every intervalSeconds
+ * OrderFilled events carry makerAmount (USDC, 6 decimals) and takerAmount so that
+ * calculatePriceFromOrderFilled() recovers the generated price
+ * @returns {Array} Events in the Bitquery shape
+ */
+export function generateEvents(name, startTime, endTime, { conditionId = '0xmockcondition', intervalSeconds = 300 } = {}) {
+  const events = [];
+  for (let time = Math.ceil(startTime / intervalSeconds) * intervalSeconds; time <= endTime; time += intervalSeconds) {
+    const step = time / intervalSeconds;
+    const args = [{ Name: 'conditionId', Value: { hex: conditionId } }];
+
+    if (name === 'OrderFilled') {
+      const tokenId = DEFAULT_TOKENS[step % 2];
+      const price = 0.5 + 0.3 * Math.sin((step + seedOf(conditionId)) / 15);
+      const takerAmount = 100;
+      args.push(
+        { Name: 'tokenId', Value: { bigInteger: tokenId } },
+        { Name: 'makerAmount', Value: { bigInteger: String(Math.round(price * takerAmount * 1000000)) } },
+        { Name: 'takerAmount', Value: { bigInteger: String(takerAmount) } }
+      );
+    } else if (name === 'ConditionPreparation') {
+      args.push(
+        { Name: 'oracle', Value: { address: '0x0000000000000000000000000000000000mock01' } },
+        { Name: 'questionId', Value: { hex: `0xquestion${step}` } },
+        { Name: 'outcomeSlotCount', Value: { integer: 2 } }
+      );
+    }
+
+    events.push({
+      Block: { Time: new Date(time * 1000).toISOString(), Number: step },
+      Transaction: { Hash: `0xmock${name}${step}` },
+      Arguments: args
+    });
+  }
+  return events;
+}
+
+/**
+ * A trade in the DEXTradeByTokens shape
+ */
+function toTradeRow({ tokenId, time, price, side }, index) {
+  return {
+    Block: { Time: new Date(time * 1000).toISOString(), Number: Math.floor(time / 2) },
+    Transaction: { Hash: `0xmock${seedOf(tokenId)}${time}${index}` },
+    Trade: {
+      PriceInUSD: price,
+      Price: price,
+      Amount: '100',
+      Ids: [tokenId],
+      Side: { Type: side, Currency: { SmartContract: USDC_CONTRACT } },
+      Dex: { ProtocolName: 'polymarket' }
+    }
+  };
+}
+
+/**
+ * The request's filters, read from the query text and variables
+ */
+function parseRequest(query, variables = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const toSeconds = (value, fallback) => {
+    const ms = new Date(value).getTime();
+    return Number.isFinite(ms) ? Math.floor(ms / 1000) : fallback;
+  };
+
+  const idsMatch = query.match(/Ids:\s*\{\s*includes:\s*\{\s*in:\s*(\[[^\]]*\])/);
+  const literalLimit = query.match(/limit:\s*\{\s*count:\s*(\d+)/);
+  const signature = query.match(/Signature:\s*\{\s*Name:\s*\{\s*is:\s*"(\w+)"/);
+
+  return {
+    root: /DEXTradeByTokens/.test(query) ? 'DEXTradeByTokens' : /Events\s*\(/.test(query) ? 'Events' : null,
+    tokenIds: idsMatch ? JSON.parse(idsMatch[1]) : null,
+    eventName: signature?.[1] || null,
+    conditionId: variables.conditionId,
+    startTime: toSeconds(variables.startTime, now - DEFAULT_RANGE_SECONDS),
+    endTime: toSeconds(variables.endTime, now),
+    limit: variables.limit ?? (literalLimit ? parseInt(literalLimit[1], 10) : 1000),
+    offset: variables.offset ?? 0,
+    descending: /descending:\s*Block_Time/.test(query)
+  };
+}
+
+/**
+ * Start the mock server
+ * @param {Object} options
+ * @param {number} options.port - 0 picks a free port
+ * @param {Array} options.trades - [{ tokenId, time (unix seconds), price, side }] served instead of
+ *   generated trades for the tokens they mention
+ * @param {number} options.tradeIntervalSeconds - Spacing of generated trades
+ * @param {Array} options.failures - Failure modes for the first requests, in order (see FAILURE_MODES)
+ * @returns {Promise<Object>} { url, port, requests, fail(...modes), close }
+ */
+export function startMockBitqueryServer({ port = 0, trades = [], tradeIntervalSeconds = 60, failures = [] } = {}) {
+  const requests = []; // { root, tokenIds, eventName, startTime, endTime, limit, offset, failure, authorization }
+  const pendingFailures = [...checkModes(failures)];
+  const scriptedTokens = new Set(trades.map(trade => trade.tokenId));
+
+  const tradesFor = ({ tokenIds, startTime, endTime }) => {
+    const rows = [];
+    for (const tokenId of tokenIds || DEFAULT_TOKENS) {
+      const tokenTrades = scriptedTokens.has(tokenId)
+        ? trades.filter(trade => trade.tokenId === tokenId && trade.time >= startTime && trade.time <= endTime)
+        : generateTrades(tokenId, startTime, endTime, tradeIntervalSeconds);
+      rows.push(...tokenTrades);
+    }
+    return rows.sort((a, b) => a.time - b.time || a.tokenId.localeCompare(b.tokenId)).map(toTradeRow);
+  };
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== 'POST') {
+      return send(404, { errors: [{ message: 'Not found' }] });
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        return send(400, { errors: [{ message: 'Invalid JSON body' }] });
+      }
+
+      const request = parseRequest(body.query || '', body.variables);
+      const failure = pendingFailures.shift() || null;
+      requests.push({ ...request, failure, authorization: req.headers.authorization || null });
+
+      switch (failure) {
+        case 'rate_limit':
+          return send(429, { errors: [{ message: 'Too many requests' }] });
+        case 'quota_exceeded':
+          return send(402, { errors: [{ message: 'Payment required: account points exhausted' }] });
+        case 'quota_message':
+          return send(200, { data: null, errors: [{ message: 'Points limit exceeded for this billing period' }] });
+        case 'graphql_error':
+          return send(200, { data: null, errors: [{ message: 'Cannot query field "Bogus" on type "EVM"' }] });
+        case 'network':
+          return req.socket.destroy();
+      }
+
+      if (!request.root) {
+        return send(200, { data: null, errors: [{ message: 'Mock Bitquery only serves EVM DEXTradeByTokens and Events' }] });
+      }
+
+      let rows = request.root === 'DEXTradeByTokens'
+        ? tradesFor(request)
+        : generateEvents(request.eventName, request.startTime, request.endTime, { conditionId: request.conditionId });
+      if (request.descending) rows.reverse();
+
+      const pageSize = failure === 'partial_page' ? Math.floor(request.limit / 2) : request.limit;
+      rows = rows.slice(request.offset, request.offset + pageSize);
+
+      send(200, { data: { EVM: { [request.root]: rows } } });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${actualPort}/graphql`,
+        port: actualPort,
+        requests,
+        fail: (...modes) => pendingFailures.push(...checkModes(modes)),
+        close: () => new Promise(done => {
+          server.closeAllConnections(); // Node's default agent keeps sockets alive
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+// Run standalone: node mocks/bitquery-server.js [port]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.argv[2], 10) || 4020;
+  startMockBitqueryServer({ port }).then(({ url }) => {
+    console.log(`Mock Bitquery server listening on ${url} (POST GraphQL: DEXTradeByTokens, Events)`);
+  });
+}
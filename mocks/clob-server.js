@@ -0,0 +1,145 @@
+/**
+ * Mock CLOB Server
+ * Local stand-in for the Polymarket CLOB /book and /prices-history endpoints (and the
+ * Gamma /markets listing), for tests and offline development.
+ * Unscripted tokens get a deterministic generated book; scripted tokens return exactly
+ * what the test supplies. Levels are ordered like the real CLOB (best bid and best ask last).
+ *
+ * Usage: node mocks/clob-server.js [port]
+ *        POLYMARKET_API_BASE=http://localhost:<port> GAMMA_API_BASE=http://localhost:<port> npm run server
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+/**
+ * Deterministic book for a token - the mid drifts with time, levels are 1c apart
+ * @param {string} tokenId
+ * @param {number} timestampMs
+ * @param {number} depth - Levels per side
+ * @returns {Object} { bids, asks } as [{ price, size }]
+ */
+export function generateBook(tokenId, timestampMs, depth = 10) {
+  const seed = [...String(tokenId)].reduce((sum, ch) => sum + ch.charCodeAt(0), 0);
+  const step = Math.floor(timestampMs / 5000);
+  const mid = 0.5 + 0.2 * Math.sin((step + seed) / 30);
+
+  const bids = [];
+  const asks = [];
+  for (let i = 0; i < depth; i++) {
+    const size = 50 + ((seed + i * 37) % 200);
+    bids.push({ price: Math.max(0.01, mid - 0.01 * (i + 1)), size });
+    asks.push({ price: Math.min(0.99, mid + 0.01 * (i + 1)), size });
+  }
+  return { bids, asks };
+}
+
+/**
+ * Format levels as the CLOB does (string prices and sizes)
+ */
+function formatLevels(levels) {
+  return levels.map(level => ({
+    price: Number(level.price).toFixed(3),
+    size: Number(level.size).toFixed(2)
+  }));
+}
+
+/**
+ * Start the mock server
+ * @param {Object} options
+ * @param {number} options.port - 0 picks a free port
+ * @param {Object} options.books - tokenId -> book | (requestCount) => book | null (404).
+ *   A book is { bids, asks, timestamp? } with [{ price, size }] levels in any order.
+ * @param {Object} options.history - tokenId -> [{ t, p }] for /prices-history (unscripted: empty)
+ * @param {Array} options.markets - Gamma market objects for /markets, paged by limit/offset
+ *   and filtered on `closed`
+ * @returns {Promise<Object>} { url, port, requests, close }
+ */
+export function startMockClobServer({ port = 0, books = {}, history = {}, markets = [] } = {}) {
+  const requests = []; // token ids in request order
+  const requestCounts = new Map();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === 'GET' && url.pathname === '/markets') {
+      const closed = url.searchParams.get('closed');
+      const offset = parseInt(url.searchParams.get('offset'), 10) || 0;
+      const limit = parseInt(url.searchParams.get('limit'), 10) || 100;
+      const listed = closed === null ? markets : markets.filter(m => String(m.closed === true) === closed);
+      return send(200, listed.slice(offset, offset + limit));
+    }
+
+    if (req.method === 'GET' && url.pathname === '/prices-history') {
+      const tokenId = url.searchParams.get('market');
+      if (!tokenId) {
+        return send(400, { error: 'market is required' });
+      }
+      return send(200, { history: history[tokenId] || [] });
+    }
+
+    if (req.method !== 'GET' || url.pathname !== '/book') {
+      return send(404, { error: 'Not found' });
+    }
+
+    const tokenId = url.searchParams.get('token_id');
+    if (!tokenId) {
+      return send(400, { error: 'Invalid token id' });
+    }
+
+    requests.push(tokenId);
+    const count = requestCounts.get(tokenId) || 0;
+    requestCounts.set(tokenId, count + 1);
+
+    const script = books[tokenId];
+    if (script === null) {
+      return send(404, { error: 'No orderbook exists for the requested token id' });
+    }
+
+    const book = typeof script === 'function'
+      ? script(count)
+      : script || generateBook(tokenId, Date.now());
+    const timestamp = book.timestamp ?? Date.now();
+
+    // Real CLOB: bids ascending and asks descending by price
+    const bids = [...book.bids].sort((a, b) => a.price - b.price);
+    const asks = [...book.asks].sort((a, b) => b.price - a.price);
+
+    send(200, {
+      market: book.market || '0xmock',
+      asset_id: tokenId,
+      timestamp: String(timestamp),
+      hash: `mock-${tokenId}-${count}`,
+      bids: formatLevels(bids),
+      asks: formatLevels(asks)
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${actualPort}`,
+        port: actualPort,
+        requests,
+        close: () => new Promise(done => {
+          server.closeAllConnections(); // Node's default agent keeps sockets alive
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+// Run standalone: node mocks/clob-server.js [port]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = parseInt(process.argv[2], 10) || 4010;
+  startMockClobServer({ port }).then(({ url }) => {
+    console.log(`Mock CLOB server listening on ${url} (GET /book, /prices-history, /markets)`);
+  });
+}
@@ -43,28 +43,54 @@ CREATE TABLE IF NOT EXISTS backtests (
   data_coverage_pct REAL DEFAULT 0,
   windows_per_analysis_hour REAL DEFAULT 0,
   duration_p50 REAL DEFAULT 0,
+  metrics_json TEXT, -- { portfolio: { bankroll, finalEquity, maxDrawdownPct, ... } }
+  verdict TEXT, -- go | marginal | no_go (see go-no-go.js), set on completion
+  verdict_score REAL,
+  failed_rules_json TEXT,
+  verdict_at INTEGER,
 
   created_at INTEGER NOT NULL,
   completed_at INTEGER,
   error_message TEXT,
+  sweep_id TEXT,
 
   CONSTRAINT valid_asset CHECK (asset IN ('BTC', 'ETH', 'SOL')),
-  CONSTRAINT valid_status CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  CONSTRAINT valid_status CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
   CONSTRAINT valid_timeframe CHECK (timeframe IN ('5min', '15min', '1hr')),
   CONSTRAINT valid_period CHECK (period IN ('7d', '30d', '60d', '3m', '6m', '12m', '24m', '36m')),
   CONSTRAINT valid_analysis_period CHECK (analysis_end > analysis_start),
   CONSTRAINT valid_trade_size CHECK (trade_size > 0)
 );
 
+-- Parameter sweeps (parent record for a grid of backtest runs)
+CREATE TABLE IF NOT EXISTS sweeps (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  asset TEXT NOT NULL,
+  timeframe TEXT NOT NULL,
+  period TEXT NOT NULL,
+  base_json TEXT NOT NULL,
+  grid_json TEXT NOT NULL,
+  run_count INTEGER NOT NULL,
+  created_at INTEGER NOT NULL
+);
+
 -- Markets (classification only)
 CREATE TABLE IF NOT EXISTS markets (
   market_id TEXT PRIMARY KEY,
+  question TEXT,
   asset TEXT,
   timeframe TEXT,
   start_time INTEGER,
   end_time INTEGER,
   status TEXT,
-  fee_regime TEXT DEFAULT 'fee_free'
+  fee_regime TEXT DEFAULT 'fee_free', -- fee_free | flat | price_curve (see fee-model.js)
+  maker_fee_bps REAL DEFAULT 0,
+  taker_fee_bps REAL DEFAULT 0,
+  resolution_status TEXT DEFAULT 'unresolved', -- unresolved | resolved | invalid (see market-resolution.js)
+  winning_outcome INTEGER, -- resolved: outcome index that paid $1
+  resolved_time INTEGER,
+  disputed INTEGER DEFAULT 0
 );
 
 -- Price data (Tier B - mid/last prices)
@@ -72,6 +98,8 @@ CREATE TABLE IF NOT EXISTS snapshots (
   market_id TEXT,
   timestamp INTEGER,
   side TEXT,
+  outcome_index INTEGER,
+  outcome_label TEXT,
   mid REAL,
   last REAL,
   is_tradable INTEGER,
@@ -97,19 +125,65 @@ CREATE TABLE IF NOT EXISTS trades_sim (
   id TEXT PRIMARY KEY,
   run_id TEXT NOT NULL,
   window_id TEXT,
-  result TEXT,
+  result TEXT, -- completed | partial | hedge_failed | skipped | failed
   profit REAL,
-  fees REAL
+  fees REAL,
+  filled_size REAL, -- share pairs bought
+  avg_price REAL, -- volume-weighted combined price per pair
+  slippage REAL, -- avg_price minus the quoted entry combined price
+  legs_json TEXT, -- [{ outcome_index, filled_size, avg_price, filled, fill_time }]
+  unhedged_outcome_index INTEGER, -- hedge_failed: the leg left without its pair
+  unhedged_size REAL, -- hedge_failed: shares of that leg held
+  unhedged_exit_price REAL, -- hedge_failed: unwind bid, or the resolution payout when held
+  settlement TEXT, -- market resolution the position settled against: resolved | invalid | unresolved
+  exit_time INTEGER, -- early exit: when both legs were sold (see exitPolicy)
+  exit_price REAL -- early exit: combined bid received per pair
+);
+
+-- Realized equity over a run (bankroll simulation, see portfolio-simulator.js)
+CREATE TABLE IF NOT EXISTS equity_curve (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  run_id TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  equity REAL NOT NULL,
+  reserved REAL NOT NULL -- capital locked in open positions
 );
 
--- Background jobs (source of truth for progress)
+-- Go/no-go thresholds applied to run metrics (see go-no-go.js)
+CREATE TABLE IF NOT EXISTS go_no_go_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  metric TEXT NOT NULL UNIQUE, -- backtests column, e.g. fill_success_rate
+  label TEXT NOT NULL,
+  unit TEXT DEFAULT '', -- display unit: '', '%' or 's'
+  operator TEXT NOT NULL DEFAULT '>=', -- >= | <=
+  threshold REAL NOT NULL,
+  weight REAL DEFAULT 1, -- share of the verdict score
+  enabled INTEGER DEFAULT 1,
+  sort_order INTEGER DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER
+);
+
+-- Background jobs (persistent queue and source of truth for progress)
 CREATE TABLE IF NOT EXISTS jobs (
   job_id TEXT PRIMARY KEY,
-  run_id TEXT NOT NULL,
+  job_type TEXT NOT NULL DEFAULT 'backtest',
+  run_id TEXT,
+  download_id TEXT,
   status TEXT,
   progress_pct REAL,
   stage TEXT,
-  error_message TEXT
+  error_message TEXT,
+
+  priority INTEGER DEFAULT 0,
+  attempts INTEGER DEFAULT 0,
+  cancel_requested INTEGER DEFAULT 0,
+  worker_id TEXT,
+  claimed_at INTEGER,
+  heartbeat_at INTEGER,
+  created_at INTEGER,
+  started_at INTEGER,
+  finished_at INTEGER
 );
 
 -- Data downloads (standalone data fetching)
@@ -125,6 +199,8 @@ CREATE TABLE IF NOT EXISTS data_downloads (
   created_at INTEGER NOT NULL,
   completed_at INTEGER,
   error_message TEXT,
+  synthetic INTEGER DEFAULT 0, -- generated by synthetic-market-generator.js, never mixed with real data
+  ground_truth_json TEXT, -- synthetic: generator params, planted windows and impairments
 
   CONSTRAINT valid_download_asset CHECK (asset IN ('BTC', 'ETH', 'SOL')),
   CONSTRAINT valid_download_status CHECK (status IN ('queued', 'running', 'completed', 'failed', 'stopped')),
@@ -136,12 +212,20 @@ CREATE TABLE IF NOT EXISTS downloaded_markets (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   download_id TEXT NOT NULL,
   market_id TEXT NOT NULL,
+  question TEXT,
   asset TEXT,
   timeframe TEXT,
   start_time INTEGER,
   end_time INTEGER,
   status TEXT,
   fee_regime TEXT DEFAULT 'fee_free',
+  maker_fee_bps REAL DEFAULT 0,
+  taker_fee_bps REAL DEFAULT 0,
+  clob_token_ids TEXT, -- JSON array, outcome index order
+  resolution_status TEXT DEFAULT 'unresolved',
+  winning_outcome INTEGER,
+  resolved_time INTEGER,
+  disputed INTEGER DEFAULT 0,
   FOREIGN KEY (download_id) REFERENCES data_downloads(id) ON DELETE CASCADE
 );
 
@@ -152,12 +236,33 @@ CREATE TABLE IF NOT EXISTS downloaded_snapshots (
   market_id TEXT NOT NULL,
   timestamp INTEGER NOT NULL,
   side TEXT NOT NULL,
+  outcome_index INTEGER,
+  outcome_label TEXT,
   mid REAL,
   last REAL,
   is_tradable INTEGER,
   FOREIGN KEY (download_id) REFERENCES data_downloads(id) ON DELETE CASCADE,
   UNIQUE (download_id, market_id, timestamp, side)
 );
+
+-- Order book depth per token (top-N levels from the CLOB /book endpoint)
+CREATE TABLE IF NOT EXISTS orderbook_snapshots (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  download_id TEXT NOT NULL,
+  market_id TEXT NOT NULL,
+  token_id TEXT NOT NULL,
+  outcome_index INTEGER,
+  outcome_label TEXT,
+  timestamp INTEGER NOT NULL,
+  best_bid REAL,
+  best_ask REAL,
+  bid_depth REAL,
+  ask_depth REAL,
+  bids_json TEXT, -- [{ price, size }] best first
+  asks_json TEXT,
+  FOREIGN KEY (download_id) REFERENCES data_downloads(id) ON DELETE CASCADE,
+  UNIQUE (download_id, token_id, timestamp)
+);
 `);
 
 // Create migrations tracking table
@@ -476,6 +581,378 @@ if (!isMigrationApplied('add_custom_period_and_unique_snapshots')) {
   }
 }
 
+// Migration: Group backtest runs under a parent sweep
+if (!isMigrationApplied('add_sweep_id_to_backtests')) {
+  const columns = db.prepare('PRAGMA table_info(backtests)').all();
+
+  if (!columns.some(col => col.name === 'sweep_id')) {
+    console.log('[Migration] Adding sweep_id to backtests...');
+    db.exec('ALTER TABLE backtests ADD COLUMN sweep_id TEXT');
+  }
+
+  recordMigration('add_sweep_id_to_backtests');
+}
+
+// Migration: Turn jobs into a persistent queue (job types, claim and heartbeat columns)
+if (!isMigrationApplied('add_job_queue_columns')) {
+  const columns = db.prepare('PRAGMA table_info(jobs)').all();
+
+  if (!columns.some(col => col.name === 'job_type')) {
+    console.log('[Migration] Adding queue columns to jobs...');
+
+    // Rebuild rather than ALTER so run_id can become nullable (download jobs have none)
+    const existingJobs = db.prepare(`
+      SELECT j.*, b.created_at as run_created_at
+      FROM jobs j
+      LEFT JOIN backtests b ON b.id = j.run_id
+    `).all();
+
+    const transaction = db.transaction(() => {
+      db.exec(`
+        DROP TABLE IF EXISTS jobs;
+        CREATE TABLE jobs (
+          job_id TEXT PRIMARY KEY,
+          job_type TEXT NOT NULL DEFAULT 'backtest',
+          run_id TEXT,
+          download_id TEXT,
+          status TEXT,
+          progress_pct REAL,
+          stage TEXT,
+          error_message TEXT,
+          attempts INTEGER DEFAULT 0,
+          worker_id TEXT,
+          claimed_at INTEGER,
+          heartbeat_at INTEGER,
+          created_at INTEGER,
+          started_at INTEGER,
+          finished_at INTEGER
+        );
+      `);
+
+      // Legacy running jobs get no heartbeat, so the job runner recovers them on boot
+      const insertJob = db.prepare(`
+        INSERT INTO jobs
+        (job_id, job_type, run_id, status, progress_pct, stage, error_message, attempts, created_at)
+        VALUES (?, 'backtest', ?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const row of existingJobs) {
+        insertJob.run(
+          row.job_id, row.run_id, row.status, row.progress_pct, row.stage, row.error_message,
+          row.status === 'queued' ? 0 : 1,
+          row.run_created_at || Math.floor(Date.now() / 1000)
+        );
+      }
+    });
+
+    transaction();
+    console.log(`[Migration] Rebuilt jobs table (${existingJobs.length} jobs preserved)`);
+  }
+
+  recordMigration('add_job_queue_columns');
+}
+
+// Migration: Add 'cancelled' status to backtests and cancel flag to jobs
+if (!isMigrationApplied('add_backtest_cancellation')) {
+  const backtestsSql = db.prepare(`
+    SELECT sql FROM sqlite_master WHERE type='table' AND name='backtests'
+  `).get();
+
+  if (backtestsSql && backtestsSql.sql && !backtestsSql.sql.includes("'cancelled'")) {
+    console.log('[Migration] Adding "cancelled" status to backtests...');
+
+    const columns = [
+      'id', 'name', 'asset', 'timeframe', 'period', 'trade_size', 'status', 'parameters_json',
+      'analysis_start', 'analysis_end', 'progress_pct', 'stage',
+      'windows_detected', 'trades_completed', 'fill_success_rate', 'avg_execution_adjusted_edge',
+      'data_coverage_pct', 'windows_per_analysis_hour', 'duration_p50',
+      'created_at', 'completed_at', 'error_message', 'sweep_id'
+    ].join(', ');
+
+    const transaction = db.transaction(() => {
+      db.exec(`
+        ALTER TABLE backtests RENAME TO backtests_old;
+        CREATE TABLE backtests (
+          id TEXT PRIMARY KEY,
+          name TEXT,
+          asset TEXT NOT NULL,
+          timeframe TEXT NOT NULL,
+          period TEXT NOT NULL,
+          trade_size REAL NOT NULL,
+          status TEXT NOT NULL,
+          parameters_json TEXT,
+          analysis_start INTEGER NOT NULL,
+          analysis_end INTEGER NOT NULL,
+          progress_pct REAL DEFAULT 0,
+          stage TEXT DEFAULT 'queued',
+          windows_detected INTEGER DEFAULT 0,
+          trades_completed INTEGER DEFAULT 0,
+          fill_success_rate REAL DEFAULT 0,
+          avg_execution_adjusted_edge REAL DEFAULT 0,
+          data_coverage_pct REAL DEFAULT 0,
+          windows_per_analysis_hour REAL DEFAULT 0,
+          duration_p50 REAL DEFAULT 0,
+          created_at INTEGER NOT NULL,
+          completed_at INTEGER,
+          error_message TEXT,
+          sweep_id TEXT,
+          CONSTRAINT valid_asset CHECK (asset IN ('BTC', 'ETH', 'SOL')),
+          CONSTRAINT valid_status CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+          CONSTRAINT valid_timeframe CHECK (timeframe IN ('5min', '15min', '1hr')),
+          CONSTRAINT valid_period CHECK (period IN ('7d', '30d', '60d', '3m', '6m', '12m', '24m', '36m')),
+          CONSTRAINT valid_analysis_period CHECK (analysis_end > analysis_start),
+          CONSTRAINT valid_trade_size CHECK (trade_size > 0)
+        );
+        INSERT INTO backtests (${columns}) SELECT ${columns} FROM backtests_old;
+        DROP TABLE backtests_old;
+      `);
+    });
+
+    transaction();
+    console.log('[Migration] Successfully added "cancelled" status (preserved existing runs)');
+  }
+
+  const jobColumns = db.prepare('PRAGMA table_info(jobs)').all();
+  if (!jobColumns.some(col => col.name === 'cancel_requested')) {
+    db.exec('ALTER TABLE jobs ADD COLUMN cancel_requested INTEGER DEFAULT 0');
+  }
+
+  recordMigration('add_backtest_cancellation');
+}
+
+// Migration: Add job priority (higher runs first)
+if (!isMigrationApplied('add_job_priority')) {
+  const jobColumns = db.prepare('PRAGMA table_info(jobs)').all();
+  if (!jobColumns.some(col => col.name === 'priority')) {
+    console.log('[Migration] Adding priority to jobs...');
+    db.exec(`
+      ALTER TABLE jobs ADD COLUMN priority INTEGER DEFAULT 0;
+      DROP INDEX IF EXISTS idx_jobs_queue;
+    `);
+  }
+  recordMigration('add_job_priority');
+}
+
+// Migration: Canonical outcome (index + label) on snapshot rows
+// side is kept as the label for the existing unique keys
+if (!isMigrationApplied('add_snapshot_outcomes')) {
+  const transaction = db.transaction(() => {
+    for (const table of ['snapshots', 'downloaded_snapshots']) {
+      const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+      if (!columns.some(col => col.name === 'outcome_index')) {
+        console.log(`[Migration] Adding outcome columns to ${table}...`);
+        db.exec(`
+          ALTER TABLE ${table} ADD COLUMN outcome_index INTEGER;
+          ALTER TABLE ${table} ADD COLUMN outcome_label TEXT;
+        `);
+      }
+
+      const backfilled = db.prepare(`
+        UPDATE ${table}
+        SET outcome_index = CASE UPPER(side) WHEN 'YES' THEN 0 WHEN 'UP' THEN 0 WHEN 'NO' THEN 1 WHEN 'DOWN' THEN 1 END,
+            outcome_label = UPPER(side)
+        WHERE outcome_index IS NULL
+      `).run();
+      if (backfilled.changes > 0) {
+        console.log(`[Migration] Backfilled outcomes for ${backfilled.changes} ${table} rows`);
+      }
+    }
+  });
+
+  transaction();
+  recordMigration('add_snapshot_outcomes');
+}
+
+// Migration: Store market question text so run results can be attributed per market
+if (!isMigrationApplied('add_market_question')) {
+  for (const table of ['markets', 'downloaded_markets']) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(col => col.name === 'question')) {
+      console.log(`[Migration] Adding question column to ${table}...`);
+      db.exec(`ALTER TABLE ${table} ADD COLUMN question TEXT`);
+    }
+  }
+
+  recordMigration('add_market_question');
+}
+
+// Migration: Keep CLOB token ids on downloaded markets so their order books can be collected
+if (!isMigrationApplied('add_downloaded_market_tokens')) {
+  const columns = db.prepare('PRAGMA table_info(downloaded_markets)').all();
+  if (!columns.some(col => col.name === 'clob_token_ids')) {
+    console.log('[Migration] Adding clob_token_ids column to downloaded_markets...');
+    db.exec('ALTER TABLE downloaded_markets ADD COLUMN clob_token_ids TEXT');
+  }
+
+  recordMigration('add_downloaded_market_tokens');
+}
+
+// Migration: Depth-aware fill results on simulated trades
+if (!isMigrationApplied('add_trade_fill_details')) {
+  const columns = db.prepare('PRAGMA table_info(trades_sim)').all();
+  const newColumns = [
+    ['filled_size', 'REAL'],
+    ['avg_price', 'REAL'],
+    ['slippage', 'REAL'],
+    ['legs_json', 'TEXT']
+  ];
+
+  for (const [name, type] of newColumns) {
+    if (!columns.some(col => col.name === name)) {
+      console.log(`[Migration] Adding ${name} column to trades_sim...`);
+      db.exec(`ALTER TABLE trades_sim ADD COLUMN ${name} ${type}`);
+    }
+  }
+
+  recordMigration('add_trade_fill_details');
+}
+
+// Migration: Unhedged exposure of trades where only one leg filled
+if (!isMigrationApplied('add_trade_leg_risk')) {
+  const columns = db.prepare('PRAGMA table_info(trades_sim)').all();
+  const newColumns = [
+    ['unhedged_outcome_index', 'INTEGER'],
+    ['unhedged_size', 'REAL'],
+    ['unhedged_exit_price', 'REAL']
+  ];
+
+  for (const [name, type] of newColumns) {
+    if (!columns.some(col => col.name === name)) {
+      console.log(`[Migration] Adding ${name} column to trades_sim...`);
+      db.exec(`ALTER TABLE trades_sim ADD COLUMN ${name} ${type}`);
+    }
+  }
+
+  recordMigration('add_trade_leg_risk');
+}
+
+// Migration: Per-market maker/taker fee rates read from Gamma metadata
+if (!isMigrationApplied('add_market_fee_rates')) {
+  for (const table of ['markets', 'downloaded_markets']) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    for (const name of ['maker_fee_bps', 'taker_fee_bps']) {
+      if (!columns.some(col => col.name === name)) {
+        console.log(`[Migration] Adding ${name} column to ${table}...`);
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} REAL DEFAULT 0`);
+      }
+    }
+  }
+
+  recordMigration('add_market_fee_rates');
+}
+
+// Migration: Portfolio metrics per run
+if (!isMigrationApplied('add_backtest_metrics_json')) {
+  const columns = db.prepare('PRAGMA table_info(backtests)').all();
+  if (!columns.some(col => col.name === 'metrics_json')) {
+    console.log('[Migration] Adding metrics_json column to backtests...');
+    db.exec('ALTER TABLE backtests ADD COLUMN metrics_json TEXT');
+  }
+
+  recordMigration('add_backtest_metrics_json');
+}
+
+// Migration: Market resolution outcomes and the settlement each trade used
+if (!isMigrationApplied('add_market_resolution')) {
+  const resolutionColumns = [
+    ['resolution_status', "TEXT DEFAULT 'unresolved'"],
+    ['winning_outcome', 'INTEGER'],
+    ['resolved_time', 'INTEGER'],
+    ['disputed', 'INTEGER DEFAULT 0']
+  ];
+
+  for (const table of ['markets', 'downloaded_markets']) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    for (const [name, type] of resolutionColumns) {
+      if (!columns.some(col => col.name === name)) {
+        console.log(`[Migration] Adding ${name} column to ${table}...`);
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      }
+    }
+  }
+
+  const tradeColumns = db.prepare('PRAGMA table_info(trades_sim)').all();
+  if (!tradeColumns.some(col => col.name === 'settlement')) {
+    console.log('[Migration] Adding settlement column to trades_sim...');
+    db.exec('ALTER TABLE trades_sim ADD COLUMN settlement TEXT');
+  }
+
+  recordMigration('add_market_resolution');
+}
+
+// Migration: Early exits of filled pairs
+if (!isMigrationApplied('add_trade_exits')) {
+  const columns = db.prepare('PRAGMA table_info(trades_sim)').all();
+  for (const [name, type] of [['exit_time', 'INTEGER'], ['exit_price', 'REAL']]) {
+    if (!columns.some(col => col.name === name)) {
+      console.log(`[Migration] Adding ${name} column to trades_sim...`);
+      db.exec(`ALTER TABLE trades_sim ADD COLUMN ${name} ${type}`);
+    }
+  }
+
+  recordMigration('add_trade_exits');
+}
+
+// Migration: Seed the go/no-go rules that used to be hardcoded in the UI
+if (!isMigrationApplied('seed_go_no_go_rules')) {
+  const insertRule = db.prepare(`
+    INSERT OR IGNORE INTO go_no_go_rules (metric, label, unit, operator, threshold, sort_order, created_at)
+    VALUES (?, ?, ?, '>=', ?, ?, ?)
+  `);
+  const now = Math.floor(Date.now() / 1000);
+  const defaults = [
+    ['windows_per_analysis_hour', 'Windows per Hour', '', 0.1],
+    ['duration_p50', 'Median Duration', 's', 10],
+    ['fill_success_rate', 'Fill Success Rate', '%', 20],
+    ['avg_execution_adjusted_edge', 'Avg Edge', '%', 0.5],
+    ['data_coverage_pct', 'Data Coverage', '%', 90]
+  ];
+  defaults.forEach(([metric, label, unit, threshold], index) => {
+    insertRule.run(metric, label, unit, threshold, index, now);
+  });
+
+  recordMigration('seed_go_no_go_rules');
+}
+
+// Migration: Rule weights and per-run verdicts
+if (!isMigrationApplied('add_go_no_go_verdicts')) {
+  const ruleColumns = db.prepare('PRAGMA table_info(go_no_go_rules)').all();
+  if (!ruleColumns.some(col => col.name === 'weight')) {
+    console.log('[Migration] Adding weight column to go_no_go_rules...');
+    db.exec('ALTER TABLE go_no_go_rules ADD COLUMN weight REAL DEFAULT 1');
+  }
+
+  const columns = db.prepare('PRAGMA table_info(backtests)').all();
+  for (const [name, type] of [
+    ['verdict', 'TEXT'],
+    ['verdict_score', 'REAL'],
+    ['failed_rules_json', 'TEXT'],
+    ['verdict_at', 'INTEGER']
+  ]) {
+    if (!columns.some(col => col.name === name)) {
+      console.log(`[Migration] Adding ${name} column to backtests...`);
+      db.exec(`ALTER TABLE backtests ADD COLUMN ${name} ${type}`);
+    }
+  }
+
+  recordMigration('add_go_no_go_verdicts');
+}
+
+// Migration: Synthetic downloads with planted ground truth
+if (!isMigrationApplied('add_synthetic_downloads')) {
+  const columns = db.prepare('PRAGMA table_info(data_downloads)').all();
+  for (const [name, type] of [
+    ['synthetic', 'INTEGER DEFAULT 0'],
+    ['ground_truth_json', 'TEXT']
+  ]) {
+    if (!columns.some(col => col.name === name)) {
+      console.log(`[Migration] Adding ${name} column to data_downloads...`);
+      db.exec(`ALTER TABLE data_downloads ADD COLUMN ${name} ${type}`);
+    }
+  }
+
+  recordMigration('add_synthetic_downloads');
+}
+
 // Create indexes for query performance
 db.exec(`
 -- Backtest and job indexes
@@ -483,8 +960,13 @@ CREATE INDEX IF NOT EXISTS idx_snapshots_lookup ON snapshots (market_id, timesta
 CREATE INDEX IF NOT EXISTS idx_windows_by_run ON windows (run_id);
 CREATE INDEX IF NOT EXISTS idx_windows_run_minprice ON windows (run_id, min_combined_price);
 CREATE INDEX IF NOT EXISTS idx_trades_by_run ON trades_sim (run_id);
+CREATE INDEX IF NOT EXISTS idx_equity_curve_run ON equity_curve (run_id, timestamp);
 CREATE INDEX IF NOT EXISTS idx_jobs_run ON jobs (run_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_download ON jobs (download_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_queue ON jobs (status, job_type, priority DESC, created_at);
 CREATE INDEX IF NOT EXISTS idx_backtests_status ON backtests (status, created_at);
+CREATE INDEX IF NOT EXISTS idx_backtests_sweep ON backtests (sweep_id);
+CREATE INDEX IF NOT EXISTS idx_backtests_verdict ON backtests (verdict, created_at);
 
 -- Download indexes (optimized for common queries)
 CREATE INDEX IF NOT EXISTS idx_downloads_status ON data_downloads (status, created_at);
@@ -494,6 +976,7 @@ CREATE INDEX IF NOT EXISTS idx_downloaded_markets_asset ON downloaded_markets (a
 CREATE INDEX IF NOT EXISTS idx_downloaded_snapshots_download ON downloaded_snapshots (download_id);
 CREATE INDEX IF NOT EXISTS idx_downloaded_snapshots_lookup ON downloaded_snapshots (download_id, timestamp);
 CREATE INDEX IF NOT EXISTS idx_downloaded_snapshots_market ON downloaded_snapshots (market_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_orderbook_snapshots_lookup ON orderbook_snapshots (download_id, timestamp);
 `);
 
 console.log('[Database] Indexes created successfully');
@@ -8,6 +8,10 @@ import backtestsRouter from './routes/backtests.js';
 import authRouter from './routes/auth.js';
 import dataDownloadsRouter from './routes/data-downloads.js';
 import settingsRouter from './routes/settings.js';
+import sweepsRouter from './routes/sweeps.js';
+import eventsRouter from './routes/events.js';
+import rulesRouter from './routes/rules.js';
+import jobRunner from './services/job-runner.js';
 import './database/init.js';
 
 dotenv.config();
@@ -35,6 +39,9 @@ app.use('/api/auth', authRouter);
 app.use('/api/backtests', backtestsRouter);
 app.use('/api/data-downloads', dataDownloadsRouter);
 app.use('/api/settings', settingsRouter);
+app.use('/api/sweeps', sweepsRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/rules', rulesRouter);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -93,4 +100,7 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`API: http://localhost:${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Recover jobs interrupted by the last shutdown, then start claiming queued work
+  jobRunner.start();
 });
@@ -4,52 +4,639 @@
  */
 
 import Joi from 'joi';
+import { RULE_METRICS, RULE_OPERATORS } from '../services/go-no-go.js';
+
+// Fee models that never charge feeBps - a feeBps alongside one would be silently ignored
+const FEE_BPS_UNUSED = Joi.valid('market', 'fee_free', 'price_curve').required();
+
+// POST /api/backtests - Create backtest
+const createBacktest = Joi.object({
+  asset: Joi.string()
+    .valid('BTC', 'ETH', 'SOL')
+    .required()
+    .messages({
+      'any.only': 'Asset must be one of: BTC, ETH, SOL',
+      'any.required': 'Asset is required'
+    }),
+
+  timeframe: Joi.string()
+    .valid('5min', '15min', '1hr')
+    .required()
+    .messages({
+      'any.only': 'Timeframe must be one of: 5min, 15min, 1hr',
+      'any.required': 'Timeframe is required'
+    }),
+
+  period: Joi.string()
+    .valid('7d', '30d', '60d', '3m', '6m', '12m', '24m', '36m')
+    .required()
+    .messages({
+      'any.only': 'Period must be one of: 7d, 30d, 60d, 3m, 6m, 12m, 24m, 36m',
+      'any.required': 'Period is required'
+    }),
+
+  tradeSize: Joi.number()
+    .min(1)
+    .max(100000)
+    .required()
+    .messages({
+      'number.min': 'Trade size must be at least $1',
+      'number.max': 'Trade size cannot exceed $100,000',
+      'any.required': 'Trade size is required'
+    }),
+
+  name: Joi.string()
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'Name cannot exceed 100 characters'
+    }),
+
+  dataSource: Joi.string()
+    .valid('live', 'download')
+    .default('live')
+    .messages({
+      'any.only': 'Data source must be one of: live, download'
+    }),
+
+  downloadId: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'Download ID must be a valid UUID'
+    }),
+
+  priority: Joi.number()
+    .integer()
+    .min(-10)
+    .max(10)
+    .optional()
+    .messages({
+      'number.min': 'Priority must be between -10 and 10',
+      'number.max': 'Priority must be between -10 and 10'
+    }),
+
+  // Detection parameters (defaults in window-detector.js)
+  targetTickInterval: Joi.number()
+    .integer()
+    .min(1)
+    .max(300)
+    .optional()
+    .messages({
+      'number.min': 'Tick interval must be at least 1 second',
+      'number.max': 'Tick interval cannot exceed 300 seconds'
+    }),
+
+  maxPairingDeltaSeconds: Joi.number()
+    .min(0)
+    .max(300)
+    .optional()
+    .messages({
+      'number.min': 'Max pairing delta cannot be negative',
+      'number.max': 'Max pairing delta cannot exceed 300 seconds'
+    }),
+
+  spreadProxy: Joi.number()
+    .min(0)
+    .max(0.1)
+    .optional()
+    .messages({
+      'number.min': 'Spread proxy cannot be negative',
+      'number.max': 'Spread proxy cannot exceed 0.1'
+    }),
+
+  minWindowDuration: Joi.number()
+    .min(0)
+    .max(3600)
+    .optional()
+    .messages({
+      'number.min': 'Minimum window duration cannot be negative',
+      'number.max': 'Minimum window duration cannot exceed 3600 seconds'
+    }),
+
+  priceSource: Joi.string()
+    .valid('mid', 'book')
+    .optional()
+    .messages({
+      'any.only': 'Price source must be one of: mid, book'
+    }),
+
+  minTickCount: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .optional()
+    .messages({
+      'number.min': 'Minimum tick count must be at least 1',
+      'number.max': 'Minimum tick count cannot exceed 1000'
+    }),
+
+  postWindowSeconds: Joi.number()
+    .min(0)
+    .max(86400)
+    .optional()
+    .messages({
+      'number.min': 'Post-window series cannot be negative',
+      'number.max': 'Post-window series cannot exceed 86400 seconds'
+    }),
+
+  // Simulation parameters (defaults in trade-simulator.js)
+  bankroll: Joi.number()
+    .positive()
+    .max(1000000000)
+    .optional()
+    .messages({
+      'number.positive': 'Bankroll must be positive',
+      'number.max': 'Bankroll cannot exceed 1,000,000,000'
+    }),
+
+  sizingPolicy: Joi.string()
+    .valid('fixed', 'percent_bankroll', 'edge_proportional', 'kelly', 'depth_capped')
+    .optional()
+    .messages({
+      'any.only': 'Sizing policy must be one of: fixed, percent_bankroll, edge_proportional, kelly, depth_capped'
+    }),
+
+  sizingBankrollPct: Joi.number()
+    .positive()
+    .max(100)
+    .optional()
+    .messages({
+      'number.positive': 'Bankroll percentage must be positive',
+      'number.max': 'Bankroll percentage cannot exceed 100'
+    }),
+
+  sizingReferenceEdge: Joi.number()
+    .positive()
+    .max(1)
+    .optional()
+    .messages({
+      'number.positive': 'Reference edge must be positive',
+      'number.max': 'Reference edge cannot exceed 1'
+    }),
+
+  sizingMaxMultiple: Joi.number()
+    .positive()
+    .max(100)
+    .optional()
+    .messages({
+      'number.positive': 'Maximum size multiple must be positive',
+      'number.max': 'Maximum size multiple cannot exceed 100'
+    }),
+
+  kellyFraction: Joi.number()
+    .positive()
+    .max(1)
+    .optional()
+    .messages({
+      'number.positive': 'Kelly fraction must be positive',
+      'number.max': 'Kelly fraction cannot exceed 1'
+    }),
+
+  kellyWinProbability: Joi.number()
+    .min(0)
+    .max(1)
+    .optional()
+    .messages({
+      'number.min': 'Kelly win probability cannot be negative',
+      'number.max': 'Kelly win probability cannot exceed 1'
+    }),
+
+  kellyLossFraction: Joi.number()
+    .positive()
+    .max(1)
+    .optional()
+    .messages({
+      'number.positive': 'Kelly loss fraction must be positive',
+      'number.max': 'Kelly loss fraction cannot exceed 1'
+    }),
+
+  sizingDepthPct: Joi.number()
+    .positive()
+    .max(100)
+    .optional()
+    .messages({
+      'number.positive': 'Depth cap must be positive',
+      'number.max': 'Depth cap cannot exceed 100%'
+    }),
+
+  latencySeconds: Joi.number()
+    .min(0)
+    .max(60)
+    .optional()
+    .messages({
+      'number.min': 'Latency cannot be negative',
+      'number.max': 'Latency cannot exceed 60 seconds'
+    }),
+
+  minFillTimeSeconds: Joi.number()
+    .min(0)
+    .max(600)
+    .optional()
+    .messages({
+      'number.min': 'Minimum fill time cannot be negative',
+      'number.max': 'Minimum fill time cannot exceed 600 seconds'
+    }),
+
+  feeModel: Joi.string()
+    .valid('market', 'fee_free', 'flat', 'price_curve')
+    .optional()
+    .messages({
+      'any.only': 'Fee model must be one of: market, fee_free, flat, price_curve'
+    }),
+
+  feeBps: Joi.number()
+    .min(0)
+    .max(1000)
+    .optional()
+    .when('feeModel', { is: FEE_BPS_UNUSED, then: Joi.forbidden() })
+    .messages({
+      'number.min': 'Fee cannot be negative',
+      'number.max': 'Fee cannot exceed 1000 bps',
+      'any.unknown': 'Flat fee only applies with the flat fee model'
+    }),
+
+  feeCurveRate: Joi.number()
+    .min(0)
+    .max(1)
+    .optional()
+    .messages({
+      'number.min': 'Fee curve rate cannot be negative',
+      'number.max': 'Fee curve rate cannot exceed 1'
+    }),
+
+  feeCurveExponent: Joi.number()
+    .min(0)
+    .max(4)
+    .optional()
+    .messages({
+      'number.min': 'Fee curve exponent cannot be negative',
+      'number.max': 'Fee curve exponent cannot exceed 4'
+    }),
+
+  liquidityLevelSize: Joi.number()
+    .positive()
+    .max(10000000)
+    .optional()
+    .messages({
+      'number.positive': 'Liquidity level size must be positive',
+      'number.max': 'Liquidity level size cannot exceed 10,000,000 shares'
+    }),
+
+  liquidityLevelStep: Joi.number()
+    .min(0)
+    .max(0.5)
+    .optional()
+    .messages({
+      'number.min': 'Liquidity level step cannot be negative',
+      'number.max': 'Liquidity level step cannot exceed 0.5'
+    }),
+
+  liquidityLevels: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .optional()
+    .messages({
+      'number.min': 'Liquidity levels must be at least 1',
+      'number.max': 'Liquidity levels cannot exceed 100'
+    }),
+
+  legDelaySeconds: Joi.number()
+    .min(0)
+    .max(60)
+    .optional()
+    .messages({
+      'number.min': 'Leg delay cannot be negative',
+      'number.max': 'Leg delay cannot exceed 60 seconds'
+    }),
+
+  legPriceTolerance: Joi.number()
+    .min(0)
+    .max(0.5)
+    .optional()
+    .messages({
+      'number.min': 'Leg price tolerance cannot be negative',
+      'number.max': 'Leg price tolerance cannot exceed 0.5'
+    }),
+
+  unwindPolicy: Joi.string()
+    .valid('unwind', 'hold')
+    .optional()
+    .messages({
+      'any.only': 'Unwind policy must be one of: unwind, hold'
+    }),
+
+  exitPolicy: Joi.string()
+    .valid('hold', 'bid_threshold', 'time')
+    .optional()
+    .messages({
+      'any.only': 'Exit policy must be one of: hold, bid_threshold, time'
+    }),
+
+  exitBidThreshold: Joi.number()
+    .min(0.5)
+    .max(1.5)
+    .optional()
+    .messages({
+      'number.min': 'Exit bid threshold must be at least 0.5',
+      'number.max': 'Exit bid threshold cannot exceed 1.5'
+    }),
+
+  exitAfterSeconds: Joi.number()
+    .min(0)
+    .max(86400)
+    .optional()
+    .messages({
+      'number.min': 'Exit time cannot be negative',
+      'number.max': 'Exit time cannot exceed 86400 seconds'
+    }),
+
+  monteCarloIterations: Joi.number()
+    .integer()
+    .min(0)
+    .max(1000)
+    .optional()
+    .messages({
+      'number.min': 'Monte Carlo iterations cannot be negative',
+      'number.max': 'Monte Carlo iterations cannot exceed 1000'
+    }),
+
+  monteCarloSeed: Joi.number()
+    .integer()
+    .min(0)
+    .max(2147483647)
+    .optional()
+    .messages({
+      'number.min': 'Seed cannot be negative',
+      'number.max': 'Seed cannot exceed 2147483647'
+    }),
+
+  latencyDistribution: Joi.string()
+    .valid('fixed', 'uniform', 'normal', 'lognormal')
+    .optional()
+    .messages({
+      'any.only': 'Latency distribution must be one of: fixed, uniform, normal, lognormal'
+    }),
+
+  latencyJitterSeconds: Joi.number()
+    .min(0)
+    .max(60)
+    .optional()
+    .messages({
+      'number.min': 'Latency jitter cannot be negative',
+      'number.max': 'Latency jitter cannot exceed 60 seconds'
+    }),
+
+  fillProbability: Joi.number()
+    .min(0)
+    .max(1)
+    .optional()
+    .messages({
+      'number.min': 'Fill probability cannot be negative',
+      'number.max': 'Fill probability cannot exceed 1'
+    })
+});
+
+// Fields a sweep can vary - each grid value is validated like the single-run field
+const SWEEPABLE_FIELDS = [
+  'tradeSize', 'bankroll', 'targetTickInterval', 'maxPairingDeltaSeconds', 'spreadProxy',
+  'minWindowDuration', 'minTickCount', 'postWindowSeconds', 'sizingBankrollPct', 'sizingReferenceEdge', 'sizingMaxMultiple',
+  'kellyFraction', 'kellyWinProbability', 'kellyLossFraction', 'sizingDepthPct', 'latencySeconds', 'minFillTimeSeconds', 'feeBps',
+  'feeCurveRate', 'feeCurveExponent', 'liquidityLevelSize', 'liquidityLevelStep', 'liquidityLevels',
+  'legDelaySeconds', 'legPriceTolerance', 'exitBidThreshold', 'exitAfterSeconds',
+  'monteCarloIterations', 'monteCarloSeed', 'latencyJitterSeconds', 'fillProbability'
+];
+
+// POST /api/rules - Create go/no-go rule
+const createRule = Joi.object({
+  metric: Joi.string()
+    .valid(...RULE_METRICS)
+    .required()
+    .messages({
+      'any.only': `Metric must be one of: ${RULE_METRICS.join(', ')}`,
+      'any.required': 'Metric is required'
+    }),
+
+  label: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.max': 'Label cannot exceed 100 characters',
+      'any.required': 'Label is required'
+    }),
+
+  unit: Joi.string()
+    .valid('', '%', 's')
+    .optional()
+    .messages({
+      'any.only': "Unit must be one of: '', '%', 's'"
+    }),
+
+  operator: Joi.string()
+    .valid(...RULE_OPERATORS)
+    .optional()
+    .messages({
+      'any.only': `Operator must be one of: ${RULE_OPERATORS.join(', ')}`
+    }),
+
+  threshold: Joi.number()
+    .required()
+    .messages({
+      'any.required': 'Threshold is required'
+    }),
+
+  weight: Joi.number()
+    .min(0)
+    .max(100)
+    .optional()
+    .messages({
+      'number.min': 'Weight cannot be negative',
+      'number.max': 'Weight cannot exceed 100'
+    }),
+
+  enabled: Joi.boolean()
+    .optional(),
+
+  sort_order: Joi.number()
+    .integer()
+    .optional()
+});
+
+// POST /api/data-downloads/synthetic - Generator parameters (defaults in synthetic-market-generator.js)
+const rate = (label) => Joi.number()
+  .min(0)
+  .max(60)
+  .optional()
+  .messages({
+    'number.min': `${label} per hour cannot be negative`,
+    'number.max': `${label} per hour cannot exceed 60`
+  });
+
+const createSyntheticDownload = Joi.object({
+  asset: Joi.string()
+    .valid('BTC', 'ETH', 'SOL')
+    .optional()
+    .messages({
+      'any.only': 'Asset must be one of: BTC, ETH, SOL'
+    }),
+
+  timeframe: Joi.string()
+    .valid('5min', '15min', '1hr')
+    .optional()
+    .messages({
+      'any.only': 'Timeframe must be one of: 5min, 15min, 1hr'
+    }),
+
+  durationHours: Joi.number()
+    .min(1)
+    .max(168)
+    .optional()
+    .messages({
+      'number.min': 'Duration must be at least 1 hour',
+      'number.max': 'Duration cannot exceed 168 hours (7 days)'
+    }),
+
+  startTime: Joi.number()
+    .integer()
+    .min(0)
+    .optional(),
+
+  seed: Joi.number()
+    .integer()
+    .min(0)
+    .max(2147483647)
+    .optional(),
+
+  tickIntervalSeconds: Joi.number()
+    .integer()
+    .min(1)
+    .max(60)
+    .optional()
+    .messages({
+      'number.min': 'Tick interval must be at least 1 second',
+      'number.max': 'Tick interval cannot exceed 60 seconds'
+    }),
+
+  tickJitterSeconds: Joi.number()
+    .integer()
+    .min(0)
+    .max(29)
+    .optional(),
+
+  meanCombinedPrice: Joi.number()
+    .min(0.9)
+    .max(1.2)
+    .optional()
+    .messages({
+      'number.min': 'Mean combined price must be at least 0.9',
+      'number.max': 'Mean combined price cannot exceed 1.2'
+    }),
+
+  combinedNoise: Joi.number()
+    .min(0)
+    .max(0.1)
+    .optional(),
+
+  reversionRate: Joi.number()
+    .greater(0)
+    .max(1)
+    .optional()
+    .messages({
+      'number.greater': 'Reversion rate must be above 0',
+      'number.max': 'Reversion rate cannot exceed 1'
+    }),
+
+  probabilityVolatility: Joi.number()
+    .min(0)
+    .max(10)
+    .optional(),
+
+  dislocationsPerHour: rate('Dislocations'),
+
+  dislocationDepth: Joi.number()
+    .greater(0)
+    .max(0.5)
+    .optional()
+    .messages({
+      'number.greater': 'Dislocation depth must be above 0',
+      'number.max': 'Dislocation depth cannot exceed 0.5'
+    }),
+
+  dislocationSeconds: Joi.number().min(1).max(3600).optional(),
+  gapsPerHour: rate('Gaps'),
+  gapSeconds: Joi.number().min(1).max(3600).optional(),
+  staleLegsPerHour: rate('Stale legs'),
+  staleLegSeconds: Joi.number().min(1).max(3600).optional(),
+  haltsPerHour: rate('Halts'),
+  haltSeconds: Joi.number().min(1).max(3600).optional()
+});
 
 /**
  * Validation schemas for backtest endpoints
  */
 export const schemas = {
-  // POST /api/backtests - Create backtest
-  createBacktest: Joi.object({
-    asset: Joi.string()
-      .valid('BTC', 'ETH', 'SOL')
-      .required()
-      .messages({
-        'any.only': 'Asset must be one of: BTC, ETH, SOL',
-        'any.required': 'Asset is required'
-      }),
+  createBacktest,
 
-    timeframe: Joi.string()
-      .valid('5min', '15min', '1hr')
+  // POST /api/sweeps - Create parameter sweep (base run config + value lists per field)
+  createSweep: createBacktest.keys({
+    grid: Joi.object(Object.fromEntries(SWEEPABLE_FIELDS.map(field => [
+      field,
+      Joi.array().items(createBacktest.extract(field).optional()).min(1).max(20).unique()
+    ])))
+      .keys({
+        feeBps: Joi.array().items(createBacktest.extract('feeBps').optional()).min(1).max(20).unique()
+          .when('...feeModel', { is: FEE_BPS_UNUSED, then: Joi.forbidden() })
+          .messages({ 'any.unknown': 'Flat fee only applies with the flat fee model' })
+      })
+      .min(1)
       .required()
       .messages({
-        'any.only': 'Timeframe must be one of: 5min, 15min, 1hr',
-        'any.required': 'Timeframe is required'
-      }),
+        'object.min': 'Grid must vary at least one field',
+        'any.required': 'Grid is required'
+      })
+  }),
 
-    period: Joi.string()
-      .valid('7d', '30d', '60d', '3m', '6m', '12m', '24m', '36m')
-      .required()
-      .messages({
-        'any.only': 'Period must be one of: 7d, 30d, 60d, 3m, 6m, 12m, 24m, 36m',
-        'any.required': 'Period is required'
-      }),
+  // POST /api/rules, PUT /api/rules/:id - every field optional on update
+  createRule,
+  updateRule: createRule
+    .fork(['metric', 'label', 'threshold'], field => field.optional())
+    .min(1)
+    .messages({ 'object.min': 'Provide at least one field to update' }),
 
-    tradeSize: Joi.number()
-      .min(1)
-      .max(100000)
-      .required()
+  createSyntheticDownload,
+
+  // GET /api/data-downloads/:id/ground-truth - Optionally score a run on the download
+  groundTruthQuery: Joi.object({
+    runId: Joi.string()
+      .uuid()
+      .optional()
       .messages({
-        'number.min': 'Trade size must be at least $1',
-        'number.max': 'Trade size cannot exceed $100,000',
-        'any.required': 'Trade size is required'
-      }),
+        'string.guid': 'Run ID must be a valid UUID'
+      })
+  }),
 
-    name: Joi.string()
-      .max(100)
+  // GET /api/backtests - Optional verdict filter
+  runsQuery: Joi.object({
+    verdict: Joi.string()
+      .valid('go', 'marginal', 'no_go')
       .optional()
       .messages({
-        'string.max': 'Name cannot exceed 100 characters'
+        'any.only': 'Verdict must be one of: go, marginal, no_go'
+      })
+  }),
+
+  // Integer id for rule routes
+  ruleIdParam: Joi.object({
+    id: Joi.number()
+      .integer()
+      .positive()
+      .required()
+      .messages({
+        'number.base': 'Invalid rule ID',
+        'any.required': 'ID is required'
       })
   }),
 
@@ -66,6 +653,48 @@ export const schemas = {
       })
   }),
 
+  // POST /api/data-downloads/:id/orderbook/start - Collection schedule (defaults in orderbook-collector.js)
+  orderbookCollection: Joi.object({
+    intervalSeconds: Joi.number()
+      .integer()
+      .min(1)
+      .max(300)
+      .optional()
+      .messages({
+        'number.min': 'Interval must be at least 1 second',
+        'number.max': 'Interval cannot exceed 300 seconds'
+      }),
+
+    depth: Joi.number()
+      .integer()
+      .min(1)
+      .max(50)
+      .optional()
+      .messages({
+        'number.min': 'Depth must be at least 1 level',
+        'number.max': 'Depth cannot exceed 50 levels'
+      }),
+
+    durationMinutes: Joi.number()
+      .min(1)
+      .max(1440)
+      .optional()
+      .messages({
+        'number.min': 'Duration must be at least 1 minute',
+        'number.max': 'Duration cannot exceed 1440 minutes (24h)'
+      })
+  }),
+
+  // GET /api/events - Optional comma-separated channel filter
+  eventsQuery: Joi.object({
+    channels: Joi.string()
+      .pattern(/^(backtest|download|log)(,(backtest|download|log))*$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Channels must be a comma-separated list of: backtest, download, log'
+      })
+  }),
+
   // UUID validation for route parameters
   uuidParam: Joi.object({
     id: Joi.string()
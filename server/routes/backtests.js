@@ -1,75 +1,27 @@
 import express from 'express';
 import db from '../database/db.js';
 import jobRunner from '../services/job-runner.js';
-import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_DETECTION_PARAMS } from '../services/window-detector.js';
+import { DEFAULT_SIMULATION_PARAMS } from '../services/trade-simulator.js';
+import backtestFactory from '../services/backtest-factory.js';
+import backtestProcessor from '../services/backtest-processor.js';
+import goNoGo from '../services/go-no-go.js';
 import { requireAuth } from '../middleware/auth.js';
 import { validate, schemas } from '../middleware/validation.js';
 
 const router = express.Router();
 
-/**
- * Parse period string to days
- */
-function parsePeriod(period) {
-  const map = {
-    '30d': 30,
-    '60d': 60,
-    '3m': 90,
-    '6m': 180
-  };
-  return map[period] || 30;
-}
-
 /**
  * POST /api/backtests - Create new backtest run
  * Requires authentication
  */
 router.post('/', requireAuth, validate(schemas.createBacktest), (req, res) => {
   try {
-    const { asset, timeframe, period, tradeSize, name } = req.body;
-
-    // Calculate analysis period
-    const now = Math.floor(Date.now() / 1000);
-    const periodDays = parsePeriod(period);
-    const analysisStart = now - (periodDays * 24 * 60 * 60);
-    const analysisEnd = now;
-
-    // Generate IDs
-    const runId = uuidv4();
-    const jobId = uuidv4();
-
-    // Generate name if not provided
-    const runName = name || `${asset} ${timeframe} ${period} $${tradeSize}`;
-
-    // Create backtest record
-    db.prepare(`
-      INSERT INTO backtests
-      (id, name, asset, timeframe, period, trade_size, status,
-       analysis_start, analysis_end, created_at, parameters_json)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      runId,
-      runName,
-      asset,
-      timeframe,
-      period,
-      tradeSize,
-      'queued',
-      analysisStart,
-      analysisEnd,
-      now,
-      JSON.stringify({ asset, timeframe, period, tradeSize })
-    );
-
-    // Create job record
-    db.prepare(`
-      INSERT INTO jobs
-      (job_id, run_id, status, progress_pct, stage)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(jobId, runId, 'queued', 0, 'queued');
-
-    // Enqueue job for processing
-    jobRunner.enqueue(runId);
+    const range = backtestFactory.resolveDataRange(req.body);
+    const { runId, jobId } = backtestFactory.createRun(req.body, range);
+
+    // Job row is already queued - let the runner claim it
+    jobRunner.processQueue();
 
     res.json({
       success: true,
@@ -80,24 +32,35 @@ router.post('/', requireAuth, validate(schemas.createBacktest), (req, res) => {
 
   } catch (error) {
     console.error('Error creating backtest:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 /**
- * GET /api/backtests - List all backtest runs
+ * GET /api/backtests/defaults - Default detection and simulation parameters
  */
-router.get('/', (req, res) => {
+router.get('/defaults', (req, res) => {
+  res.json({ ...DEFAULT_DETECTION_PARAMS, ...DEFAULT_SIMULATION_PARAMS });
+});
+
+/**
+ * GET /api/backtests - List all backtest runs (?verdict=go|marginal|no_go to filter)
+ */
+router.get('/', validate(schemas.runsQuery, 'query'), (req, res) => {
   try {
+    const { verdict } = req.query;
+
     const runs = db.prepare(`
       SELECT id, name, asset, timeframe, period, trade_size, status,
              progress_pct, stage, windows_detected, trades_completed,
              fill_success_rate, avg_execution_adjusted_edge,
              data_coverage_pct, windows_per_analysis_hour, duration_p50,
-             created_at, completed_at, error_message
+             verdict, verdict_score,
+             created_at, completed_at, error_message, sweep_id
       FROM backtests
+      ${verdict ? 'WHERE verdict = ?' : ''}
       ORDER BY created_at DESC
-    `).all();
+    `).all(...(verdict ? [verdict] : []));
 
     res.json(runs);
   } catch (error) {
@@ -133,10 +96,57 @@ router.get('/:id', validate(schemas.uuidParam, 'params'), (req, res) => {
       SELECT * FROM trades_sim WHERE run_id = ?
     `).all(id);
 
+    // Per-market attribution (question comes from live or downloaded market metadata)
+    const markets = db.prepare(`
+      SELECT w.market_id,
+             COALESCE(
+               (SELECT question FROM markets m WHERE m.market_id = w.market_id),
+               (SELECT question FROM downloaded_markets dm
+                WHERE dm.market_id = w.market_id AND dm.question IS NOT NULL LIMIT 1)
+             ) AS question,
+             COALESCE(
+               (SELECT fee_regime FROM markets m WHERE m.market_id = w.market_id),
+               (SELECT fee_regime FROM downloaded_markets dm WHERE dm.market_id = w.market_id LIMIT 1)
+             ) AS fee_regime,
+             COALESCE(
+               (SELECT resolution_status FROM markets m WHERE m.market_id = w.market_id),
+               (SELECT resolution_status FROM downloaded_markets dm WHERE dm.market_id = w.market_id LIMIT 1)
+             ) AS resolution_status,
+             COALESCE(
+               (SELECT winning_outcome FROM markets m WHERE m.market_id = w.market_id),
+               (SELECT winning_outcome FROM downloaded_markets dm WHERE dm.market_id = w.market_id LIMIT 1)
+             ) AS winning_outcome,
+             COALESCE(
+               (SELECT disputed FROM markets m WHERE m.market_id = w.market_id),
+               (SELECT disputed FROM downloaded_markets dm WHERE dm.market_id = w.market_id LIMIT 1)
+             ) AS disputed,
+             COUNT(*) AS windows,
+             SUM(CASE WHEN t.result IN ('completed', 'partial') THEN 1 ELSE 0 END) AS fills,
+             SUM(CASE WHEN t.result = 'hedge_failed' THEN 1 ELSE 0 END) AS hedge_failures,
+             COALESCE(SUM(t.profit), 0) AS profit,
+             COALESCE(SUM(t.fees), 0) AS fees,
+             MIN(w.min_combined_price) AS best_combined_price
+      FROM windows w
+      LEFT JOIN trades_sim t ON t.window_id = w.id
+      WHERE w.run_id = ?
+      GROUP BY w.market_id
+      ORDER BY profit DESC
+    `).all(id);
+
+    // Bankroll simulation equity over time
+    const equityCurve = db.prepare(`
+      SELECT timestamp, equity, reserved FROM equity_curve
+      WHERE run_id = ?
+      ORDER BY timestamp ASC, id ASC
+    `).all(id);
+
     res.json({
       run,
       windows,
-      trades
+      trades,
+      markets,
+      equity_curve: equityCurve,
+      go_no_go: goNoGo.evaluateRun(run)
     });
   } catch (error) {
     console.error('Error fetching backtest details:', error);
@@ -153,6 +163,8 @@ router.get('/:id/status', validate(schemas.uuidParam, 'params'), (req, res) => {
 
     const job = db.prepare(`
       SELECT * FROM jobs WHERE run_id = ?
+      ORDER BY created_at DESC
+      LIMIT 1
     `).get(id);
 
     if (!job) {
@@ -166,6 +178,124 @@ router.get('/:id/status', validate(schemas.uuidParam, 'params'), (req, res) => {
   }
 });
 
+/**
+ * POST /api/backtests/:id/cancel - Cancel a queued or running backtest
+ * Requires authentication
+ */
+router.post('/:id/cancel', requireAuth, validate(schemas.uuidParam, 'params'), (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const run = db.prepare('SELECT id, status FROM backtests WHERE id = ?').get(id);
+    if (!run) {
+      return res.status(404).json({ error: 'Backtest not found' });
+    }
+
+    const job = jobRunner.getActiveJob({ runId: id });
+    if (!job || !['queued', 'running'].includes(run.status)) {
+      return res.status(400).json({ error: `Cannot cancel a ${run.status} backtest` });
+    }
+
+    // A queued run never started, so settle it here; a running one stops at its next checkpoint
+    if (jobRunner.requestCancel(job)) {
+      backtestProcessor.markCancelled(id);
+      return res.json({ success: true, message: 'Backtest cancelled' });
+    }
+
+    db.prepare("UPDATE backtests SET stage = 'Cancelling...' WHERE id = ?").run(id);
+    res.json({ success: true, message: 'Cancellation requested' });
+  } catch (error) {
+    console.error('Error cancelling backtest:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/backtests/:id/retry - Requeue a failed or cancelled backtest in place
+ * Requires authentication
+ */
+router.post('/:id/retry', requireAuth, validate(schemas.uuidParam, 'params'), (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const run = db.prepare('SELECT id, status FROM backtests WHERE id = ?').get(id);
+    if (!run) {
+      return res.status(404).json({ error: 'Backtest not found' });
+    }
+    if (!['failed', 'cancelled'].includes(run.status)) {
+      return res.status(400).json({ error: `Only failed or cancelled backtests can be retried (this one is ${run.status})` });
+    }
+    if (jobRunner.getActiveJob({ runId: id })) {
+      return res.status(409).json({ error: 'Backtest is still stopping - try again shortly' });
+    }
+
+    // Keep the priority the run was queued with
+    const lastJob = db.prepare(`
+      SELECT priority FROM jobs WHERE run_id = ? ORDER BY created_at DESC LIMIT 1
+    `).get(id);
+
+    let jobId;
+    const transaction = db.transaction(() => {
+      db.prepare('DELETE FROM trades_sim WHERE run_id = ?').run(id);
+      db.prepare('DELETE FROM windows WHERE run_id = ?').run(id);
+      db.prepare('DELETE FROM equity_curve WHERE run_id = ?').run(id);
+      db.prepare(`
+        UPDATE backtests
+        SET status = 'queued', stage = 'queued', progress_pct = 0, error_message = NULL, completed_at = NULL
+        WHERE id = ?
+      `).run(id);
+      jobId = jobRunner.createJob('backtest', { runId: id, priority: lastJob?.priority || 0 });
+    });
+
+    transaction();
+    jobRunner.processQueue();
+
+    res.json({ success: true, runId: id, jobId, message: 'Backtest requeued' });
+  } catch (error) {
+    console.error('Error retrying backtest:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/backtests/:id/rerun - Clone a backtest's configuration into a new run
+ * The new run analyses the same period with the same effective parameters
+ * Requires authentication
+ */
+router.post('/:id/rerun', requireAuth, validate(schemas.uuidParam, 'params'), (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const run = db.prepare('SELECT * FROM backtests WHERE id = ?').get(id);
+    if (!run) {
+      return res.status(404).json({ error: 'Backtest not found' });
+    }
+
+    const parameters = JSON.parse(run.parameters_json || '{}');
+    const config = {
+      ...parameters,
+      asset: run.asset,
+      timeframe: run.timeframe,
+      period: run.period,
+      tradeSize: run.trade_size,
+      name: `${run.name} (re-run)`
+    };
+    const range = {
+      analysisStart: run.analysis_start,
+      analysisEnd: run.analysis_end,
+      dataSource: parameters.dataSource || 'live'
+    };
+
+    const { runId, jobId } = backtestFactory.createRun(config, range);
+    jobRunner.processQueue();
+
+    res.json({ success: true, runId, jobId, message: 'Backtest re-run queued' });
+  } catch (error) {
+    console.error('Error re-running backtest:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * DELETE /api/backtests/:id - Delete backtest run
  * Requires authentication
@@ -178,6 +308,7 @@ router.delete('/:id', requireAuth, validate(schemas.uuidParam, 'params'), (req,
     const transaction = db.transaction(() => {
       db.prepare('DELETE FROM trades_sim WHERE run_id = ?').run(id);
       db.prepare('DELETE FROM windows WHERE run_id = ?').run(id);
+      db.prepare('DELETE FROM equity_curve WHERE run_id = ?').run(id);
       db.prepare('DELETE FROM jobs WHERE run_id = ?').run(id);
       db.prepare('DELETE FROM backtests WHERE id = ?').run(id);
     });
@@ -200,7 +331,7 @@ router.get('/:id/export/trades.csv', requireAuth, validate(schemas.uuidParam, 'p
     const { id } = req.params;
 
     const trades = db.prepare(`
-      SELECT t.*, w.start_time, w.end_time, w.duration,
+      SELECT t.*, w.market_id, w.start_time, w.end_time, w.duration,
              w.entry_combined_price, w.min_combined_price
       FROM trades_sim t
       LEFT JOIN windows w ON t.window_id = w.id
@@ -214,16 +345,29 @@ router.get('/:id/export/trades.csv', requireAuth, validate(schemas.uuidParam, 'p
 
     // Generate CSV
     const headers = [
-      'trade_id', 'result', 'profit', 'fees',
+      'trade_id', 'market_id', 'result', 'profit', 'fees',
+      'filled_size', 'avg_price', 'slippage',
+      'unhedged_outcome_index', 'unhedged_size', 'unhedged_exit_price', 'settlement',
+      'exit_time', 'exit_price',
       'window_start', 'window_end', 'duration',
       'entry_price', 'min_price'
     ].join(',');
 
     const rows = trades.map(t => [
       t.id,
+      t.market_id,
       t.result,
       t.profit,
       t.fees,
+      t.filled_size,
+      t.avg_price,
+      t.slippage,
+      t.unhedged_outcome_index,
+      t.unhedged_size,
+      t.unhedged_exit_price,
+      t.settlement,
+      t.exit_time,
+      t.exit_price,
       t.start_time,
       t.end_time,
       t.duration,
@@ -243,6 +387,50 @@ router.get('/:id/export/trades.csv', requireAuth, validate(schemas.uuidParam, 'p
   }
 });
 
+/**
+ * GET /api/backtests/:id/export/metrics.csv - Export go/no-go metrics with confidence intervals
+ * Requires authentication (sensitive data export)
+ */
+router.get('/:id/export/metrics.csv', requireAuth, validate(schemas.uuidParam, 'params'), (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const run = db.prepare('SELECT * FROM backtests WHERE id = ?').get(id);
+    if (!run) {
+      return res.status(404).json({ error: 'Backtest not found' });
+    }
+
+    const { results, sampleWarning } = goNoGo.evaluateRun(run);
+
+    const headers = [
+      'metric', 'label', 'value', 'ci_lower', 'ci_upper',
+      'operator', 'threshold', 'status', 'sample_warning'
+    ].join(',');
+
+    const rows = results.map(r => [
+      r.metric,
+      `"${r.label.replace(/"/g, '""')}"`,
+      r.value ?? '',
+      r.interval?.lower ?? '',
+      r.interval?.upper ?? '',
+      r.operator,
+      r.threshold,
+      r.status,
+      sampleWarning ? `"${sampleWarning.replace(/"/g, '""')}"` : ''
+    ].join(','));
+
+    const csv = [headers, ...rows].join('\n');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="metrics_${id}.csv"`);
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Error exporting metrics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/backtests/:id/debug/top-windows - Get top arbitrage windows
  */
@@ -1,23 +1,13 @@
 import express from 'express';
 import db from '../database/db.js';
-import polymarketClient from '../services/polymarket-client.js';
+import jobRunner from '../services/job-runner.js';
+import orderbookCollector from '../services/orderbook-collector.js';
+import syntheticGenerator from '../services/synthetic-market-generator.js';
+import dataProvider from '../../lib/data-provider.js';
+import { validate, schemas } from '../middleware/validation.js';
 import { v4 as uuidv4 } from 'uuid';
 
 const router = express.Router();
-const activeDownloads = new Set();
-const cancelledDownloads = new Set();
-
-try {
-  const orphaned = db.prepare(`
-    UPDATE data_downloads SET status = 'stopped', stage = 'Stopped (server restarted)'
-    WHERE status = 'running'
-  `).run();
-  if (orphaned.changes > 0) {
-    console.log(`[DataDownloads] Cleaned up ${orphaned.changes} orphaned running download(s) from previous session`);
-  }
-} catch (e) {
-  // table may not exist yet on first run
-}
 
 function parsePeriod(period) {
   const map = {
@@ -37,7 +27,7 @@ router.get('/', (req, res) => {
   try {
     const downloads = db.prepare(`
       SELECT d.id, d.asset, d.period, d.status, d.progress_pct, d.stage, d.error_message,
-             d.start_time, d.end_time, d.created_at, d.completed_at,
+             d.start_time, d.end_time, d.created_at, d.completed_at, d.synthetic,
              (SELECT COUNT(*) FROM downloaded_markets WHERE download_id = d.id) as market_count,
              (SELECT COUNT(*) FROM downloaded_snapshots WHERE download_id = d.id) as snapshot_count
       FROM data_downloads d
@@ -89,7 +79,7 @@ router.post('/', async (req, res) => {
     if (period === 'custom') {
       existing = db.prepare(`
         SELECT id, start_time, end_time, status FROM data_downloads
-        WHERE asset = ? AND period = 'custom' AND status IN ('running', 'stopped')
+        WHERE asset = ? AND period = 'custom' AND status IN ('queued', 'running', 'stopped')
           AND start_time = ? AND end_time = ?
         ORDER BY created_at DESC
         LIMIT 1
@@ -97,14 +87,14 @@ router.post('/', async (req, res) => {
     } else {
       existing = db.prepare(`
         SELECT id, start_time, end_time, status FROM data_downloads
-        WHERE asset = ? AND period = ? AND status IN ('running', 'stopped')
+        WHERE asset = ? AND period = ? AND status IN ('queued', 'running', 'stopped')
         ORDER BY created_at DESC
         LIMIT 1
       `).get(asset, period);
     }
 
     if (existing) {
-      if (activeDownloads.has(existing.id)) {
+      if (jobRunner.getActiveJob({ downloadId: existing.id })) {
         return res.json({
           success: true,
           downloadId: existing.id,
@@ -113,16 +103,8 @@ router.post('/', async (req, res) => {
         });
       }
 
-      activeDownloads.add(existing.id);
-      db.prepare(`UPDATE data_downloads SET status = 'running' WHERE id = ?`).run(existing.id);
-      processDataDownload(existing.id, asset, existing.start_time, existing.end_time).catch(err => {
-        console.error(`Error resuming download ${existing.id}:`, err);
-        db.prepare(`
-          UPDATE data_downloads SET status = ?, error_message = ? WHERE id = ?
-        `).run('failed', err.message, existing.id);
-      }).finally(() => {
-        activeDownloads.delete(existing.id);
-      });
+      db.prepare(`UPDATE data_downloads SET status = 'queued', stage = 'Queued' WHERE id = ?`).run(existing.id);
+      jobRunner.enqueue('download', { downloadId: existing.id });
 
       return res.json({
         success: true,
@@ -134,18 +116,20 @@ router.post('/', async (req, res) => {
 
     const downloadId = uuidv4();
     const now = Math.floor(Date.now() / 1000);
+    // Periods end at the provider clock - the recording time when replaying fixtures
+    const periodEnd = dataProvider.now();
     let startTime, endTime;
     if (period === 'custom') {
       startTime = customStart;
       endTime = customEnd;
     } else {
       const periodDays = parsePeriod(period);
-      startTime = now - (periodDays * 24 * 60 * 60);
-      endTime = now;
+      startTime = periodEnd - (periodDays * 24 * 60 * 60);
+      endTime = periodEnd;
     }
 
-    if (endTime > now) {
-      endTime = now;
+    if (endTime > periodEnd) {
+      endTime = periodEnd;
     }
     if (startTime >= endTime) {
       return res.status(400).json({ error: 'Start date must be before end date (and not in the future)' });
@@ -155,17 +139,9 @@ router.post('/', async (req, res) => {
       INSERT INTO data_downloads
       (id, asset, period, status, progress_pct, stage, start_time, end_time, created_at)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(downloadId, asset, period, 'running', 0, 'Initializing', startTime, endTime, now);
-
-    activeDownloads.add(downloadId);
-    processDataDownload(downloadId, asset, startTime, endTime).catch(err => {
-      console.error(`Error processing download ${downloadId}:`, err);
-      db.prepare(`
-        UPDATE data_downloads SET status = ?, error_message = ? WHERE id = ?
-      `).run('failed', err.message, downloadId);
-    }).finally(() => {
-      activeDownloads.delete(downloadId);
-    });
+    `).run(downloadId, asset, period, 'queued', 0, 'Queued', startTime, endTime, now);
+
+    jobRunner.enqueue('download', { downloadId });
 
     res.json({
       success: true,
@@ -180,6 +156,20 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/data-downloads/synthetic - Generate a synthetic download with planted windows
+ * Completes immediately; backtests use it only when it is selected as their download
+ */
+router.post('/synthetic', validate(schemas.createSyntheticDownload), (req, res) => {
+  try {
+    const download = syntheticGenerator.createDownload(req.body);
+    res.status(201).json({ success: true, ...download });
+  } catch (error) {
+    console.error('Error generating synthetic download:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 router.get('/analyze/range', (req, res) => {
   try {
     const { asset, start, end } = req.query;
@@ -197,7 +187,7 @@ router.get('/analyze/range', (req, res) => {
 
     const completedDownloads = db.prepare(`
       SELECT id FROM data_downloads
-      WHERE asset = ? AND status = 'completed'
+      WHERE asset = ? AND status = 'completed' AND synthetic = 0
     `).all(asset);
 
     if (completedDownloads.length === 0) {
@@ -218,7 +208,7 @@ router.get('/analyze/range', (req, res) => {
 
     if (totalCount <= MAX_SNAPSHOTS) {
       snapshots = db.prepare(`
-        SELECT market_id, timestamp, side, mid, last, is_tradable
+        SELECT market_id, timestamp, outcome_index, outcome_label, mid, last, is_tradable
         FROM downloaded_snapshots
         WHERE download_id IN (${placeholders})
           AND timestamp >= ? AND timestamp <= ?
@@ -227,7 +217,7 @@ router.get('/analyze/range', (req, res) => {
     } else {
       const sampleRate = Math.ceil(totalCount / MAX_SNAPSHOTS);
       snapshots = db.prepare(`
-        SELECT market_id, timestamp, side, mid, last, is_tradable
+        SELECT market_id, timestamp, outcome_index, outcome_label, mid, last, is_tradable
         FROM downloaded_snapshots
         WHERE download_id IN (${placeholders})
           AND timestamp >= ? AND timestamp <= ?
@@ -239,7 +229,7 @@ router.get('/analyze/range', (req, res) => {
     const seen = new Set();
     const dedupedSnapshots = [];
     for (const s of snapshots) {
-      const key = `${s.market_id}_${s.timestamp}_${s.side}`;
+      const key = `${s.market_id}_${s.timestamp}_${s.outcome_index}`;
       if (!seen.has(key)) {
         seen.add(key);
         dedupedSnapshots.push(s);
@@ -330,14 +320,14 @@ router.get('/:id/data', (req, res) => {
 
     if (totalCount <= MAX_SNAPSHOTS) {
       snapshots = db.prepare(`
-        SELECT market_id, timestamp, side, mid, last, is_tradable
+        SELECT market_id, timestamp, outcome_index, outcome_label, mid, last, is_tradable
         FROM downloaded_snapshots WHERE download_id = ?
         ORDER BY timestamp ASC
       `).all(id);
     } else {
       const sampleRate = Math.ceil(totalCount / MAX_SNAPSHOTS);
       snapshots = db.prepare(`
-        SELECT market_id, timestamp, side, mid, last, is_tradable
+        SELECT market_id, timestamp, outcome_index, outcome_label, mid, last, is_tradable
         FROM downloaded_snapshots WHERE download_id = ?
         AND rowid % ? = 0
         ORDER BY timestamp ASC
@@ -385,7 +375,7 @@ router.get('/:id/export.csv', (req, res) => {
     const snapshots = db.prepare(`
       SELECT * FROM downloaded_snapshots
       WHERE download_id = ?
-      ORDER BY timestamp ASC, side ASC
+      ORDER BY timestamp ASC, outcome_index ASC
     `).all(id);
 
     if (snapshots.length === 0) {
@@ -393,7 +383,7 @@ router.get('/:id/export.csv', (req, res) => {
     }
 
     const headers = [
-      'timestamp', 'datetime', 'market_id', 'side',
+      'timestamp', 'datetime', 'market_id', 'outcome_index', 'outcome_label',
       'mid_price', 'last_price', 'is_tradable'
     ].join(',');
 
@@ -401,7 +391,8 @@ router.get('/:id/export.csv', (req, res) => {
       s.timestamp,
       new Date(s.timestamp * 1000).toISOString(),
       s.market_id,
-      s.side,
+      s.outcome_index,
+      s.outcome_label,
       s.mid,
       s.last,
       s.is_tradable
@@ -446,6 +437,8 @@ router.delete('/by-asset', (req, res) => {
 
     const transaction = db.transaction(() => {
       for (const id of ids) {
+        orderbookCollector.stop(id);
+        db.prepare('DELETE FROM orderbook_snapshots WHERE download_id = ?').run(id);
         db.prepare('DELETE FROM downloaded_snapshots WHERE download_id = ?').run(id);
         db.prepare('DELETE FROM downloaded_markets WHERE download_id = ?').run(id);
         db.prepare('DELETE FROM data_downloads WHERE id = ?').run(id);
@@ -466,7 +459,9 @@ router.delete('/:id', (req, res) => {
   try {
     const { id } = req.params;
 
+    orderbookCollector.stop(id);
     const transaction = db.transaction(() => {
+      db.prepare('DELETE FROM orderbook_snapshots WHERE download_id = ?').run(id);
       db.prepare('DELETE FROM downloaded_snapshots WHERE download_id = ?').run(id);
       db.prepare('DELETE FROM downloaded_markets WHERE download_id = ?').run(id);
       db.prepare('DELETE FROM data_downloads WHERE id = ?').run(id);
@@ -493,25 +488,18 @@ router.post('/:id/resume', async (req, res) => {
       return res.status(404).json({ error: 'Download not found' });
     }
 
-    if (!['running', 'stopped', 'failed'].includes(download.status)) {
+    if (!['queued', 'running', 'stopped', 'failed'].includes(download.status)) {
       return res.status(400).json({ error: 'Download cannot be resumed (already completed)' });
     }
 
-    if (activeDownloads.has(id)) {
+    if (jobRunner.getActiveJob({ downloadId: id })) {
       return res.json({ success: true, downloadId: id, message: 'Download already in progress' });
     }
 
-    activeDownloads.add(id);
-    db.prepare(`UPDATE data_downloads SET status = 'running', error_message = NULL WHERE id = ?`).run(id);
-
-    processDataDownload(id, download.asset, download.start_time, download.end_time).catch(err => {
-      console.error(`Error resuming download ${id}:`, err);
-      db.prepare(`
-        UPDATE data_downloads SET status = ?, error_message = ? WHERE id = ?
-      `).run('failed', err.message, id);
-    }).finally(() => {
-      activeDownloads.delete(id);
-    });
+    db.prepare(`
+      UPDATE data_downloads SET status = 'queued', stage = 'Queued', error_message = NULL WHERE id = ?
+    `).run(id);
+    jobRunner.enqueue('download', { downloadId: id });
 
     res.json({ success: true, downloadId: id, message: 'Resuming download' });
   } catch (error) {
@@ -532,11 +520,16 @@ router.post('/:id/stop', (req, res) => {
       return res.status(404).json({ error: 'Download not found' });
     }
 
-    if (download.status !== 'running') {
+    const job = jobRunner.getActiveJob({ downloadId: id });
+    if (!job) {
       return res.status(400).json({ error: 'Download is not running' });
     }
 
-    cancelledDownloads.add(id);
+    if (jobRunner.requestCancel(job, 'stopped')) {
+      // Not started yet - nothing will pick it up
+      db.prepare(`UPDATE data_downloads SET status = 'stopped', stage = 'Stopped' WHERE id = ?`).run(id);
+      return res.json({ success: true, message: 'Queued download stopped' });
+    }
 
     res.json({ success: true, message: 'Stop signal sent' });
   } catch (error) {
@@ -545,255 +538,112 @@ router.post('/:id/stop', (req, res) => {
   }
 });
 
-function getExistingCoverage(asset, startTime, endTime) {
-  const existingDownloads = db.prepare(`
-    SELECT id FROM data_downloads
-    WHERE asset = ? AND status = 'completed'
-  `).all(asset);
-
-  if (existingDownloads.length === 0) return new Map();
-
-  const ids = existingDownloads.map(d => d.id);
-  const placeholders = ids.map(() => '?').join(',');
-
-  const rows = db.prepare(`
-    SELECT market_id, MIN(timestamp) as min_ts, MAX(timestamp) as max_ts, COUNT(*) as cnt
-    FROM downloaded_snapshots
-    WHERE download_id IN (${placeholders})
-      AND timestamp >= ? AND timestamp <= ?
-    GROUP BY market_id
-  `).all(...ids, startTime, endTime);
-
-  const coverage = new Map();
-  for (const row of rows) {
-    coverage.set(row.market_id, {
-      minTs: row.min_ts,
-      maxTs: row.max_ts,
-      count: row.cnt,
-    });
-  }
-  return coverage;
-}
-
-function copyExistingSnapshots(downloadId, asset, marketId, startTime, endTime) {
-  const existingDownloads = db.prepare(`
-    SELECT id FROM data_downloads
-    WHERE asset = ? AND status = 'completed'
-  `).all(asset);
-
-  if (existingDownloads.length === 0) return 0;
-
-  const ids = existingDownloads.map(d => d.id);
-  const placeholders = ids.map(() => '?').join(',');
-
-  const snapshots = db.prepare(`
-    SELECT market_id, timestamp, side, mid, last, is_tradable
-    FROM downloaded_snapshots
-    WHERE download_id IN (${placeholders}) AND market_id = ?
-      AND timestamp >= ? AND timestamp <= ?
-    ORDER BY timestamp ASC
-  `).all(...ids, marketId, startTime, endTime);
-
-  const seen = new Set();
-  const unique = [];
-  for (const s of snapshots) {
-    const key = `${s.timestamp}_${s.side}`;
-    if (!seen.has(key)) {
-      seen.add(key);
-      unique.push(s);
-    }
-  }
-
-  if (unique.length === 0) return 0;
-
-  const insert = db.prepare(`
-    INSERT OR IGNORE INTO downloaded_snapshots (download_id, market_id, timestamp, side, mid, last, is_tradable)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
-  `);
+/**
+ * GET /api/data-downloads/:id/ground-truth - Planted windows and impairments of a synthetic download
+ * With ?runId= also scores that completed run's detected windows (recall and precision)
+ */
+router.get('/:id/ground-truth', validate(schemas.uuidParam, 'params'), validate(schemas.groundTruthQuery, 'query'), (req, res) => {
+  try {
+    const { id } = req.params;
+    const { runId } = req.query;
 
-  const tx = db.transaction(() => {
-    for (const s of unique) {
-      insert.run(downloadId, s.market_id, s.timestamp, s.side, s.mid, s.last, s.is_tradable);
+    const groundTruth = syntheticGenerator.getGroundTruth(id);
+    if (!groundTruth) {
+      return res.status(404).json({ error: 'Synthetic download not found' });
     }
-  });
-  tx();
-
-  return unique.length;
-}
-
-async function processDataDownload(downloadId, asset, startTime, endTime) {
-  const updateProgress = (progress, stage) => {
-    db.prepare(`
-      UPDATE data_downloads SET progress_pct = ?, stage = ? WHERE id = ?
-    `).run(progress, stage, downloadId);
-  };
 
-  try {
-      updateProgress(-1, 'Checking existing data coverage...');
-      const existingCoverage = getExistingCoverage(asset, startTime, endTime);
-
-      if (existingCoverage.size > 0) {
-        console.log(`[DataDownload] Found existing data for ${existingCoverage.size} markets`);
+    let score = null;
+    if (runId) {
+      const run = db.prepare('SELECT status, parameters_json FROM backtests WHERE id = ?').get(runId);
+      if (!run) {
+        return res.status(404).json({ error: 'Backtest not found' });
       }
-
-      updateProgress(-1, 'Discovering markets on Polymarket...');
-      const excludeMarketIds = new Set(existingCoverage.keys());
-      const markets = await polymarketClient.fetchMarkets(asset, '15min', startTime, endTime, { excludeMarketIds });
-
-      if (markets.length === 0) {
-        console.warn(`[DataDownload] No markets found for ${asset}`);
-        console.warn(`[DataDownload] This may be due to Bitquery quota limits or no matching markets in this date range`);
-
-        updateProgress(100, 'No markets found for this asset/date range');
-        db.prepare(`
-          UPDATE data_downloads SET status = ?, completed_at = ?, error_message = ? WHERE id = ?
-        `).run('failed', Math.floor(Date.now() / 1000), 'No markets found for this asset and date range. Check that Bitquery quota is available and the date range contains active markets.', downloadId);
-        return;
+      if (JSON.parse(run.parameters_json || '{}').downloadId !== id) {
+        return res.status(400).json({ error: 'Backtest did not run on this download' });
       }
-
-      const marketsToFetch = [];
-      const marketsAlreadyCovered = [];
-
-      for (const market of markets) {
-        const cov = existingCoverage.get(market.market_id);
-        if (cov && cov.minTs <= startTime + 86400 && cov.maxTs >= endTime - 86400 && cov.count > 10) {
-          marketsAlreadyCovered.push(market);
-        } else {
-          marketsToFetch.push(market);
-        }
+      if (run.status !== 'completed') {
+        return res.status(400).json({ error: 'Backtest not yet completed' });
       }
+      score = syntheticGenerator.scoreRun(groundTruth, runId);
+    }
 
-      console.log(`[DataDownload] ${marketsAlreadyCovered.length} markets already covered, ${marketsToFetch.length} need Bitquery fetch`);
+    res.json({ ...groundTruth, score });
+  } catch (error) {
+    console.error('Error fetching ground truth:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      updateProgress(5, `Found ${markets.length} market(s). Pulling data from ${marketsToFetch.length} market(s)${marketsAlreadyCovered.length > 0 ? ` (${marketsAlreadyCovered.length} cached)` : ''}...`);
+/**
+ * GET /api/data-downloads/:id/orderbook - Order book collection status and stored coverage
+ */
+router.get('/:id/orderbook', validate(schemas.uuidParam, 'params'), (req, res) => {
+  try {
+    const { id } = req.params;
 
-      const insertMarket = db.prepare(`
-        INSERT OR IGNORE INTO downloaded_markets
-        (download_id, market_id, asset, timeframe, start_time, end_time, status, fee_regime)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `);
+    const download = db.prepare('SELECT id FROM data_downloads WHERE id = ?').get(id);
+    if (!download) {
+      return res.status(404).json({ error: 'Download not found' });
+    }
 
-      const saveMarkets = db.transaction((marketList) => {
-        for (const market of marketList) {
-          insertMarket.run(
-            downloadId, market.market_id, market.asset, market.timeframe,
-            market.start_time, market.end_time, market.status, market.fee_regime
-          );
-        }
-      });
+    const coverage = db.prepare(`
+      SELECT COUNT(*) as snapshot_count, COUNT(DISTINCT token_id) as token_count,
+             MIN(timestamp) as first_timestamp, MAX(timestamp) as last_timestamp
+      FROM orderbook_snapshots WHERE download_id = ?
+    `).get(id);
 
-      try {
-        saveMarkets(markets);
-        console.log(`[DataDownload] Saved ${markets.length} markets for download ${downloadId}`);
-      } catch (error) {
-        console.error(`[DataDownload] Error saving markets:`, error.message);
-        throw new Error(`Failed to save market metadata: ${error.message}`);
-      }
+    res.json({
+      collector: orderbookCollector.getStatus(id),
+      token_count_available: orderbookCollector.getDownloadTokens(id).length,
+      ...coverage
+    });
+  } catch (error) {
+    console.error('Error fetching order book status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      const insertSnapshot = db.prepare(`
-        INSERT OR IGNORE INTO downloaded_snapshots
-        (download_id, market_id, timestamp, side, mid, last, is_tradable)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-      `);
-
-      let totalSnapshots = 0;
-      let skippedMarkets = 0;
-      const totalMarkets = markets.length;
-
-      for (let i = 0; i < marketsAlreadyCovered.length; i++) {
-        const market = marketsAlreadyCovered[i];
-
-        if (cancelledDownloads.has(downloadId)) {
-          cancelledDownloads.delete(downloadId);
-          db.prepare(`UPDATE data_downloads SET status = 'stopped' WHERE id = ?`).run(downloadId);
-          return;
-        }
-
-        const marketLabel = market.question ? market.question.substring(0, 50) : market.market_id;
-        updateProgress(-1, `Copying cached data for market ${i + 1}/${marketsAlreadyCovered.length}: ${marketLabel}...`);
-
-        try {
-          const copied = copyExistingSnapshots(downloadId, asset, market.market_id, startTime, endTime);
-          totalSnapshots += copied;
-          skippedMarkets++;
-          console.log(`[DataDownload] Copied ${copied} existing snapshots for ${market.market_id} (skipped Bitquery)`);
-        } catch (error) {
-          console.error(`[DataDownload] Error copying snapshots for ${market.market_id}:`, error.message);
-          marketsToFetch.push(market);
-        }
-      }
+/**
+ * POST /api/data-downloads/:id/orderbook/start - Start recording order book depth for a download's markets
+ */
+router.post('/:id/orderbook/start', validate(schemas.uuidParam, 'params'), validate(schemas.orderbookCollection), (req, res) => {
+  try {
+    const { id } = req.params;
 
-      for (let i = 0; i < marketsToFetch.length; i++) {
-        const market = marketsToFetch[i];
-
-        if (cancelledDownloads.has(downloadId)) {
-          cancelledDownloads.delete(downloadId);
-          updateProgress(0, `Stopped (${totalSnapshots.toLocaleString()} snapshots saved)`);
-          db.prepare(`UPDATE data_downloads SET status = 'stopped' WHERE id = ?`).run(downloadId);
-          console.log(`Download ${downloadId} stopped by user`);
-          return;
-        }
-
-        const marketLabel = market.question ? market.question.substring(0, 50) : market.market_id;
-        updateProgress(
-          -1,
-          `Pulling data for market ${i + 1}/${marketsToFetch.length}: ${marketLabel}...`
-        );
-
-        const snapshots = await polymarketClient.fetchSnapshots(
-          market,
-          startTime,
-          endTime
-        );
-
-        if (snapshots.length > 0) {
-          const validSnapshots = snapshots.filter(s => {
-            if (!s.market_id || !s.timestamp || !s.side) return false;
-            if (typeof s.mid !== 'number' || typeof s.last !== 'number') return false;
-            if (s.mid < 0 || s.mid > 1 || s.last < 0 || s.last > 1) return false;
-            return true;
-          });
-
-          if (validSnapshots.length > 0) {
-            const transaction = db.transaction(() => {
-              for (const snapshot of validSnapshots) {
-                insertSnapshot.run(
-                  downloadId, snapshot.market_id, snapshot.timestamp,
-                  snapshot.side, snapshot.mid, snapshot.last, snapshot.is_tradable
-                );
-              }
-            });
-            try {
-              transaction();
-              totalSnapshots += validSnapshots.length;
-            } catch (error) {
-              console.error(`[DataDownload] Error inserting snapshots for market ${market.market_id}:`, error.message);
-            }
-          }
-
-          if (validSnapshots.length < snapshots.length) {
-            console.warn(`[DataDownload] Filtered out ${snapshots.length - validSnapshots.length} invalid snapshots`);
-          }
-        }
-
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
+    const download = db.prepare('SELECT id FROM data_downloads WHERE id = ?').get(id);
+    if (!download) {
+      return res.status(404).json({ error: 'Download not found' });
+    }
+    if (orderbookCollector.isCollecting(id)) {
+      return res.status(409).json({ error: 'Order book collection already running for this download' });
+    }
+    if (orderbookCollector.getDownloadTokens(id).length === 0) {
+      return res.status(400).json({ error: 'Download has no markets with CLOB token ids' });
+    }
+
+    const collector = orderbookCollector.start(id, req.body);
+    res.json({ success: true, collector, message: 'Order book collection started' });
+  } catch (error) {
+    console.error('Error starting order book collection:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      const fetchedCount = marketsToFetch.length;
-      const cachedCount = skippedMarkets;
-      updateProgress(95, 'Finalizing...');
-      updateProgress(100, `Completed (${totalSnapshots.toLocaleString()} snapshots, ${cachedCount} cached, ${fetchedCount} fetched)`);
-      db.prepare(`
-        UPDATE data_downloads SET status = ?, completed_at = ? WHERE id = ?
-      `).run('completed', Math.floor(Date.now() / 1000), downloadId);
+/**
+ * POST /api/data-downloads/:id/orderbook/stop - Stop recording order book depth
+ */
+router.post('/:id/orderbook/stop', validate(schemas.uuidParam, 'params'), (req, res) => {
+  try {
+    const collector = orderbookCollector.stop(req.params.id);
+    if (!collector) {
+      return res.status(400).json({ error: 'Order book collection is not running' });
+    }
 
+    res.json({ success: true, collector, message: 'Order book collection stopped' });
   } catch (error) {
-    console.error('Error in processDataDownload:', error);
-    db.prepare(`
-      UPDATE data_downloads SET status = ?, error_message = ? WHERE id = ?
-    `).run('failed', error.message, downloadId);
-    throw error;
+    console.error('Error stopping order book collection:', error);
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
 export default router;
@@ -0,0 +1,39 @@
+import express from 'express';
+import eventBus, { EVENT_CHANNELS } from '../services/event-bus.js';
+import { validate, schemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const KEEP_ALIVE_MS = 15000; // Stops proxies from closing idle streams
+
+/**
+ * GET /api/events - Server-Sent Events stream of job progress, status and log lines
+ * Optional ?channels=backtest,download,log (defaults to all)
+ */
+router.get('/', validate(schemas.eventsQuery, 'query'), (req, res) => {
+  const channels = req.query.channels ? req.query.channels.split(',') : EVENT_CHANNELS;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const send = ({ id, channel, data }) => {
+    if (!channels.includes(channel)) return;
+    res.write(`id: ${id}\nevent: ${channel}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  eventBus.on('event', send);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    eventBus.off('event', send);
+  });
+});
+
+export default router;
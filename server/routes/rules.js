@@ -0,0 +1,97 @@
+import express from 'express';
+import db from '../database/db.js';
+import goNoGo from '../services/go-no-go.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+/**
+ * Rules are unique per metric - report a duplicate as a conflict
+ */
+function handleRuleError(res, error, action) {
+  if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+    return res.status(409).json({ error: 'A rule for this metric already exists' });
+  }
+  console.error(`Error ${action} rule:`, error);
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * GET /api/rules - List go/no-go rules in evaluation order
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json(goNoGo.getRules());
+  } catch (error) {
+    console.error('Error fetching rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/rules - Create a rule
+ * Requires authentication
+ */
+router.post('/', requireAuth, validate(schemas.createRule), (req, res) => {
+  try {
+    res.status(201).json(goNoGo.createRule(req.body));
+  } catch (error) {
+    handleRuleError(res, error, 'creating');
+  }
+});
+
+/**
+ * POST /api/rules/reevaluate - Re-judge every completed run against the current rules
+ * Requires authentication. Verdicts are otherwise fixed when a run completes.
+ */
+router.post('/reevaluate', requireAuth, (req, res) => {
+  try {
+    const runIds = db.prepare("SELECT id FROM backtests WHERE status = 'completed'").all();
+    const counts = { go: 0, marginal: 0, no_go: 0 };
+
+    db.transaction(() => {
+      for (const { id } of runIds) {
+        counts[goNoGo.recordVerdict(id).verdict]++;
+      }
+    })();
+
+    res.json({ success: true, evaluated: runIds.length, verdicts: counts });
+  } catch (error) {
+    console.error('Error re-evaluating runs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/rules/:id - Update a rule
+ * Requires authentication
+ */
+router.put('/:id', requireAuth, validate(schemas.ruleIdParam, 'params'), validate(schemas.updateRule), (req, res) => {
+  try {
+    if (!goNoGo.getRule(req.params.id)) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json(goNoGo.updateRule(req.params.id, req.body));
+  } catch (error) {
+    handleRuleError(res, error, 'updating');
+  }
+});
+
+/**
+ * DELETE /api/rules/:id - Delete a rule
+ * Requires authentication
+ */
+router.delete('/:id', requireAuth, validate(schemas.ruleIdParam, 'params'), (req, res) => {
+  try {
+    if (!goNoGo.deleteRule(req.params.id)) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ success: true, message: 'Rule deleted' });
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -2,6 +2,7 @@ import express from 'express';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { DATA_PROVIDERS } from '../../lib/data-provider.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,6 +12,7 @@ const SETTINGS_FILE = path.join(__dirname, '../../data/settings.json');
 
 const DEFAULT_SETTINGS = {
   snapshotInterval: 1,
+  dataProvider: 'live',
 };
 
 const VALID_INTERVALS = [0, 1, 2, 3, 5, 15, 60];
@@ -39,12 +41,13 @@ function saveSettings(settings) {
 
 router.get('/', (req, res) => {
   const settings = loadSettings();
-  res.json(settings);
+  // DATA_PROVIDER in the environment wins over the saved provider
+  res.json({ ...settings, dataProviderOverride: process.env.DATA_PROVIDER || null });
 });
 
 router.put('/', (req, res) => {
   try {
-    const { snapshotInterval } = req.body;
+    const { snapshotInterval, dataProvider } = req.body;
 
     if (snapshotInterval !== undefined) {
       const interval = Number(snapshotInterval);
@@ -55,12 +58,21 @@ router.put('/', (req, res) => {
       }
     }
 
+    if (dataProvider !== undefined && !DATA_PROVIDERS.includes(dataProvider)) {
+      return res.status(400).json({
+        error: `Invalid data provider. Must be one of: ${DATA_PROVIDERS.join(', ')}`
+      });
+    }
+
     const current = loadSettings();
     const updated = { ...current };
 
     if (snapshotInterval !== undefined) {
       updated.snapshotInterval = Number(snapshotInterval);
     }
+    if (dataProvider !== undefined) {
+      updated.dataProvider = dataProvider;
+    }
 
     saveSettings(updated);
     res.json(updated);
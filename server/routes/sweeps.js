@@ -0,0 +1,230 @@
+import express from 'express';
+import db from '../database/db.js';
+import jobRunner from '../services/job-runner.js';
+import backtestFactory from '../services/backtest-factory.js';
+import { v4 as uuidv4 } from 'uuid';
+import { requireAuth } from '../middleware/auth.js';
+import { validate, schemas } from '../middleware/validation.js';
+
+const router = express.Router();
+
+const MAX_SWEEP_RUNS = 100;
+
+/**
+ * Expand a grid of { field: [values] } into every combination
+ */
+function expandGrid(grid) {
+  return Object.entries(grid).reduce(
+    (combos, [field, values]) => combos.flatMap(combo =>
+      values.map(value => ({ ...combo, [field]: value }))
+    ),
+    [{}]
+  );
+}
+
+/**
+ * Derive sweep status from its child run counts
+ */
+function getSweepStatus({ total_runs, completed_runs, failed_runs, pending_runs, running_runs }) {
+  if (pending_runs === total_runs) return 'queued';
+  if (pending_runs > 0 || running_runs > 0) return 'running';
+  if (failed_runs === total_runs) return 'failed';
+  return completed_runs > 0 ? 'completed' : 'failed';
+}
+
+const SWEEP_SUMMARY_SQL = `
+  SELECT s.*,
+         COUNT(b.id) as total_runs,
+         COALESCE(SUM(b.status = 'completed'), 0) as completed_runs,
+         COALESCE(SUM(b.status IN ('failed', 'cancelled')), 0) as failed_runs,
+         COALESCE(SUM(b.status = 'queued'), 0) as pending_runs,
+         COALESCE(SUM(b.status = 'running'), 0) as running_runs
+  FROM sweeps s
+  LEFT JOIN backtests b ON b.sweep_id = s.id
+`;
+
+/**
+ * Parse stored sweep JSON columns and attach derived status
+ */
+function formatSweep(row) {
+  const { base_json, grid_json, ...sweep } = row;
+  return {
+    ...sweep,
+    base: JSON.parse(base_json),
+    grid: JSON.parse(grid_json),
+    status: getSweepStatus(row)
+  };
+}
+
+/**
+ * POST /api/sweeps - Create a parameter sweep and queue one backtest per combination
+ * Requires authentication
+ */
+router.post('/', requireAuth, validate(schemas.createSweep), (req, res) => {
+  try {
+    const { grid, name, ...base } = req.body;
+    const combinations = expandGrid(grid);
+
+    if (combinations.length > MAX_SWEEP_RUNS) {
+      return res.status(400).json({
+        error: `Sweep expands to ${combinations.length} runs (maximum ${MAX_SWEEP_RUNS})`
+      });
+    }
+
+    // Every run in a sweep shares one analysis range so results are comparable
+    const range = backtestFactory.resolveDataRange(base);
+
+    const sweepId = uuidv4();
+    const sweepName = name || `${base.asset} ${base.timeframe} ${base.period} sweep`;
+    const runIds = [];
+
+    const transaction = db.transaction(() => {
+      db.prepare(`
+        INSERT INTO sweeps
+        (id, name, asset, timeframe, period, base_json, grid_json, run_count, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        sweepId,
+        sweepName,
+        base.asset,
+        base.timeframe,
+        base.period,
+        JSON.stringify({ ...base, dataSource: range.dataSource }),
+        JSON.stringify(grid),
+        combinations.length,
+        Math.floor(Date.now() / 1000)
+      );
+
+      for (const combo of combinations) {
+        const label = Object.entries(combo).map(([field, value]) => `${field}=${value}`).join(', ');
+        const { runId } = backtestFactory.createRun(
+          { ...base, ...combo, name: `${sweepName} [${label}]` },
+          range,
+          { sweepId }
+        );
+        runIds.push(runId);
+      }
+    });
+
+    transaction();
+
+    // Claim only after the transaction commits so jobs see their rows
+    jobRunner.processQueue();
+
+    res.json({
+      success: true,
+      sweepId,
+      runIds,
+      message: `Sweep queued with ${runIds.length} runs`
+    });
+
+  } catch (error) {
+    console.error('Error creating sweep:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sweeps - List all sweeps with run progress
+ */
+router.get('/', (req, res) => {
+  try {
+    const sweeps = db.prepare(`
+      ${SWEEP_SUMMARY_SQL}
+      GROUP BY s.id
+      ORDER BY s.created_at DESC
+    `).all();
+
+    res.json(sweeps.map(formatSweep));
+  } catch (error) {
+    console.error('Error fetching sweeps:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/sweeps/:id - Get sweep with its results matrix
+ * Returns one cell per run, keyed by the values of each grid axis
+ */
+router.get('/:id', validate(schemas.uuidParam, 'params'), (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const row = db.prepare(`
+      ${SWEEP_SUMMARY_SQL}
+      WHERE s.id = ?
+      GROUP BY s.id
+    `).get(id);
+
+    if (!row) {
+      return res.status(404).json({ error: 'Sweep not found' });
+    }
+
+    const sweep = formatSweep(row);
+
+    const runs = db.prepare(`
+      SELECT b.id, b.name, b.status, b.progress_pct, b.parameters_json, b.trade_size,
+             b.windows_detected, b.trades_completed, b.fill_success_rate,
+             b.avg_execution_adjusted_edge, b.data_coverage_pct,
+             b.windows_per_analysis_hour, b.duration_p50, b.error_message,
+             (SELECT COALESCE(SUM(t.profit), 0) FROM trades_sim t
+              WHERE t.run_id = b.id AND t.result IN ('completed', 'partial', 'hedge_failed')) as total_profit
+      FROM backtests b
+      WHERE b.sweep_id = ?
+      ORDER BY b.created_at
+    `).all(id);
+
+    const axes = Object.entries(sweep.grid).map(([field, values]) => ({
+      field,
+      values: [...values].sort((a, b) => a - b)
+    }));
+
+    const cells = runs.map(run => {
+      const { parameters_json, ...metrics } = run;
+      const params = JSON.parse(parameters_json || '{}');
+      return {
+        runId: run.id,
+        coords: Object.fromEntries(axes.map(axis => [axis.field, params[axis.field]])),
+        ...metrics
+      };
+    });
+
+    res.json({ sweep, matrix: { axes, cells } });
+  } catch (error) {
+    console.error('Error fetching sweep details:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/sweeps/:id - Delete sweep and all of its runs
+ * Requires authentication
+ */
+router.delete('/:id', requireAuth, validate(schemas.uuidParam, 'params'), (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const transaction = db.transaction(() => {
+      const runIds = db.prepare('SELECT id FROM backtests WHERE sweep_id = ?').all(id).map(r => r.id);
+      for (const runId of runIds) {
+        db.prepare('DELETE FROM trades_sim WHERE run_id = ?').run(runId);
+        db.prepare('DELETE FROM windows WHERE run_id = ?').run(runId);
+        db.prepare('DELETE FROM equity_curve WHERE run_id = ?').run(runId);
+        db.prepare('DELETE FROM jobs WHERE run_id = ?').run(runId);
+        db.prepare('DELETE FROM backtests WHERE id = ?').run(runId);
+      }
+      return db.prepare('DELETE FROM sweeps WHERE id = ?').run(id).changes;
+    });
+
+    if (transaction() === 0) {
+      return res.status(404).json({ error: 'Sweep not found' });
+    }
+
+    res.json({ success: true, message: 'Sweep deleted' });
+  } catch (error) {
+    console.error('Error deleting sweep:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
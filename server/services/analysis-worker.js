@@ -0,0 +1,44 @@
+/**
+ * Analysis Worker
+ * Worker-thread entry point for window detection and trade simulation (see worker-pool.js)
+ * The tasks are exported so the golden-file tests (test-golden.js) run the same pipeline in-process
+ */
+
+import { parentPort } from 'worker_threads';
+import windowDetector from './window-detector.js';
+import tradeSimulator from './trade-simulator.js';
+import monteCarlo from './monte-carlo.js';
+import confidenceEstimator from './confidence.js';
+
+export const tasks = {
+  detectWindows({ snapshots, analysisStart, analysisEnd, params }) {
+    return windowDetector.detectWindowsByMarket(snapshots, analysisStart, analysisEnd, params);
+  },
+
+  simulateTrades({ windows, tradeSize, params, context }) {
+    const result = tradeSimulator.simulateTrades(windows, tradeSize, params, context);
+    return {
+      ...result,
+      // Execution uncertainty around the deterministic result (null unless monteCarloIterations > 0)
+      monteCarlo: monteCarlo.run(windows, tradeSize, params, context),
+      // Sampling uncertainty of the go/no-go metrics
+      confidence: confidenceEstimator.estimate(result.trades, {
+        analysisStart: context?.analysisStart,
+        analysisEnd: context?.analysisEnd,
+        seed: Number.isInteger(params?.monteCarloSeed) ? params.monteCarloSeed : 0
+      })
+    };
+  }
+};
+
+// parentPort is null outside a worker thread (imported for its tasks)
+parentPort?.on('message', ({ task, payload }) => {
+  try {
+    if (!tasks[task]) {
+      throw new Error(`Unknown analysis task: ${task}`);
+    }
+    parentPort.postMessage({ result: tasks[task](payload) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,179 @@
+/**
+ * Backtest Factory
+ * Validates run configuration and creates backtest + job records
+ * Shared by single-run creation and parameter sweeps
+ */
+
+import db from '../database/db.js';
+import { v4 as uuidv4 } from 'uuid';
+import dataProvider from '../../lib/data-provider.js';
+import jobRunner from './job-runner.js';
+import { DEFAULT_DETECTION_PARAMS } from './window-detector.js';
+import { DEFAULT_SIMULATION_PARAMS } from './trade-simulator.js';
+
+/**
+ * Detection/simulation parameters that can be overridden per run
+ */
+export const TUNABLE_PARAMETER_KEYS = [
+  ...Object.keys(DEFAULT_DETECTION_PARAMS),
+  ...Object.keys(DEFAULT_SIMULATION_PARAMS)
+];
+
+/**
+ * Parse period string to days
+ */
+function parsePeriod(period) {
+  const map = {
+    '30d': 30,
+    '60d': 60,
+    '3m': 90,
+    '6m': 180
+  };
+  return map[period] || 30;
+}
+
+/**
+ * Build an error carrying an HTTP status for the route to relay
+ */
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class BacktestFactory {
+  /**
+   * Resolve the analysis range and data source for a run configuration
+   * A specific download pins the analysis period to its range (or its recorded order book
+   * span for book pricing) so re-runs are reproducible
+   * @returns {Object} { analysisStart, analysisEnd, dataSource }
+   */
+  resolveDataRange({ asset, period, dataSource = 'live', downloadId, priceSource }) {
+    if (priceSource === 'book' && dataSource !== 'download' && !downloadId) {
+      throw requestError(400, 'Order book pricing needs downloaded data (order books are recorded per download)');
+    }
+
+    // Periods end at the provider clock - the recording time when replaying fixtures
+    const now = dataProvider.now();
+    const periodDays = parsePeriod(period);
+    let analysisStart = now - (periodDays * 24 * 60 * 60);
+    let analysisEnd = now;
+
+    if (downloadId) {
+      const download = db.prepare(`
+        SELECT id, asset, status, start_time, end_time FROM data_downloads WHERE id = ?
+      `).get(downloadId);
+
+      if (!download) {
+        throw requestError(404, 'Download not found');
+      }
+      if (download.status !== 'completed') {
+        throw requestError(400, 'Download not yet completed');
+      }
+      if (download.asset !== asset) {
+        throw requestError(400, `Download is for ${download.asset}, not ${asset}`);
+      }
+
+      // Order books are recorded live, after the download's price history - analyse their span
+      if (priceSource === 'book') {
+        const books = db.prepare(`
+          SELECT MIN(timestamp) as first, MAX(timestamp) as last FROM orderbook_snapshots WHERE download_id = ?
+        `).get(downloadId);
+
+        if (books.first === null) {
+          throw requestError(400, 'No order books recorded for this download');
+        }
+
+        return {
+          analysisStart: books.first,
+          analysisEnd: books.last + 1, // anchors stop before the end - keep the last book
+          dataSource: 'download'
+        };
+      }
+
+      return {
+        analysisStart: download.start_time,
+        analysisEnd: download.end_time,
+        dataSource: 'download'
+      };
+    }
+
+    if (dataSource === 'download') {
+      const { cnt } = db.prepare(`
+        SELECT COUNT(*) as cnt FROM data_downloads
+        WHERE asset = ? AND status = 'completed' AND synthetic = 0 AND start_time < ? AND end_time > ?
+      `).get(asset, analysisEnd, analysisStart);
+
+      if (cnt === 0) {
+        throw requestError(400, `No completed ${asset} downloads overlap the selected period`);
+      }
+    }
+
+    return { analysisStart, analysisEnd, dataSource };
+  }
+
+  /**
+   * Insert a queued backtest and its job record (caller wakes the job runner)
+   * @param {Object} config - Validated createBacktest body
+   * @param {Object} range - Result of resolveDataRange()
+   * @param {Object} options - { sweepId }
+   * @returns {Object} { runId, jobId }
+   */
+  createRun(config, range, { sweepId = null } = {}) {
+    const { asset, timeframe, period, tradeSize, name, downloadId, priority = 0 } = config;
+    const now = Math.floor(Date.now() / 1000);
+
+    const overrides = {};
+    for (const key of TUNABLE_PARAMETER_KEYS) {
+      if (config[key] !== undefined) overrides[key] = config[key];
+    }
+    // Monte Carlo runs keep their seed so the same draws can be replayed
+    if (overrides.monteCarloIterations > 0 && overrides.monteCarloSeed === undefined) {
+      overrides.monteCarloSeed = Math.floor(Math.random() * 2147483647);
+    }
+    // A feeBps without a fee model is a flat fee - the stored 'market' default would ignore it
+    if (overrides.feeBps !== undefined && overrides.feeModel === undefined) {
+      overrides.feeModel = 'flat';
+    }
+
+    const runId = uuidv4();
+    const runName = name || `${asset} ${timeframe} ${period} $${tradeSize}`;
+
+    db.prepare(`
+      INSERT INTO backtests
+      (id, name, asset, timeframe, period, trade_size, status,
+       analysis_start, analysis_end, created_at, parameters_json, sweep_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      runId,
+      runName,
+      asset,
+      timeframe,
+      period,
+      tradeSize,
+      'queued',
+      range.analysisStart,
+      range.analysisEnd,
+      now,
+      JSON.stringify({
+        asset,
+        timeframe,
+        period,
+        tradeSize,
+        dataSource: range.dataSource,
+        downloadId: downloadId || null,
+        // Store effective values so the run stays reproducible if defaults change
+        ...DEFAULT_DETECTION_PARAMS,
+        ...DEFAULT_SIMULATION_PARAMS,
+        ...overrides
+      }),
+      sweepId
+    );
+
+    const jobId = jobRunner.createJob('backtest', { runId, priority });
+
+    return { runId, jobId };
+  }
+}
+
+export default new BacktestFactory();
@@ -5,8 +5,12 @@
 
 import db from '../database/db.js';
 import polymarketClient from './polymarket-client.js';
-import windowDetector from './window-detector.js';
-import tradeSimulator from './trade-simulator.js';
+import { DEFAULT_DETECTION_PARAMS } from './window-detector.js';
+import { DEFAULT_SIMULATION_PARAMS } from './trade-simulator.js';
+import analysisPool from './worker-pool.js';
+import eventBus from './event-bus.js';
+import goNoGo from './go-no-go.js';
+import { getOutcomeIndex } from '../../lib/data-mappers.js';
 import { v4 as uuidv4 } from 'uuid';
 
 const MAX_MARKETS_PER_RUN = 1000;
@@ -31,17 +35,22 @@ class BacktestProcessor {
       // Step 1: Fetch market data
       const { markets, snapshots } = await this.fetchAndStoreMarketData(run, runId);
       this.checkRuntimeLimit(startProcessingTime, maxRuntimeMs, 'market fetch');
+      this.throwIfCancelled(runId);
+
+      eventBus.log('backtest', runId, `Backtest ${runId}: ${markets.length} markets, ${snapshots.length} snapshots`);
 
       // Step 2: Detect arbitrage windows
       const detectionResult = await this.detectArbitrageWindows(snapshots, run, runId);
+      eventBus.log('backtest', runId, `Backtest ${runId}: detected ${detectionResult.windows.length} windows across ${detectionResult.stats.marketsAnalyzed} markets`);
       this.checkRuntimeLimit(startProcessingTime, maxRuntimeMs, 'window detection');
+      this.throwIfCancelled(runId);
 
       // Step 3: Simulate and store trades
       const simulationResult = await this.simulateAndStoreTrades(
         detectionResult,
-        markets,
         run,
-        runId
+        runId,
+        markets
       );
 
       // Step 4: Finalize results
@@ -50,6 +59,10 @@ class BacktestProcessor {
       return { success: true, metrics: this.getMetricsFromResults(detectionResult, simulationResult) };
 
     } catch (error) {
+      if (error.cancelled) {
+        this.markCancelled(runId);
+        return { success: false, cancelled: true, error: error.message };
+      }
       this.handleProcessingError(runId, error);
       return { success: false, error: error.message };
     }
@@ -66,6 +79,46 @@ class BacktestProcessor {
     return run;
   }
 
+  /**
+   * Parse the stored run parameters (older runs may not have every field)
+   */
+  getRunParameters(run) {
+    let params = {};
+    try {
+      params = JSON.parse(run.parameters_json || '{}') || {};
+    } catch (error) {
+      console.warn(`Invalid parameters_json for run ${run.id}: ${error.message}`);
+    }
+    // A feeBps set without a fee model is a flat fee (runs created before fee models)
+    if (params.feeBps > 0 && params.feeModel === undefined) {
+      params.feeModel = 'flat';
+    }
+    return {
+      dataSource: 'live',
+      downloadId: null,
+      ...DEFAULT_DETECTION_PARAMS,
+      ...DEFAULT_SIMULATION_PARAMS,
+      ...params
+    };
+  }
+
+  /**
+   * Throw if a cancel was requested for this run's active job
+   * Called between stages and between markets so a run stops within one step
+   */
+  throwIfCancelled(runId) {
+    const job = db.prepare(`
+      SELECT cancel_requested FROM jobs
+      WHERE run_id = ? AND status IN ('queued', 'running')
+    `).get(runId);
+
+    if (job?.cancel_requested) {
+      const error = new Error('Cancelled by user');
+      error.cancelled = true;
+      throw error;
+    }
+  }
+
   /**
    * Check if runtime limit has been exceeded
    */
@@ -79,6 +132,14 @@ class BacktestProcessor {
    * Fetch market data and store in database
    */
   async fetchAndStoreMarketData(run, runId) {
+    const params = this.getRunParameters(run);
+
+    if (params.dataSource === 'download') {
+      // Downloaded data already lives in SQLite - nothing to fetch or re-store
+      this.updateProgress(runId, 10, 'running', 'Loading downloaded data');
+      return this.loadDownloadedMarketData(run, params.downloadId, params.priceSource);
+    }
+
     this.updateProgress(runId, 10, 'running', 'Fetching markets');
     const { markets, snapshots } = await this.fetchMarketData(run);
 
@@ -89,29 +150,57 @@ class BacktestProcessor {
   }
 
   /**
-   * Detect arbitrage windows from snapshots
+   * Detect arbitrage windows market by market (on a worker thread)
+   * @returns {Object} { windows, stats, marketStats }
    */
   async detectArbitrageWindows(snapshots, run, runId) {
     this.updateProgress(runId, 50, 'running', 'Detecting windows');
-    return windowDetector.detectWindows(
+    return analysisPool.run('detectWindows', {
       snapshots,
-      run.analysis_start,
-      run.analysis_end
-    );
+      analysisStart: run.analysis_start,
+      analysisEnd: run.analysis_end,
+      params: this.getRunParameters(run)
+    });
   }
 
   /**
    * Simulate trades and store results
+   * Market fee regimes, end times and resolutions go along for per-market fees and settlement
    */
-  async simulateAndStoreTrades(detectionResult, markets, run, runId) {
+  async simulateAndStoreTrades(detectionResult, run, runId, markets = []) {
     this.updateProgress(runId, 70, 'running', 'Simulating trades');
-    const simulationResult = tradeSimulator.simulateTrades(
-      detectionResult.windows,
-      run.trade_size
-    );
+    const marketInfo = {};
+    for (const market of markets) {
+      marketInfo[market.market_id] = {
+        fee_regime: market.fee_regime,
+        maker_fee_bps: market.maker_fee_bps,
+        taker_fee_bps: market.taker_fee_bps,
+        end_time: market.end_time,
+        resolution_status: market.resolution_status,
+        winning_outcome: market.winning_outcome,
+        resolved_time: market.resolved_time
+      };
+    }
+
+    const simulationResult = await analysisPool.run('simulateTrades', {
+      windows: detectionResult.windows,
+      tradeSize: run.trade_size,
+      params: this.getRunParameters(run),
+      context: {
+        markets: marketInfo,
+        analysisStart: run.analysis_start,
+        analysisEnd: run.analysis_end
+      }
+    });
+    eventBus.log('backtest', runId, `Backtest ${runId}: simulated ${simulationResult.trades.length} trades (${simulationResult.metrics.tradesCompleted} filled, ${simulationResult.metrics.hedgeFailures} failed hedges, ${simulationResult.metrics.tradesSkipped} skipped for capital)`);
+    if (simulationResult.monteCarlo) {
+      const { iterations, seed, profit } = simulationResult.monteCarlo;
+      eventBus.log('backtest', runId, `Backtest ${runId}: Monte Carlo ${iterations} iterations (seed ${seed}), profit P5 $${profit.p5.toFixed(2)} / P50 $${profit.p50.toFixed(2)} / P95 $${profit.p95.toFixed(2)}`);
+    }
 
+    this.throwIfCancelled(runId);
     this.updateProgress(runId, 85, 'running', 'Storing results');
-    this.storeResults(runId, markets[0]?.market_id, detectionResult, simulationResult);
+    this.storeResults(runId, detectionResult, simulationResult);
 
     return simulationResult;
   }
@@ -128,8 +217,11 @@ class BacktestProcessor {
       run.analysis_end
     );
 
-    this.updateProgress(runId, 100, 'completed', 'Completed');
+    // Metrics and verdict first, so clients refetching on the 'completed' event see them
     this.updateBacktestResults(runId, finalMetrics);
+    const { verdict, score } = goNoGo.recordVerdict(runId);
+    eventBus.log('backtest', runId, `Backtest ${runId}: verdict ${verdict} (score ${score.toFixed(0)})`);
+    this.updateProgress(runId, 100, 'completed', 'Completed');
   }
 
   /**
@@ -161,8 +253,30 @@ class BacktestProcessor {
       UPDATE jobs
       SET status = 'failed',
           error_message = ?
-      WHERE run_id = ?
+      WHERE run_id = ? AND status IN ('queued', 'running')
     `).run(error.message, runId);
+
+    eventBus.publish('backtest', { id: runId, status: 'failed', error_message: error.message });
+  }
+
+  /**
+   * Mark a run as cancelled, discarding any partial results
+   */
+  markCancelled(runId) {
+    eventBus.log('backtest', runId, `Backtest ${runId} cancelled`);
+
+    db.transaction(() => {
+      db.prepare('DELETE FROM trades_sim WHERE run_id = ?').run(runId);
+      db.prepare('DELETE FROM windows WHERE run_id = ?').run(runId);
+      db.prepare('DELETE FROM equity_curve WHERE run_id = ?').run(runId);
+      db.prepare(`
+        UPDATE backtests
+        SET status = 'cancelled', stage = 'Cancelled', error_message = NULL, completed_at = ?
+        WHERE id = ?
+      `).run(Math.floor(Date.now() / 1000), runId);
+    })();
+
+    eventBus.publish('backtest', { id: runId, status: 'cancelled', stage: 'Cancelled' });
   }
 
   async fetchMarketData(run) {
@@ -176,12 +290,13 @@ class BacktestProcessor {
       const limitedMarkets = markets.slice(0, MAX_MARKETS_PER_RUN);
 
       if (limitedMarkets.length === 0) {
-        console.warn(`No markets found for ${run.asset} from ${run.analysis_start} to ${run.analysis_end}`);
+        eventBus.log('backtest', run.id, `No markets found for ${run.asset} from ${run.analysis_start} to ${run.analysis_end}`);
         return { markets: [], snapshots: [] };
       }
 
       const allSnapshots = [];
       for (const market of limitedMarkets) {
+        this.throwIfCancelled(run.id);
         const snapshots = await polymarketClient.fetchSnapshots(
           market,
           run.analysis_start,
@@ -193,32 +308,161 @@ class BacktestProcessor {
       return { markets: limitedMarkets, snapshots: allSnapshots };
   }
 
+  /**
+   * Load markets and snapshots from completed data downloads.
+   * Reads a single download when downloadId is set, otherwise every completed
+   * download for the run's asset that overlaps the analysis period (synthetic
+   * downloads are only used when selected by id).
+   * With priceSource 'book' the snapshots are the downloads' recorded order book tops.
+   */
+  loadDownloadedMarketData(run, downloadId, priceSource = 'mid') {
+    const downloads = downloadId
+      ? db.prepare(`
+          SELECT id FROM data_downloads WHERE id = ? AND status = 'completed'
+        `).all(downloadId)
+      : db.prepare(`
+          SELECT id FROM data_downloads
+          WHERE asset = ? AND status = 'completed' AND synthetic = 0 AND start_time < ? AND end_time > ?
+          ORDER BY created_at ASC
+        `).all(run.asset, run.analysis_end, run.analysis_start);
+
+    if (downloads.length === 0) {
+      throw new Error(downloadId
+        ? `Download ${downloadId} not found or not completed`
+        : `No completed ${run.asset} downloads overlap the analysis period`);
+    }
+
+    const ids = downloads.map(d => d.id);
+    const placeholders = ids.map(() => '?').join(',');
+
+    const marketRows = db.prepare(`
+      SELECT market_id, question, asset, timeframe, start_time, end_time, status,
+             fee_regime, maker_fee_bps, taker_fee_bps,
+             resolution_status, winning_outcome, resolved_time, disputed
+      FROM downloaded_markets
+      WHERE download_id IN (${placeholders})
+      ORDER BY id ASC
+    `).all(...ids);
+
+    const seenMarkets = new Set();
+    const markets = [];
+    for (const market of marketRows) {
+      if (!seenMarkets.has(market.market_id)) {
+        seenMarkets.add(market.market_id);
+        markets.push(market);
+      }
+    }
+    const limitedMarkets = markets.slice(0, MAX_MARKETS_PER_RUN);
+    const marketIds = new Set(limitedMarkets.map(m => m.market_id));
+
+    if (priceSource === 'book') {
+      const snapshots = this.loadOrderbookSnapshots(ids, run, marketIds);
+      eventBus.log('backtest', run.id, `Loaded ${limitedMarkets.length} markets and ${snapshots.length} order book snapshots from ${ids.length} download(s)`);
+      return { markets: limitedMarkets, snapshots };
+    }
+
+    const snapshotRows = db.prepare(`
+      SELECT market_id, timestamp, side, outcome_index, outcome_label, mid, last, is_tradable
+      FROM downloaded_snapshots
+      WHERE download_id IN (${placeholders})
+        AND timestamp >= ? AND timestamp <= ?
+      ORDER BY timestamp ASC
+    `).all(...ids, run.analysis_start, run.analysis_end);
+
+    // Overlapping downloads can hold the same tick - keep the first copy
+    const seenSnapshots = new Set();
+    const snapshots = [];
+    for (const s of snapshotRows) {
+      if (!marketIds.has(s.market_id)) continue;
+      const key = `${s.market_id}_${s.timestamp}_${getOutcomeIndex(s)}`;
+      if (!seenSnapshots.has(key)) {
+        seenSnapshots.add(key);
+        snapshots.push(s);
+      }
+    }
+
+    eventBus.log('backtest', run.id, `Loaded ${limitedMarkets.length} markets and ${snapshots.length} snapshots from ${ids.length} download(s)`);
+
+    return { markets: limitedMarkets, snapshots };
+  }
+
+  /**
+   * Load recorded order book tops as detector ticks (best_ask replaces mid + spread proxy)
+   */
+  loadOrderbookSnapshots(downloadIds, run, marketIds) {
+    const placeholders = downloadIds.map(() => '?').join(',');
+    const rows = db.prepare(`
+      SELECT market_id, timestamp, outcome_index, outcome_label, best_bid, best_ask, asks_json
+      FROM orderbook_snapshots
+      WHERE download_id IN (${placeholders})
+        AND timestamp >= ? AND timestamp <= ?
+      ORDER BY timestamp ASC
+    `).all(...downloadIds, run.analysis_start, run.analysis_end);
+
+    const seen = new Set();
+    const snapshots = [];
+    for (const row of rows) {
+      if (!marketIds.has(row.market_id)) continue;
+      const key = `${row.market_id}_${row.timestamp}_${row.outcome_index}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const mid = row.best_bid !== null && row.best_ask !== null
+        ? (row.best_bid + row.best_ask) / 2
+        : row.best_ask ?? row.best_bid;
+      const { asks_json, ...book } = row;
+      snapshots.push({
+        ...book,
+        asks: JSON.parse(asks_json || '[]'), // depth for the fill model
+        side: row.outcome_label,
+        mid,
+        last: mid,
+        is_tradable: row.best_ask !== null ? 1 : 0
+      });
+    }
+
+    if (snapshots.length === 0) {
+      throw new Error('No order book snapshots recorded for the analysis period - collect order books for the download first');
+    }
+
+    return snapshots;
+  }
+
   /**
    * Store market data in database
    */
   storeMarketData(markets, snapshots) {
     const insertMarket = db.prepare(`
       INSERT OR REPLACE INTO markets
-      (market_id, asset, timeframe, start_time, end_time, status, fee_regime)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      (market_id, question, asset, timeframe, start_time, end_time, status,
+       fee_regime, maker_fee_bps, taker_fee_bps,
+       resolution_status, winning_outcome, resolved_time, disputed)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const insertSnapshot = db.prepare(`
       INSERT OR REPLACE INTO snapshots
-      (market_id, timestamp, side, mid, last, is_tradable)
-      VALUES (?, ?, ?, ?, ?, ?)
+      (market_id, timestamp, side, outcome_index, outcome_label, mid, last, is_tradable)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const transaction = db.transaction(() => {
       for (const market of markets) {
         insertMarket.run(
           market.market_id,
+          market.question || null,
           market.asset,
           market.timeframe,
           market.start_time,
           market.end_time,
           market.status,
-          market.fee_regime
+          market.fee_regime,
+          market.maker_fee_bps ?? 0,
+          market.taker_fee_bps ?? 0,
+          market.resolution_status || 'unresolved',
+          market.winning_outcome ?? null,
+          market.resolved_time ?? null,
+          market.disputed ? 1 : 0
         );
       }
 
@@ -227,6 +471,8 @@ class BacktestProcessor {
           snapshot.market_id,
           snapshot.timestamp,
           snapshot.side,
+          getOutcomeIndex(snapshot),
+          snapshot.outcome_label || snapshot.side,
           snapshot.mid,
           snapshot.last,
           snapshot.is_tradable
@@ -239,8 +485,9 @@ class BacktestProcessor {
 
   /**
    * Store window and trade results
+   * Each window carries the market_id it was detected in (see detectWindowsByMarket)
    */
-  storeResults(runId, marketId, detectionResult, simulationResult) {
+  storeResults(runId, detectionResult, simulationResult) {
     const insertWindow = db.prepare(`
       INSERT INTO windows
       (id, run_id, market_id, start_time, end_time, duration,
@@ -250,11 +497,22 @@ class BacktestProcessor {
 
     const insertTrade = db.prepare(`
       INSERT INTO trades_sim
-      (id, run_id, window_id, result, profit, fees)
-      VALUES (?, ?, ?, ?, ?, ?)
+      (id, run_id, window_id, result, profit, fees, filled_size, avg_price, slippage, legs_json,
+       unhedged_outcome_index, unhedged_size, unhedged_exit_price, settlement, exit_time, exit_price)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const insertEquityPoint = db.prepare(`
+      INSERT INTO equity_curve (run_id, timestamp, equity, reserved)
+      VALUES (?, ?, ?, ?)
     `);
 
     const transaction = db.transaction(() => {
+      // A requeued run may have stored results before it was interrupted
+      db.prepare('DELETE FROM trades_sim WHERE run_id = ?').run(runId);
+      db.prepare('DELETE FROM windows WHERE run_id = ?').run(runId);
+      db.prepare('DELETE FROM equity_curve WHERE run_id = ?').run(runId);
+
       for (let i = 0; i < detectionResult.windows.length; i++) {
         const window = detectionResult.windows[i];
         const windowId = uuidv4();
@@ -262,7 +520,7 @@ class BacktestProcessor {
         insertWindow.run(
           windowId,
           runId,
-          marketId,
+          window.market_id,
           window.startTime,
           window.endTime,
           window.duration,
@@ -280,9 +538,23 @@ class BacktestProcessor {
           windowId,
           trade.result,
           trade.profit,
-          trade.fees
+          trade.fees,
+          trade.filledSize,
+          trade.avgPrice,
+          trade.slippage,
+          JSON.stringify(trade.legs),
+          trade.unhedged?.outcome_index ?? null,
+          trade.unhedged?.size ?? null,
+          trade.unhedged?.exit_price ?? null,
+          trade.settlement ?? null,
+          trade.exit?.time ?? null,
+          trade.exit?.price ?? null
         );
       }
+
+      for (const point of simulationResult.portfolio.equityCurve) {
+        insertEquityPoint.run(runId, point.timestamp, point.equity, point.reserved);
+      }
     });
 
     transaction();
@@ -301,7 +573,11 @@ class BacktestProcessor {
       avgExecutionAdjustedEdge: simulationResult.metrics.avgExecutionAdjustedEdge,
       dataCoveragePct: detectionResult.stats.dataCoveragePct,
       windowsPerAnalysisHour: detectionResult.stats.windowsPerAnalysisHour,
-      durationP50: detectionResult.stats.durationP50
+      durationP50: detectionResult.stats.durationP50,
+      portfolio: simulationResult.portfolio.metrics,
+      exits: simulationResult.portfolio.exitComparison,
+      monteCarlo: simulationResult.monteCarlo,
+      confidence: simulationResult.confidence
     };
   }
 
@@ -319,6 +595,7 @@ class BacktestProcessor {
           data_coverage_pct = ?,
           windows_per_analysis_hour = ?,
           duration_p50 = ?,
+          metrics_json = ?,
           completed_at = ?
       WHERE id = ?
     `).run(
@@ -329,6 +606,12 @@ class BacktestProcessor {
       metrics.dataCoveragePct,
       metrics.windowsPerAnalysisHour,
       metrics.durationP50,
+      JSON.stringify({
+        portfolio: metrics.portfolio,
+        exits: metrics.exits,
+        monteCarlo: metrics.monteCarlo,
+        confidence: metrics.confidence
+      }),
       Math.floor(Date.now() / 1000),
       runId
     );
@@ -342,7 +625,7 @@ class BacktestProcessor {
     db.prepare(`
       UPDATE jobs
       SET progress_pct = ?, status = ?, stage = ?
-      WHERE run_id = ?
+      WHERE run_id = ? AND status IN ('queued', 'running')
     `).run(progressPct, status, stage, runId);
 
     // Mirror to backtests table for fast UI queries
@@ -351,6 +634,8 @@ class BacktestProcessor {
       SET progress_pct = ?, stage = ?, status = ?
       WHERE id = ?
     `).run(progressPct, stage, status, runId);
+
+    eventBus.publish('backtest', { id: runId, status, progress_pct: progressPct, stage });
   }
 }
 
@@ -0,0 +1,100 @@
+/**
+ * Confidence Estimator
+ * Bootstrap confidence intervals for the go/no-go metrics of a run, so a handful of
+ * windows cannot pass as convincingly as thousands.
+ * No database access - runs on worker threads next to the simulation.
+ */
+
+import { FILLED_RESULTS, PNL_RESULTS } from './trade-simulator.js';
+import { createRandom } from './monte-carlo.js';
+
+export const BOOTSTRAP_RESAMPLES = 1000;
+export const CONFIDENCE_LEVEL = 95; // percent, two-sided
+
+// Below this many windows the intervals are too wide to trust a verdict
+export const MIN_SAMPLE_WINDOWS = 30;
+
+class ConfidenceEstimator {
+  /**
+   * Percentile bootstrap intervals for fill success rate, average edge and windows/hour
+   * Fill rate and edge resample windows (one trade each); windows/hour resamples the
+   * hourly window counts over the analysis period
+   * @param {Array} trades - Simulated trades, one per window
+   * @param {Object} options - { analysisStart, analysisEnd, seed }
+   * @returns {Object} { level, resamples, sampleSize, minSampleSize, warning, intervals: metric -> { lower, upper } }
+   */
+  estimate(trades, { analysisStart, analysisEnd, seed = 0 } = {}) {
+    const sampleSize = trades.length;
+    const result = {
+      level: CONFIDENCE_LEVEL,
+      resamples: BOOTSTRAP_RESAMPLES,
+      sampleSize,
+      minSampleSize: MIN_SAMPLE_WINDOWS,
+      warning: sampleSize < MIN_SAMPLE_WINDOWS
+        ? `Only ${sampleSize} window${sampleSize === 1 ? '' : 's'} - at least ${MIN_SAMPLE_WINDOWS} are needed for a reliable verdict`
+        : null,
+      intervals: {}
+    };
+    if (sampleSize === 0) return result;
+
+    const random = createRandom(seed);
+    const filled = trades.map(t => (FILLED_RESULTS.includes(t.result) ? 1 : 0));
+    const profit = trades.map(t => (PNL_RESULTS.includes(t.result) ? t.profit : 0));
+    const capital = trades.map(t => (PNL_RESULTS.includes(t.result) ? t.cost : 0));
+    const hourlyCounts = this.countByHour(trades, analysisStart, analysisEnd);
+
+    const samples = { fill_success_rate: [], avg_execution_adjusted_edge: [], windows_per_analysis_hour: [] };
+    for (let r = 0; r < BOOTSTRAP_RESAMPLES; r++) {
+      let fills = 0;
+      let profitSum = 0;
+      let capitalSum = 0;
+      for (let i = 0; i < sampleSize; i++) {
+        const pick = Math.floor(random() * sampleSize);
+        fills += filled[pick];
+        profitSum += profit[pick];
+        capitalSum += capital[pick];
+      }
+      samples.fill_success_rate.push((fills / sampleSize) * 100);
+      samples.avg_execution_adjusted_edge.push(capitalSum > 0 ? (profitSum / capitalSum) * 100 : 0);
+
+      if (hourlyCounts.length > 0) {
+        let windows = 0;
+        for (let h = 0; h < hourlyCounts.length; h++) {
+          windows += hourlyCounts[Math.floor(random() * hourlyCounts.length)];
+        }
+        samples.windows_per_analysis_hour.push(windows / hourlyCounts.length);
+      }
+    }
+
+    for (const [metric, values] of Object.entries(samples)) {
+      if (values.length > 0) result.intervals[metric] = this.percentileInterval(values);
+    }
+    return result;
+  }
+
+  /**
+   * Windows starting in each hour of the analysis period (empty hours count as 0)
+   */
+  countByHour(trades, analysisStart, analysisEnd) {
+    if (!Number.isFinite(analysisStart) || !(analysisEnd > analysisStart)) return [];
+
+    const counts = new Array(Math.ceil((analysisEnd - analysisStart) / 3600)).fill(0);
+    for (const trade of trades) {
+      const hour = Math.floor((trade.window.startTime - analysisStart) / 3600);
+      if (hour >= 0 && hour < counts.length) counts[hour]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Central CONFIDENCE_LEVEL interval of bootstrap samples
+   */
+  percentileInterval(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const tail = (100 - CONFIDENCE_LEVEL) / 200;
+    const at = (q) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(sorted.length * q)))];
+    return { lower: at(tail), upper: at(1 - tail) };
+  }
+}
+
+export default new ConfidenceEstimator();
@@ -0,0 +1,315 @@
+/**
+ * Download Processor
+ * Pulls market metadata and snapshots for a data download, reusing data already
+ * downloaded for the same asset. Runs as a 'download' job on the job runner.
+ */
+
+import db from '../database/db.js';
+import polymarketClient from './polymarket-client.js';
+import eventBus from './event-bus.js';
+import { getOutcomeIndex } from '../../lib/data-mappers.js';
+
+class DownloadProcessor {
+  /**
+   * Process a queued download job
+   * @returns {Object|undefined} { status: 'stopped' | 'failed', error } when not completed
+   */
+  async processDownload(downloadId) {
+    const download = db.prepare(`
+      SELECT id, asset, start_time, end_time FROM data_downloads WHERE id = ?
+    `).get(downloadId);
+
+    if (!download) {
+      throw new Error(`Download ${downloadId} not found`);
+    }
+
+    db.prepare(`
+      UPDATE data_downloads SET status = 'running', error_message = NULL WHERE id = ?
+    `).run(downloadId);
+
+    return this.runDownload(downloadId, download.asset, download.start_time, download.end_time);
+  }
+
+  /**
+   * Whether a stop was requested for this download's running job
+   */
+  isStopRequested(downloadId) {
+    const job = db.prepare(`
+      SELECT cancel_requested FROM jobs
+      WHERE download_id = ? AND status = 'running'
+    `).get(downloadId);
+    return Boolean(job?.cancel_requested);
+  }
+
+  /**
+   * Per-market snapshot coverage already held by completed downloads of this asset
+   */
+  getExistingCoverage(asset, startTime, endTime) {
+    const existingDownloads = db.prepare(`
+      SELECT id FROM data_downloads
+      WHERE asset = ? AND status = 'completed' AND synthetic = 0
+    `).all(asset);
+
+    if (existingDownloads.length === 0) return new Map();
+
+    const ids = existingDownloads.map(d => d.id);
+    const placeholders = ids.map(() => '?').join(',');
+
+    const rows = db.prepare(`
+      SELECT market_id, MIN(timestamp) as min_ts, MAX(timestamp) as max_ts, COUNT(*) as cnt
+      FROM downloaded_snapshots
+      WHERE download_id IN (${placeholders})
+        AND timestamp >= ? AND timestamp <= ?
+      GROUP BY market_id
+    `).all(...ids, startTime, endTime);
+
+    const coverage = new Map();
+    for (const row of rows) {
+      coverage.set(row.market_id, {
+        minTs: row.min_ts,
+        maxTs: row.max_ts,
+        count: row.cnt,
+      });
+    }
+    return coverage;
+  }
+
+  /**
+   * Copy snapshots for a market from completed downloads instead of re-fetching
+   */
+  copyExistingSnapshots(downloadId, asset, marketId, startTime, endTime) {
+    const existingDownloads = db.prepare(`
+      SELECT id FROM data_downloads
+      WHERE asset = ? AND status = 'completed' AND synthetic = 0
+    `).all(asset);
+
+    if (existingDownloads.length === 0) return 0;
+
+    const ids = existingDownloads.map(d => d.id);
+    const placeholders = ids.map(() => '?').join(',');
+
+    const snapshots = db.prepare(`
+      SELECT market_id, timestamp, side, outcome_index, outcome_label, mid, last, is_tradable
+      FROM downloaded_snapshots
+      WHERE download_id IN (${placeholders}) AND market_id = ?
+        AND timestamp >= ? AND timestamp <= ?
+      ORDER BY timestamp ASC
+    `).all(...ids, marketId, startTime, endTime);
+
+    const seen = new Set();
+    const unique = [];
+    for (const s of snapshots) {
+      const key = `${s.timestamp}_${getOutcomeIndex(s)}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        unique.push(s);
+      }
+    }
+
+    if (unique.length === 0) return 0;
+
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO downloaded_snapshots
+      (download_id, market_id, timestamp, side, outcome_index, outcome_label, mid, last, is_tradable)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const tx = db.transaction(() => {
+      for (const s of unique) {
+        insert.run(
+          downloadId, s.market_id, s.timestamp, s.side, getOutcomeIndex(s), s.outcome_label || s.side,
+          s.mid, s.last, s.is_tradable
+        );
+      }
+    });
+    tx();
+
+    return unique.length;
+  }
+
+  /**
+   * Fetch markets and snapshots for the download range
+   */
+  async runDownload(downloadId, asset, startTime, endTime) {
+    const updateProgress = (progress, stage) => {
+      db.prepare(`
+        UPDATE data_downloads SET progress_pct = ?, stage = ? WHERE id = ?
+      `).run(progress, stage, downloadId);
+      eventBus.publish('download', { id: downloadId, status: 'running', progress_pct: progress, stage });
+    };
+
+    try {
+      updateProgress(-1, 'Checking existing data coverage...');
+      const existingCoverage = this.getExistingCoverage(asset, startTime, endTime);
+
+      if (existingCoverage.size > 0) {
+        eventBus.log('download', downloadId, `[DataDownload] Found existing data for ${existingCoverage.size} markets`);
+      }
+
+      updateProgress(-1, 'Discovering markets on Polymarket...');
+      const excludeMarketIds = new Set(existingCoverage.keys());
+      const markets = await polymarketClient.fetchMarkets(asset, '15min', startTime, endTime, { excludeMarketIds });
+
+      if (markets.length === 0) {
+        console.warn(`[DataDownload] No markets found for ${asset}`);
+        console.warn(`[DataDownload] This may be due to Bitquery quota limits or no matching markets in this date range`);
+
+        updateProgress(100, 'No markets found for this asset/date range');
+        db.prepare(`
+          UPDATE data_downloads SET status = ?, completed_at = ?, error_message = ? WHERE id = ?
+        `).run('failed', Math.floor(Date.now() / 1000), 'No markets found for this asset and date range. Check that Bitquery quota is available and the date range contains active markets.', downloadId);
+        return { status: 'failed', error: 'No markets found for this asset and date range' };
+      }
+
+      const marketsToFetch = [];
+      const marketsAlreadyCovered = [];
+
+      for (const market of markets) {
+        const cov = existingCoverage.get(market.market_id);
+        if (cov && cov.minTs <= startTime + 86400 && cov.maxTs >= endTime - 86400 && cov.count > 10) {
+          marketsAlreadyCovered.push(market);
+        } else {
+          marketsToFetch.push(market);
+        }
+      }
+
+      eventBus.log('download', downloadId, `[DataDownload] ${marketsAlreadyCovered.length} markets already covered, ${marketsToFetch.length} need Bitquery fetch`);
+
+      updateProgress(5, `Found ${markets.length} market(s). Pulling data from ${marketsToFetch.length} market(s)${marketsAlreadyCovered.length > 0 ? ` (${marketsAlreadyCovered.length} cached)` : ''}...`);
+
+      const insertMarket = db.prepare(`
+        INSERT OR IGNORE INTO downloaded_markets
+        (download_id, market_id, question, asset, timeframe, start_time, end_time, status,
+         fee_regime, maker_fee_bps, taker_fee_bps, clob_token_ids,
+         resolution_status, winning_outcome, resolved_time, disputed)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      const saveMarkets = db.transaction((marketList) => {
+        for (const market of marketList) {
+          insertMarket.run(
+            downloadId, market.market_id, market.question || null, market.asset, market.timeframe,
+            market.start_time, market.end_time, market.status,
+            market.fee_regime, market.maker_fee_bps ?? 0, market.taker_fee_bps ?? 0,
+            market.clob_token_ids?.length ? JSON.stringify(market.clob_token_ids) : null,
+            market.resolution_status || 'unresolved', market.winning_outcome ?? null,
+            market.resolved_time ?? null, market.disputed ? 1 : 0
+          );
+        }
+      });
+
+      try {
+        saveMarkets(markets);
+        eventBus.log('download', downloadId, `[DataDownload] Saved ${markets.length} markets for download ${downloadId}`);
+      } catch (error) {
+        console.error(`[DataDownload] Error saving markets:`, error.message);
+        throw new Error(`Failed to save market metadata: ${error.message}`);
+      }
+
+      const insertSnapshot = db.prepare(`
+        INSERT OR IGNORE INTO downloaded_snapshots
+        (download_id, market_id, timestamp, side, outcome_index, outcome_label, mid, last, is_tradable)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      let totalSnapshots = 0;
+      let skippedMarkets = 0;
+      const totalMarkets = markets.length;
+
+      for (let i = 0; i < marketsAlreadyCovered.length; i++) {
+        const market = marketsAlreadyCovered[i];
+
+        if (this.isStopRequested(downloadId)) {
+          db.prepare(`UPDATE data_downloads SET status = 'stopped' WHERE id = ?`).run(downloadId);
+          return { status: 'stopped' };
+        }
+
+        const marketLabel = market.question ? market.question.substring(0, 50) : market.market_id;
+        updateProgress(-1, `Copying cached data for market ${i + 1}/${marketsAlreadyCovered.length}: ${marketLabel}...`);
+
+        try {
+          const copied = this.copyExistingSnapshots(downloadId, asset, market.market_id, startTime, endTime);
+          totalSnapshots += copied;
+          skippedMarkets++;
+          eventBus.log('download', downloadId, `[DataDownload] Copied ${copied} existing snapshots for ${market.market_id} (skipped Bitquery)`);
+        } catch (error) {
+          console.error(`[DataDownload] Error copying snapshots for ${market.market_id}:`, error.message);
+          marketsToFetch.push(market);
+        }
+      }
+
+      for (let i = 0; i < marketsToFetch.length; i++) {
+        const market = marketsToFetch[i];
+
+        if (this.isStopRequested(downloadId)) {
+          updateProgress(0, `Stopped (${totalSnapshots.toLocaleString()} snapshots saved)`);
+          db.prepare(`UPDATE data_downloads SET status = 'stopped' WHERE id = ?`).run(downloadId);
+          eventBus.log('download', downloadId, `Download ${downloadId} stopped by user`);
+          return { status: 'stopped' };
+        }
+
+        const marketLabel = market.question ? market.question.substring(0, 50) : market.market_id;
+        updateProgress(
+          -1,
+          `Pulling data for market ${i + 1}/${marketsToFetch.length}: ${marketLabel}...`
+        );
+
+        const snapshots = await polymarketClient.fetchSnapshots(
+          market,
+          startTime,
+          endTime
+        );
+
+        if (snapshots.length > 0) {
+          const validSnapshots = snapshots.filter(s => {
+            if (!s.market_id || !s.timestamp || getOutcomeIndex(s) === null) return false;
+            if (typeof s.mid !== 'number' || typeof s.last !== 'number') return false;
+            if (s.mid < 0 || s.mid > 1 || s.last < 0 || s.last > 1) return false;
+            return true;
+          });
+
+          if (validSnapshots.length > 0) {
+            const transaction = db.transaction(() => {
+              for (const snapshot of validSnapshots) {
+                insertSnapshot.run(
+                  downloadId, snapshot.market_id, snapshot.timestamp,
+                  snapshot.side, getOutcomeIndex(snapshot), snapshot.outcome_label || snapshot.side,
+                  snapshot.mid, snapshot.last, snapshot.is_tradable
+                );
+              }
+            });
+            try {
+              transaction();
+              totalSnapshots += validSnapshots.length;
+            } catch (error) {
+              console.error(`[DataDownload] Error inserting snapshots for market ${market.market_id}:`, error.message);
+            }
+          }
+
+          if (validSnapshots.length < snapshots.length) {
+            console.warn(`[DataDownload] Filtered out ${snapshots.length - validSnapshots.length} invalid snapshots`);
+          }
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+
+      const fetchedCount = marketsToFetch.length;
+      const cachedCount = skippedMarkets;
+      updateProgress(95, 'Finalizing...');
+      updateProgress(100, `Completed (${totalSnapshots.toLocaleString()} snapshots, ${cachedCount} cached, ${fetchedCount} fetched)`);
+      db.prepare(`
+        UPDATE data_downloads SET status = ?, completed_at = ? WHERE id = ?
+      `).run('completed', Math.floor(Date.now() / 1000), downloadId);
+
+    } catch (error) {
+      console.error('Error in runDownload:', error);
+      db.prepare(`
+        UPDATE data_downloads SET status = ?, error_message = ? WHERE id = ?
+      `).run('failed', error.message, downloadId);
+      throw error;
+    }
+  }
+}
+
+export default new DownloadProcessor();
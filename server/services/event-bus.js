@@ -0,0 +1,48 @@
+/**
+ * Event Bus
+ * In-process pub/sub for progress, status and log events, streamed to the UI by /api/events
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * Channels a client can subscribe to
+ * - backtest: { id, status, progress_pct, stage, error_message }
+ * - download: { id, status, progress_pct, stage, error_message }
+ * - log:      { source, id, message }
+ */
+export const EVENT_CHANNELS = ['backtest', 'download', 'log'];
+
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per open SSE connection
+    this.nextId = 1;
+  }
+
+  /**
+   * Publish an event to every subscriber
+   * @param {string} channel - One of EVENT_CHANNELS
+   * @param {Object} data - Event payload (fields left undefined are omitted)
+   */
+  publish(channel, data) {
+    this.emit('event', {
+      id: this.nextId++,
+      channel,
+      data: { ...data, timestamp: Date.now() }
+    });
+  }
+
+  /**
+   * Log a line to the console and publish it on the log channel
+   * @param {string} source - 'backtest' | 'download'
+   * @param {string} id - Run or download id
+   * @param {string} message
+   */
+  log(source, id, message) {
+    console.log(message);
+    this.publish('log', { source, id, message });
+  }
+}
+
+export default new EventBus();
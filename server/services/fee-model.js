@@ -0,0 +1,92 @@
+/**
+ * Fee Model
+ * Polymarket trading fees by fee regime. Markets carry their own regime (read from
+ * Gamma metadata at ingestion); a backtest either follows it or forces one regime.
+ * No database access - the simulator uses this on worker threads.
+ */
+
+/**
+ * How a market charges fees
+ * - fee_free: no fees
+ * - flat: maker/taker bps of the notional traded
+ * - price_curve: taker fee per share of rate × (p × (1 − p))^exponent, highest at p = 0.5
+ */
+export const FEE_REGIMES = ['fee_free', 'flat', 'price_curve'];
+
+/**
+ * Per-run fee model choices - 'market' uses each market's own regime
+ */
+export const FEE_MODELS = ['market', ...FEE_REGIMES];
+
+class FeeModel {
+  /**
+   * Fee regime and base rates of a market from its Gamma metadata
+   * Base fees are in bps; feesEnabled without base fees means the price curve applies
+   * @param {Object} gammaMarket - { feesEnabled, makerBaseFee, takerBaseFee }
+   * @returns {Object} { fee_regime, maker_fee_bps, taker_fee_bps }
+   */
+  resolveMarketFees(gammaMarket = {}) {
+    const enabled = gammaMarket.feesEnabled;
+    const makerBps = parseFloat(gammaMarket.makerBaseFee) || 0;
+    const takerBps = parseFloat(gammaMarket.takerBaseFee) || 0;
+
+    if (enabled === false || enabled === 'false') {
+      return { fee_regime: 'fee_free', maker_fee_bps: 0, taker_fee_bps: 0 };
+    }
+    if (makerBps > 0 || takerBps > 0) {
+      return { fee_regime: 'flat', maker_fee_bps: makerBps, taker_fee_bps: takerBps };
+    }
+    if (enabled === true || enabled === 'true') {
+      return { fee_regime: 'price_curve', maker_fee_bps: 0, taker_fee_bps: 0 };
+    }
+    return { fee_regime: 'fee_free', maker_fee_bps: 0, taker_fee_bps: 0 };
+  }
+
+  /**
+   * Regime and rates that apply to a market in a run
+   * @param {Object} config - Simulation params (feeModel, feeBps, feeCurveRate, feeCurveExponent)
+   * @param {Object} marketFees - The market's { fee_regime, maker_fee_bps, taker_fee_bps }, if known
+   * @returns {Object} { regime, makerBps, takerBps, curveRate, curveExponent }
+   */
+  resolveSchedule(config, marketFees) {
+    const curve = { curveRate: config.feeCurveRate, curveExponent: config.feeCurveExponent };
+
+    if (config.feeModel === 'market') {
+      const regime = FEE_REGIMES.includes(marketFees?.fee_regime) ? marketFees.fee_regime : 'fee_free';
+      return {
+        regime,
+        makerBps: marketFees?.maker_fee_bps || 0,
+        takerBps: marketFees?.taker_fee_bps || 0,
+        ...curve
+      };
+    }
+
+    // A forced flat regime charges the run's feeBps on both sides
+    return { regime: config.feeModel, makerBps: config.feeBps, takerBps: config.feeBps, ...curve };
+  }
+
+  /**
+   * Fee for one fill
+   * @param {Object} fill - { shares, price, liquidity: 'taker' | 'maker' }
+   * @param {Object} schedule - Result of resolveSchedule()
+   * @returns {number} Fee in dollars
+   */
+  calculateFee({ shares, price, liquidity = 'taker' }, schedule) {
+    if (!(shares > 0) || !Number.isFinite(price)) return 0;
+
+    switch (schedule.regime) {
+      case 'flat': {
+        const bps = liquidity === 'maker' ? schedule.makerBps : schedule.takerBps;
+        return shares * price * (bps / 10000);
+      }
+      case 'price_curve':
+        // Makers are not charged on the curve
+        if (liquidity === 'maker') return 0;
+        return shares * schedule.curveRate * Math.pow(price * (1 - price), schedule.curveExponent);
+      default:
+        return 0;
+    }
+  }
+}
+
+export default new FeeModel();
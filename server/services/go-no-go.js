@@ -0,0 +1,204 @@
+/**
+ * Go/No-Go Evaluator
+ * Applies the configurable thresholds in go_no_go_rules to a run's metrics,
+ * taking the bootstrap confidence intervals into account (see confidence.js),
+ * and records each completed run's verdict
+ */
+
+import db from '../database/db.js';
+
+/**
+ * Rule comparison operators
+ */
+export const RULE_OPERATORS = ['>=', '<='];
+
+/**
+ * backtests columns a rule can test
+ */
+export const RULE_METRICS = [
+  'windows_per_analysis_hour', 'duration_p50', 'fill_success_rate', 'avg_execution_adjusted_edge',
+  'data_coverage_pct', 'windows_detected', 'trades_completed'
+];
+
+/**
+ * Run verdicts
+ * - go: every enabled rule passes
+ * - marginal: every rule passes, but at least one only on its point value (see getStatus)
+ * - no_go: at least one rule fails (or has no value)
+ */
+export const VERDICTS = ['go', 'marginal', 'no_go'];
+
+const RULE_FIELDS = ['metric', 'label', 'unit', 'operator', 'threshold', 'weight', 'enabled', 'sort_order'];
+
+class GoNoGoEvaluator {
+  /**
+   * Rules in display order
+   * @param {Object} options - { enabledOnly }
+   */
+  getRules({ enabledOnly = false } = {}) {
+    return db.prepare(`
+      SELECT * FROM go_no_go_rules
+      ${enabledOnly ? 'WHERE enabled = 1' : ''}
+      ORDER BY sort_order ASC, id ASC
+    `).all();
+  }
+
+  /**
+   * Get a single rule, or undefined
+   */
+  getRule(id) {
+    return db.prepare('SELECT * FROM go_no_go_rules WHERE id = ?').get(id);
+  }
+
+  /**
+   * Create a rule (fields as validated by schemas.createRule), last in order unless sort_order is given
+   * @returns {Object} The new rule
+   */
+  createRule(fields) {
+    const { next } = db.prepare('SELECT COALESCE(MAX(sort_order) + 1, 0) AS next FROM go_no_go_rules').get();
+    const rule = { unit: '', operator: '>=', weight: 1, enabled: true, sort_order: next, ...fields };
+    const { lastInsertRowid } = db.prepare(`
+      INSERT INTO go_no_go_rules (metric, label, unit, operator, threshold, weight, enabled, sort_order, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      rule.metric, rule.label, rule.unit, rule.operator, rule.threshold, rule.weight,
+      rule.enabled ? 1 : 0, rule.sort_order, Math.floor(Date.now() / 1000)
+    );
+    return this.getRule(lastInsertRowid);
+  }
+
+  /**
+   * Update the given fields of a rule
+   * @returns {Object|undefined} The updated rule, undefined if it does not exist
+   */
+  updateRule(id, fields) {
+    const updates = RULE_FIELDS.filter(field => fields[field] !== undefined);
+    if (updates.length > 0) {
+      const values = updates.map(field => (field === 'enabled' ? (fields.enabled ? 1 : 0) : fields[field]));
+      db.prepare(`
+        UPDATE go_no_go_rules
+        SET ${updates.map(field => `${field} = ?`).join(', ')}, updated_at = ?
+        WHERE id = ?
+      `).run(...values, Math.floor(Date.now() / 1000), id);
+    }
+    return this.getRule(id);
+  }
+
+  /**
+   * Delete a rule
+   * @returns {boolean} Whether a rule was deleted
+   */
+  deleteRule(id) {
+    return db.prepare('DELETE FROM go_no_go_rules WHERE id = ?').run(id).changes > 0;
+  }
+
+  /**
+   * Evaluate a run against the enabled rules
+   * A metric passes when its value meets the threshold; it is only 'marginal' when the
+   * value passes but the unfavourable end of its confidence interval does not.
+   * @param {Object} run - backtests row
+   * @param {Object} confidence - Confidence estimate from metrics_json (may be missing)
+   * @returns {Object} { results: [{ metric, label, unit, operator, threshold, weight, value, interval, status }], sampleWarning }
+   *   status is 'pass' | 'marginal' | 'fail' | 'unknown' (no value)
+   */
+  evaluate(run, confidence = null) {
+    const results = this.getRules({ enabledOnly: true }).map(rule => {
+      const value = run[rule.metric];
+      const interval = confidence?.intervals?.[rule.metric] || null;
+      return {
+        metric: rule.metric,
+        label: rule.label,
+        unit: rule.unit,
+        operator: rule.operator,
+        threshold: rule.threshold,
+        weight: rule.weight,
+        value: value ?? null,
+        interval,
+        status: this.getStatus(rule, value, interval)
+      };
+    });
+
+    return { results, sampleWarning: confidence?.warning || null };
+  }
+
+  /**
+   * Evaluate a run using the confidence estimate stored in its metrics_json
+   */
+  evaluateRun(run) {
+    let confidence = null;
+    try {
+      confidence = JSON.parse(run.metrics_json || '{}')?.confidence || null;
+    } catch (error) {
+      console.warn(`Invalid metrics_json for run ${run.id}: ${error.message}`);
+    }
+    return this.evaluate(run, confidence);
+  }
+
+  /**
+   * Verdict of an evaluation
+   * The score is the weight share of rules that pass (marginal included), 0-100
+   * @param {Object} evaluation - Result of evaluate()
+   * @returns {Object} { verdict, score, failedRules: [{ metric, label, operator, threshold, value, status }] }
+   */
+  getVerdict({ results }) {
+    const failedRules = results
+      .filter(result => result.status === 'fail' || result.status === 'unknown')
+      .map(({ metric, label, operator, threshold, value, status }) => ({ metric, label, operator, threshold, value, status }));
+
+    const totalWeight = results.reduce((sum, result) => sum + result.weight, 0);
+    const passedWeight = results
+      .filter(result => result.status === 'pass' || result.status === 'marginal')
+      .reduce((sum, result) => sum + result.weight, 0);
+
+    let verdict = 'go';
+    if (failedRules.length > 0) verdict = 'no_go';
+    else if (results.some(result => result.status === 'marginal')) verdict = 'marginal';
+
+    return {
+      verdict,
+      score: totalWeight > 0 ? (passedWeight / totalWeight) * 100 : 100,
+      failedRules
+    };
+  }
+
+  /**
+   * Evaluate a completed run against the current rules and persist its verdict
+   * The stored failed rules keep the thresholds they were judged by, so later rule
+   * edits do not rewrite past verdicts
+   * @returns {Object} As getVerdict()
+   */
+  recordVerdict(runId) {
+    const run = db.prepare('SELECT * FROM backtests WHERE id = ?').get(runId);
+    const result = this.getVerdict(this.evaluateRun(run));
+
+    db.prepare(`
+      UPDATE backtests
+      SET verdict = ?, verdict_score = ?, failed_rules_json = ?, verdict_at = ?
+      WHERE id = ?
+    `).run(result.verdict, result.score, JSON.stringify(result.failedRules), Math.floor(Date.now() / 1000), runId);
+
+    return result;
+  }
+
+  /**
+   * Status of one metric against its rule
+   */
+  getStatus(rule, value, interval) {
+    if (value === null || value === undefined) return 'unknown';
+    if (!this.meets(rule, value)) return 'fail';
+
+    // The end of the interval that could still breach the threshold
+    const worstCase = rule.operator === '<=' ? interval?.upper : interval?.lower;
+    if (worstCase !== undefined && !this.meets(rule, worstCase)) return 'marginal';
+    return 'pass';
+  }
+
+  /**
+   * Whether a value satisfies a rule's threshold
+   */
+  meets(rule, value) {
+    return rule.operator === '<=' ? value <= rule.threshold : value >= rule.threshold;
+  }
+}
+
+export default new GoNoGoEvaluator();
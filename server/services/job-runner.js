@@ -1,67 +1,363 @@
 /**
- * Background Job Runner - Phase 1A
- * Simple in-memory job queue for backtest processing
+ * Background Job Runner
+ * Persistent job queue backed by the jobs table. Jobs are claimed by a worker,
+ * kept alive with heartbeats, and recovered after a restart.
  */
 
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import db from '../database/db.js';
 import backtestProcessor from './backtest-processor.js';
+import downloadProcessor from './download-processor.js';
+import { JOB_CONCURRENCY } from './worker-pool.js';
+import eventBus from './event-bus.js';
+
+const HEARTBEAT_INTERVAL_MS = 5000;
+const STALE_JOB_SECONDS = 30; // No heartbeat for this long = worker died
+const MAX_ATTEMPTS = 3;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
 
 class JobRunner {
   constructor() {
-    this.queue = [];
-    this.running = false;
-    this.activeJob = null;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map();
+    this.activeJobs = new Map(); // job_id -> job row
+    this.timer = null;
+
+    // Backtest analysis runs on worker threads, so several runs can share the process.
+    // Downloads mostly wait on the network.
+    this.registerHandler('backtest', async (job) => {
+      const result = await backtestProcessor.processBacktest(job.run_id);
+      if (result.cancelled) {
+        return { status: 'cancelled' };
+      }
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    }, { concurrency: JOB_CONCURRENCY });
+
+    this.registerHandler('download', (job) => downloadProcessor.processDownload(job.download_id), {
+      concurrency: 2
+    });
   }
 
   /**
-   * Add job to queue and start processing
+   * Register the function that processes a job type
+   * A handler may resolve to { status, error } to finish with a status other than 'completed'
    */
-  enqueue(runId) {
-    this.queue.push(runId);
-    console.log(`Job enqueued for run ${runId}. Queue length: ${this.queue.length}`);
+  registerHandler(jobType, run, { concurrency = 1 } = {}) {
+    this.handlers.set(jobType, { run, concurrency });
+  }
 
-    if (!this.running) {
-      this.processQueue();
+  /**
+   * Recover interrupted jobs, then start heartbeats and queue polling
+   */
+  start() {
+    if (this.timer) return;
+
+    this.recoverStaleJobs({ onStart: true });
+    this.reconcileOrphans();
+
+    this.timer = setInterval(() => this.tick(), HEARTBEAT_INTERVAL_MS);
+    this.timer.unref();
+
+    this.processQueue();
+  }
+
+  /**
+   * Stop heartbeats and polling (active jobs are left to finish)
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Insert a queued job row (safe to call inside a db transaction)
+   * @param {string} jobType - 'backtest' | 'download'
+   * @param {Object} refs - { runId, downloadId, priority } (higher priority is claimed first)
+   * @returns {string} jobId
+   */
+  createJob(jobType, { runId = null, downloadId = null, priority = 0 } = {}) {
+    if (!this.handlers.has(jobType)) {
+      throw new Error(`Unknown job type: ${jobType}`);
     }
+
+    const jobId = uuidv4();
+    db.prepare(`
+      INSERT INTO jobs
+      (job_id, job_type, run_id, download_id, status, progress_pct, stage, priority, attempts, created_at)
+      VALUES (?, ?, ?, ?, 'queued', 0, 'queued', ?, 0, ?)
+    `).run(jobId, jobType, runId, downloadId, priority, nowSeconds());
+
+    this.publishStatus({ job_type: jobType, run_id: runId, download_id: downloadId }, 'queued');
+    return jobId;
+  }
+
+  /**
+   * Create a job and start processing
+   * @returns {string} jobId
+   */
+  enqueue(jobType, refs) {
+    const jobId = this.createJob(jobType, refs);
+    console.log(`Job ${jobId} enqueued (${jobType})`);
+    this.processQueue();
+    return jobId;
+  }
+
+  /**
+   * Get the queued or running job for a backtest or download, if any
+   */
+  getActiveJob({ runId, downloadId }) {
+    const column = runId ? 'run_id' : 'download_id';
+    return db.prepare(`
+      SELECT * FROM jobs
+      WHERE ${column} = ? AND status IN ('queued', 'running')
+      ORDER BY created_at DESC
+      LIMIT 1
+    `).get(runId || downloadId);
   }
 
   /**
-   * Process jobs from queue sequentially
+   * Ask a job to stop. A queued job is finished straight away; a running job is
+   * flagged and its handler stops at the next checkpoint.
+   * @param {Object} job - jobs row
+   * @param {string} finalStatus - Status for a job that never started
+   * @returns {boolean} true if the job had not started yet
    */
-  async processQueue() {
-    if (this.running || this.queue.length === 0) {
-      return;
+  requestCancel(job, finalStatus = 'cancelled') {
+    const dequeued = db.prepare(`
+      UPDATE jobs SET status = ?, cancel_requested = 1, finished_at = ?
+      WHERE job_id = ? AND status = 'queued'
+    `).run(finalStatus, nowSeconds(), job.job_id);
+
+    if (dequeued.changes > 0) {
+      this.publishStatus(job, finalStatus);
+      return true;
+    }
+
+    db.prepare('UPDATE jobs SET cancel_requested = 1 WHERE job_id = ?').run(job.job_id);
+    return false;
+  }
+
+  /**
+   * Claim queued jobs up to each job type's concurrency limit
+   */
+  processQueue() {
+    for (const [jobType, handler] of this.handlers) {
+      let active = [...this.activeJobs.values()].filter(job => job.job_type === jobType).length;
+
+      while (active < handler.concurrency) {
+        const job = this.claimNextJob(jobType);
+        if (!job) break;
+
+        active++;
+        this.runJob(handler, job);
+      }
     }
+  }
+
+  /**
+   * Atomically move the highest-priority (then oldest) queued job of a type to running
+   */
+  claimNextJob(jobType) {
+    const claim = db.transaction(() => {
+      const next = db.prepare(`
+        SELECT job_id FROM jobs
+        WHERE status = 'queued' AND job_type = ?
+        ORDER BY priority DESC, created_at ASC, rowid ASC
+        LIMIT 1
+      `).get(jobType);
+
+      if (!next) return null;
 
-    this.running = true;
+      const now = nowSeconds();
+      db.prepare(`
+        UPDATE jobs
+        SET status = 'running', worker_id = ?, claimed_at = ?, heartbeat_at = ?,
+            started_at = COALESCE(started_at, ?), attempts = attempts + 1
+        WHERE job_id = ? AND status = 'queued'
+      `).run(this.workerId, now, now, now, next.job_id);
 
-    while (this.queue.length > 0) {
-      const runId = this.queue.shift();
-      this.activeJob = runId;
+      return db.prepare('SELECT * FROM jobs WHERE job_id = ?').get(next.job_id);
+    });
 
-      console.log(`Starting job for run ${runId}...`);
+    return claim.immediate();
+  }
+
+  /**
+   * Run a claimed job and record its outcome
+   */
+  async runJob(handler, job) {
+    this.activeJobs.set(job.job_id, job);
+    console.log(`Starting ${job.job_type} job ${job.job_id} (attempt ${job.attempts})...`);
+
+    try {
+      const result = await handler.run(job);
+      this.finishJob(job.job_id, result?.status || 'completed', result?.error);
+      this.publishStatus(job, result?.status || 'completed', result?.error);
+      console.log(`Job ${job.job_id} finished: ${result?.status || 'completed'}`);
+    } catch (error) {
+      console.error(`Job ${job.job_id} failed:`, error);
+      this.finishJob(job.job_id, 'failed', error.message);
+      this.publishStatus(job, 'failed', error.message);
+    } finally {
+      this.activeJobs.delete(job.job_id);
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Record a job's final status
+   */
+  finishJob(jobId, status, errorMessage = null) {
+    db.prepare(`
+      UPDATE jobs
+      SET status = ?, error_message = COALESCE(?, error_message), finished_at = ?
+      WHERE job_id = ?
+    `).run(status, errorMessage, nowSeconds(), jobId);
+  }
+
+  /**
+   * Tell event subscribers a backtest or download changed status
+   */
+  publishStatus(job, status, errorMessage) {
+    eventBus.publish(job.job_type, {
+      id: job.run_id || job.download_id,
+      status,
+      error_message: errorMessage || undefined
+    });
+  }
 
-      try {
-        await backtestProcessor.processBacktest(runId);
-        console.log(`Job completed for run ${runId}`);
-      } catch (error) {
-        console.error(`Job failed for run ${runId}:`, error);
+  /**
+   * Periodic work: heartbeat active jobs, recover dead workers' jobs, pick up new jobs
+   */
+  tick() {
+    try {
+      if (this.activeJobs.size > 0) {
+        const ids = [...this.activeJobs.keys()];
+        db.prepare(`
+          UPDATE jobs SET heartbeat_at = ?
+          WHERE job_id IN (${ids.map(() => '?').join(',')})
+        `).run(nowSeconds(), ...ids);
       }
 
-      this.activeJob = null;
+      this.recoverStaleJobs();
+      this.processQueue();
+    } catch (error) {
+      console.error('Job runner tick failed:', error);
+    }
+  }
+
+  /**
+   * Requeue (or fail after MAX_ATTEMPTS) running jobs whose worker stopped heartbeating
+   * On start, every running job this process is not running is recovered whatever its
+   * worker_id - a restarted container usually comes back with the same hostname and pid,
+   * so the interrupted jobs carry this workerId
+   * @param {Object} options - { onStart }
+   */
+  recoverStaleJobs({ onStart = false } = {}) {
+    const staleJobs = (onStart
+      ? db.prepare("SELECT * FROM jobs WHERE status = 'running'").all()
+      : db.prepare(`
+        SELECT * FROM jobs
+        WHERE status = 'running'
+          AND (worker_id IS NULL OR worker_id != ?)
+          AND COALESCE(heartbeat_at, 0) < ?
+      `).all(this.workerId, nowSeconds() - STALE_JOB_SECONDS)
+    ).filter(job => !this.activeJobs.has(job.job_id));
+
+    for (const job of staleJobs) {
+      const requeue = job.attempts < MAX_ATTEMPTS;
+      const message = requeue
+        ? 'Requeued after interruption'
+        : `Interrupted ${job.attempts} times - giving up`;
+
+      const transaction = db.transaction(() => {
+        db.prepare(`
+          UPDATE jobs
+          SET status = ?, stage = ?, progress_pct = 0, worker_id = NULL,
+              error_message = ?, finished_at = ?
+          WHERE job_id = ?
+        `).run(
+          requeue ? 'queued' : 'failed',
+          requeue ? 'queued' : 'failed',
+          requeue ? null : message,
+          requeue ? null : nowSeconds(),
+          job.job_id
+        );
+
+        if (job.run_id) {
+          db.prepare(`
+            UPDATE backtests
+            SET status = ?, stage = ?, progress_pct = 0, error_message = ?, completed_at = ?
+            WHERE id = ?
+          `).run(
+            requeue ? 'queued' : 'failed',
+            message,
+            requeue ? null : message,
+            requeue ? null : nowSeconds(),
+            job.run_id
+          );
+        }
+
+        if (job.download_id) {
+          // Downloads resume where they left off, so a requeue loses no data
+          db.prepare(`
+            UPDATE data_downloads SET status = ?, stage = ?, error_message = ? WHERE id = ?
+          `).run(requeue ? 'queued' : 'failed', message, requeue ? null : message, job.download_id);
+        }
+      });
+
+      transaction();
+      this.publishStatus(job, requeue ? 'queued' : 'failed', requeue ? null : message);
+      console.log(`[JobRunner] ${message}: ${job.job_type} job ${job.job_id}`);
     }
+  }
+
+  /**
+   * Settle queued/running backtests and downloads that have no live job
+   * (e.g. started before jobs were persisted)
+   */
+  reconcileOrphans() {
+    const orphanedRuns = db.prepare(`
+      UPDATE backtests
+      SET status = 'failed', stage = 'Interrupted', error_message = 'Interrupted by server restart',
+          completed_at = ?
+      WHERE status IN ('queued', 'running')
+        AND NOT EXISTS (
+          SELECT 1 FROM jobs j WHERE j.run_id = backtests.id AND j.status IN ('queued', 'running')
+        )
+    `).run(nowSeconds());
+
+    const orphanedDownloads = db.prepare(`
+      UPDATE data_downloads SET status = 'stopped', stage = 'Stopped (server restarted)'
+      WHERE status IN ('queued', 'running')
+        AND NOT EXISTS (
+          SELECT 1 FROM jobs j WHERE j.download_id = data_downloads.id AND j.status IN ('queued', 'running')
+        )
+    `).run();
 
-    this.running = false;
-    console.log('Job queue empty');
+    if (orphanedRuns.changes > 0 || orphanedDownloads.changes > 0) {
+      console.log(`[JobRunner] Settled ${orphanedRuns.changes} orphaned run(s) and ${orphanedDownloads.changes} orphaned download(s)`);
+    }
   }
 
   /**
    * Get queue status
    */
   getStatus() {
+    const counts = db.prepare(`
+      SELECT job_type, status, COUNT(*) as count FROM jobs
+      WHERE status IN ('queued', 'running')
+      GROUP BY job_type, status
+    `).all();
+
     return {
-      queueLength: this.queue.length,
-      running: this.running,
-      activeJob: this.activeJob
+      workerId: this.workerId,
+      activeJobs: [...this.activeJobs.keys()],
+      counts
     };
   }
 }
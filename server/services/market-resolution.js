@@ -0,0 +1,98 @@
+/**
+ * Market Resolution
+ * How a market resolved, read from Gamma metadata at ingestion, and what each
+ * outcome share pays at settlement.
+ * No database access - the simulator uses this on worker threads.
+ */
+
+/**
+ * Resolution states
+ * - unresolved: no final outcome yet (or Gamma did not report one)
+ * - resolved: one outcome won and pays $1, the other $0
+ * - invalid: resolved 50/50 (or otherwise cancelled) - every share pays $0.50
+ */
+export const RESOLUTION_STATUSES = ['unresolved', 'resolved', 'invalid'];
+
+const INVALID_PAYOUT = 0.5;
+
+class MarketResolution {
+  /**
+   * Resolution of a market from its Gamma metadata
+   * A market is resolved once it is closed and its outcomePrices are final (1/0 or 0.5/0.5)
+   * @param {Object} gammaMarket - { closed, outcomePrices, closedTime, umaResolutionStatus, umaResolutionStatuses }
+   * @returns {Object} { resolution_status, winning_outcome, resolved_time, disputed }
+   */
+  resolveMarketOutcome(gammaMarket = {}) {
+    const disputed = this.wasDisputed(gammaMarket) ? 1 : 0;
+    const unresolved = { resolution_status: 'unresolved', winning_outcome: null, resolved_time: null, disputed };
+
+    const closed = gammaMarket.closed === true || gammaMarket.closed === 'true';
+    const prices = this.parseList(gammaMarket.outcomePrices).map(Number);
+    if (!closed || prices.length !== 2 || prices.some(p => !Number.isFinite(p))) {
+      return unresolved;
+    }
+
+    const resolvedTime = this.parseTimestamp(gammaMarket.closedTime);
+    const isPrice = (value, target) => Math.abs(value - target) < 1e-6;
+
+    if (prices.every(p => isPrice(p, INVALID_PAYOUT))) {
+      return { resolution_status: 'invalid', winning_outcome: null, resolved_time: resolvedTime, disputed };
+    }
+
+    const winner = prices.findIndex(p => isPrice(p, 1));
+    if (winner !== -1 && isPrice(prices[1 - winner], 0)) {
+      return { resolution_status: 'resolved', winning_outcome: winner, resolved_time: resolvedTime, disputed };
+    }
+
+    return unresolved;
+  }
+
+  /**
+   * Payout per share of each outcome, or null while the market is unresolved
+   * @param {Object} market - { resolution_status, winning_outcome }
+   * @returns {Array|null} [outcome 0 payout, outcome 1 payout]
+   */
+  getPayouts(market) {
+    switch (market?.resolution_status) {
+      case 'resolved':
+        return [0, 1].map(index => (index === market.winning_outcome ? 1 : 0));
+      case 'invalid':
+        return [INVALID_PAYOUT, INVALID_PAYOUT];
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Whether the market's UMA resolution was ever disputed
+   */
+  wasDisputed(gammaMarket) {
+    if (gammaMarket.umaResolutionStatus === 'disputed') return true;
+    return this.parseList(gammaMarket.umaResolutionStatuses).includes('disputed');
+  }
+
+  /**
+   * Gamma sends lists as JSON strings ('["1", "0"]') or arrays
+   */
+  parseList(value) {
+    if (Array.isArray(value)) return value;
+    try {
+      const parsed = JSON.parse(value || '[]');
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Unix seconds from a Gamma timestamp ('2025-01-01 12:00:00+00' or ISO), null if unparseable
+   */
+  parseTimestamp(value) {
+    if (!value) return null;
+    const iso = String(value).replace(' ', 'T').replace(/([+-]\d{2})$/, '$1:00');
+    const ms = new Date(iso).getTime();
+    return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+  }
+}
+
+export default new MarketResolution();
@@ -0,0 +1,80 @@
+/**
+ * Monte Carlo Simulator
+ * Re-runs trade simulation with random execution - latency drawn per leg from
+ * latencyDistribution and legs filling with fillProbability - and reports the
+ * spread of outcomes. A seeded generator makes every run reproducible.
+ * No database access - runs on worker threads.
+ */
+
+import tradeSimulator, { DEFAULT_SIMULATION_PARAMS } from './trade-simulator.js';
+
+/**
+ * Seeded uniform generator on [0, 1) (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} () => number
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class MonteCarloSimulator {
+  /**
+   * Run monteCarloIterations stochastic simulations of the same windows
+   * Iteration i uses seed monteCarloSeed + i, so any single iteration can be replayed
+   * @param {Array} windows - Detected windows
+   * @param {number} tradeSize - Trade size in dollars
+   * @param {Object} params - Simulation params (monteCarloIterations, monteCarloSeed, ...)
+   * @param {Object} context - As for tradeSimulator.simulateTrades()
+   * @returns {Object|null} { iterations, seed, profit, fillRate, edge, finalEquity, maxDrawdownPct }
+   *   each as { p5, p50, p95, mean } - null when Monte Carlo is off
+   */
+  run(windows, tradeSize, params = {}, context = {}) {
+    const config = { ...DEFAULT_SIMULATION_PARAMS, ...params };
+    const iterations = Math.floor(config.monteCarloIterations);
+    if (!(iterations > 0)) return null;
+
+    const seed = Number.isInteger(config.monteCarloSeed) ? config.monteCarloSeed : 0;
+    const samples = { profit: [], fillRate: [], edge: [], finalEquity: [], maxDrawdownPct: [] };
+
+    for (let i = 0; i < iterations; i++) {
+      const random = createRandom(seed + i);
+      const portfolio = tradeSimulator.runPortfolio(windows, tradeSize, config, { ...context, random });
+      const metrics = tradeSimulator.calculateMetrics(portfolio.trades, windows.length);
+
+      samples.profit.push(metrics.totalProfit);
+      samples.fillRate.push(metrics.fillSuccessRate);
+      samples.edge.push(metrics.avgExecutionAdjustedEdge);
+      samples.finalEquity.push(portfolio.metrics.finalEquity);
+      samples.maxDrawdownPct.push(portfolio.metrics.maxDrawdownPct);
+    }
+
+    return {
+      iterations,
+      seed,
+      ...Object.fromEntries(Object.entries(samples).map(([key, values]) => [key, this.summarize(values)]))
+    };
+  }
+
+  /**
+   * P5/P50/P95 and mean of a sample
+   */
+  summarize(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * q))];
+    return {
+      p5: at(0.05),
+      p50: at(0.5),
+      p95: at(0.95),
+      mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length
+    };
+  }
+}
+
+export default new MonteCarloSimulator();
@@ -0,0 +1,256 @@
+/**
+ * Order Book Collector
+ * Polls the CLOB /book endpoint on a schedule and records the top bid/ask levels
+ * of every token in a download's markets (orderbook_snapshots table)
+ */
+
+import axios from 'axios';
+import db from '../database/db.js';
+import dataProvider from '../../lib/data-provider.js';
+import eventBus from './event-bus.js';
+import { createTokenMapping, createOutcome } from '../../lib/data-mappers.js';
+import { POLYMARKET_CLOB_BASE } from '../../lib/constants.js';
+
+/**
+ * Default collection schedule - each can be overridden per session
+ */
+export const DEFAULT_COLLECTION_PARAMS = {
+  intervalSeconds: 5, // matches the detector's default tick interval
+  depth: 5, // price levels kept per side
+  durationMinutes: 60
+};
+
+class OrderbookCollector {
+  constructor() {
+    this.client = axios.create({ timeout: 10000 });
+    this.sessions = new Map(); // download_id -> active collection session
+  }
+
+  /**
+   * CLOB base URL (read per request so tests can point it at a mock server)
+   */
+  get baseUrl() {
+    return process.env.POLYMARKET_API_BASE || POLYMARKET_CLOB_BASE;
+  }
+
+  /**
+   * Fetch the raw order book for one token
+   */
+  async fetchBook(tokenId) {
+    return dataProvider.get('clob', this.client, `${this.baseUrl}/book`, { token_id: tokenId });
+  }
+
+  /**
+   * Normalize a CLOB book to numeric top-N levels, best price first
+   * The CLOB returns prices and sizes as strings and does not promise a level order
+   * @returns {Object} { timestamp, bids, asks, best_bid, best_ask, bid_depth, ask_depth }
+   */
+  normalizeBook(book, depth = DEFAULT_COLLECTION_PARAMS.depth) {
+    const toLevels = (levels = []) => levels
+      .map(level => ({ price: parseFloat(level.price), size: parseFloat(level.size) }))
+      .filter(level => Number.isFinite(level.price) && Number.isFinite(level.size) && level.size > 0);
+
+    const bids = toLevels(book?.bids).sort((a, b) => b.price - a.price).slice(0, depth);
+    const asks = toLevels(book?.asks).sort((a, b) => a.price - b.price).slice(0, depth);
+
+    // Book timestamps are epoch milliseconds
+    const bookTime = parseInt(book?.timestamp, 10);
+
+    return {
+      timestamp: Math.floor((Number.isFinite(bookTime) ? bookTime : Date.now()) / 1000),
+      bids,
+      asks,
+      best_bid: bids.length > 0 ? bids[0].price : null,
+      best_ask: asks.length > 0 ? asks[0].price : null,
+      bid_depth: bids.reduce((sum, level) => sum + level.size, 0),
+      ask_depth: asks.reduce((sum, level) => sum + level.size, 0)
+    };
+  }
+
+  /**
+   * Tokens of a download's markets, in outcome index order
+   * Markets downloaded before token ids were stored are skipped
+   * @returns {Array} [{ market_id, token_id, outcome_index, outcome_label }]
+   */
+  getDownloadTokens(downloadId) {
+    const markets = db.prepare(`
+      SELECT market_id, question, clob_token_ids FROM downloaded_markets
+      WHERE download_id = ? AND clob_token_ids IS NOT NULL
+      ORDER BY id ASC
+    `).all(downloadId);
+
+    const tokens = [];
+    for (const market of markets) {
+      let tokenIds;
+      try {
+        tokenIds = JSON.parse(market.clob_token_ids);
+      } catch {
+        continue;
+      }
+
+      const tokenMapping = createTokenMapping(market.market_id, market.question || '');
+      tokenIds.forEach((tokenId, index) => {
+        const { outcome_index, outcome_label } = createOutcome(index, tokenMapping);
+        tokens.push({ market_id: market.market_id, token_id: String(tokenId), outcome_index, outcome_label });
+      });
+    }
+    return tokens;
+  }
+
+  /**
+   * Fetch and store one book per token of a download
+   * A token whose book cannot be fetched is counted and skipped
+   * @returns {Object} { tokens, stored, errors }
+   */
+  async collectOnce(downloadId, depth = DEFAULT_COLLECTION_PARAMS.depth) {
+    const tokens = this.getDownloadTokens(downloadId);
+    const books = [];
+    let errors = 0;
+
+    for (const token of tokens) {
+      try {
+        books.push({ ...token, ...this.normalizeBook(await this.fetchBook(token.token_id), depth) });
+      } catch (error) {
+        errors++;
+        console.warn(`[Orderbook] Failed to fetch book for token ${token.token_id.substring(0, 20)}: ${error.message}`);
+      }
+    }
+
+    const insertBook = db.prepare(`
+      INSERT OR IGNORE INTO orderbook_snapshots
+      (download_id, market_id, token_id, outcome_index, outcome_label, timestamp,
+       best_bid, best_ask, bid_depth, ask_depth, bids_json, asks_json)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    let stored = 0;
+    db.transaction(() => {
+      for (const book of books) {
+        stored += insertBook.run(
+          downloadId,
+          book.market_id,
+          book.token_id,
+          book.outcome_index,
+          book.outcome_label,
+          book.timestamp,
+          book.best_bid,
+          book.best_ask,
+          book.bid_depth,
+          book.ask_depth,
+          JSON.stringify(book.bids),
+          JSON.stringify(book.asks)
+        ).changes;
+      }
+    })();
+
+    return { tokens: tokens.length, stored, errors };
+  }
+
+  /**
+   * Start polling a download's order books until stopped or the duration elapses
+   * Sessions live in memory - a server restart ends them
+   * @param {string} downloadId
+   * @param {Object} options - Overrides for DEFAULT_COLLECTION_PARAMS
+   * @returns {Object} Session status (see getStatus)
+   */
+  start(downloadId, options = {}) {
+    const config = { ...DEFAULT_COLLECTION_PARAMS, ...options };
+    const now = Date.now();
+
+    const session = {
+      downloadId,
+      ...config,
+      startedAt: now,
+      endsAt: now + config.durationMinutes * 60 * 1000,
+      polls: 0,
+      snapshotsStored: 0,
+      errors: 0,
+      polling: false
+    };
+    session.timer = setInterval(() => this.poll(session), config.intervalSeconds * 1000);
+    session.timer.unref();
+    this.sessions.set(downloadId, session);
+
+    eventBus.log('download', downloadId, `[Orderbook] Collecting top ${config.depth} levels every ${config.intervalSeconds}s for ${config.durationMinutes} min`);
+    this.poll(session);
+
+    return this.describe(session);
+  }
+
+  /**
+   * One scheduled collection pass (skipped while the previous pass is still waiting on the CLOB)
+   */
+  async poll(session) {
+    if (session.polling || !this.sessions.has(session.downloadId)) return;
+    if (Date.now() >= session.endsAt) {
+      this.stop(session.downloadId);
+      return;
+    }
+
+    session.polling = true;
+    try {
+      const result = await this.collectOnce(session.downloadId, session.depth);
+      session.polls++;
+      session.snapshotsStored += result.stored;
+      session.errors += result.errors;
+
+      if (result.tokens === 0) {
+        eventBus.log('download', session.downloadId, '[Orderbook] Download has no markets with CLOB token ids - stopping');
+        this.stop(session.downloadId);
+      }
+    } catch (error) {
+      session.errors++;
+      console.error(`[Orderbook] Collection pass failed for download ${session.downloadId}:`, error.message);
+    } finally {
+      session.polling = false;
+    }
+  }
+
+  /**
+   * Stop a download's collection session
+   * @returns {Object|null} Final session status, or null if none was running
+   */
+  stop(downloadId) {
+    const session = this.sessions.get(downloadId);
+    if (!session) return null;
+
+    clearInterval(session.timer);
+    this.sessions.delete(downloadId);
+    eventBus.log('download', downloadId, `[Orderbook] Stopped after ${session.polls} polls (${session.snapshotsStored} book snapshots stored)`);
+
+    return this.describe(session);
+  }
+
+  /**
+   * Whether a download's order books are being collected
+   */
+  isCollecting(downloadId) {
+    return this.sessions.has(downloadId);
+  }
+
+  /**
+   * Current session status for a download, or null when not collecting
+   */
+  getStatus(downloadId) {
+    const session = this.sessions.get(downloadId);
+    return session ? this.describe(session) : null;
+  }
+
+  /**
+   * API view of a session
+   */
+  describe(session) {
+    return {
+      collecting: this.sessions.has(session.downloadId),
+      interval_seconds: session.intervalSeconds,
+      depth: session.depth,
+      started_at: Math.floor(session.startedAt / 1000),
+      ends_at: Math.floor(session.endsAt / 1000),
+      polls: session.polls,
+      snapshots_stored: session.snapshotsStored,
+      errors: session.errors
+    };
+  }
+}
+
+export default new OrderbookCollector();
@@ -2,11 +2,14 @@ import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
 import bitqueryClient from '../../lib/bitquery-client.js';
+import dataProvider from '../../lib/data-provider.js';
 import { discoverMarketsByAsset, batchDiscoverMarkets } from '../../lib/polymarket-market-finder.js';
-import { createTokenMapping } from '../../lib/data-mappers.js';
+import { createTokenMapping, createOutcome } from '../../lib/data-mappers.js';
+import feeModel from './fee-model.js';
+import marketResolution from './market-resolution.js';
 
 const POLYMARKET_API_BASE = process.env.POLYMARKET_API_BASE || 'https://clob.polymarket.com';
-const GAMMA_API_BASE = 'https://gamma-api.polymarket.com';
+const GAMMA_API_BASE = process.env.GAMMA_API_BASE || 'https://gamma-api.polymarket.com';
 const USE_BITQUERY = process.env.USE_BITQUERY === 'true' || true; // Default to Bitquery
 
 class PolymarketClient {
@@ -23,7 +26,7 @@ class PolymarketClient {
       'SOL': [/\bsolana\b/i, /(?<![a-z])sol(?![a-z])/i, /\$sol/i]
     };
     this.useBitquery = USE_BITQUERY;
-    console.log(`[PolymarketClient] Data source: ${this.useBitquery ? 'Bitquery (blockchain)' : 'Polymarket API'}`);
+    console.log(`[PolymarketClient] Data source: ${this.useBitquery ? 'Bitquery (blockchain)' : 'Polymarket API'} via ${dataProvider.mode} provider`);
   }
 
   async fetchMarkets(asset, timeframe, startTime, endTime, options = {}) {
@@ -61,7 +64,8 @@ class PolymarketClient {
         start_time: Math.floor(new Date(m.startDate).getTime() / 1000) || startTime,
         end_time: endTime,
         status: m.closed ? 'closed' : (m.metadata?.status || 'active'),
-        fee_regime: 'fee_free',
+        ...feeModel.resolveMarketFees(m),
+        ...marketResolution.resolveMarketOutcome(m),
         clob_token_ids: m.clobTokenIds || ['0', '1'],
         token_mapping: m.metadata?.is_up_down ? { '0': 'UP', '1': 'DOWN' } : { '0': 'YES', '1': 'NO' },
         _trades: m._trades || [],
@@ -86,15 +90,13 @@ class PolymarketClient {
       const allMarkets = [];
 
       for (let offset = 0; offset < 1000; offset += 100) {
-        const response = await this.client.get(`${GAMMA_API_BASE}/markets`, {
-          params: {
-            limit: 100,
-            offset,
-            active: true,
-            closed: false
-          }
+        const data = await dataProvider.get('gamma', this.client, `${GAMMA_API_BASE}/markets`, {
+          limit: 100,
+          offset,
+          active: true,
+          closed: false
         });
-        const batch = response.data || [];
+        const batch = data || [];
         if (batch.length === 0) break;
         allMarkets.push(...batch);
         await new Promise(resolve => setTimeout(resolve, 100));
@@ -129,7 +131,8 @@ class PolymarketClient {
           start_time: m.startDate ? Math.floor(new Date(m.startDate).getTime() / 1000) : startTime,
           end_time: m.endDate ? Math.floor(new Date(m.endDate).getTime() / 1000) : endTime,
           status: m.closed ? 'closed' : 'active',
-          fee_regime: 'fee_free',
+          ...feeModel.resolveMarketFees(m),
+          ...marketResolution.resolveMarketOutcome(m),
           clob_token_ids: tokenIds
         };
       });
@@ -220,17 +223,17 @@ class PolymarketClient {
 
         if (price <= 0 || price > 1) continue;
 
-        let side = 'YES';
+        let outcomeIndex = 0;
         if (tradeIds.length > 0 && secondTokenId && tradeIds.includes(secondTokenId)) {
-          side = 'NO';
+          outcomeIndex = 1;
         } else if (sideType === 'sell') {
-          side = 'NO';
+          outcomeIndex = 1;
         }
 
         snapshots.push({
           market_id: market.market_id,
           timestamp,
-          side,
+          ...createOutcome(outcomeIndex, market.token_mapping),
           mid: price,
           last: price,
           is_tradable: 1,
@@ -241,7 +244,7 @@ class PolymarketClient {
           snapshots.push({
             market_id: market.market_id,
             timestamp,
-            side: side === 'YES' ? 'NO' : 'YES',
+            ...createOutcome(1 - outcomeIndex, market.token_mapping),
             mid: complementPrice,
             last: complementPrice,
             is_tradable: 1,
@@ -257,7 +260,7 @@ class PolymarketClient {
 
       const buckets = new Map();
       for (const snap of snapshots) {
-        const key = `${snap.timestamp}_${snap.side}`;
+        const key = `${snap.timestamp}_${snap.outcome_index}`;
         if (!buckets.has(key)) {
           buckets.set(key, { ...snap, prices: [snap.mid] });
         } else {
@@ -269,6 +272,8 @@ class PolymarketClient {
         market_id: b.market_id,
         timestamp: b.timestamp,
         side: b.side,
+        outcome_index: b.outcome_index,
+        outcome_label: b.outcome_label,
         mid: b.prices.reduce((s, p) => s + p, 0) / b.prices.length,
         last: b.prices[b.prices.length - 1],
         is_tradable: b.is_tradable,
@@ -298,23 +303,21 @@ class PolymarketClient {
 
       for (let i = 0; i < tokenIds.length; i++) {
         const tokenId = tokenIds[i];
-        const side = i === 0 ? 'YES' : 'NO';
+        const outcome = createOutcome(i, market.token_mapping);
 
         let data = [];
         const fidelities = isClosed ? [720, 60, 5] : [60, 5];
 
         for (const fidelity of fidelities) {
           try {
-            const response = await this.client.get(`${POLYMARKET_API_BASE}/prices-history`, {
-              params: {
-                market: tokenId,
-                interval: 'max',
-                fidelity
-              }
+            const response = await dataProvider.get('clob', this.client, `${POLYMARKET_API_BASE}/prices-history`, {
+              market: tokenId,
+              interval: 'max',
+              fidelity
             });
-            data = response.data?.history || [];
+            data = response?.history || [];
             if (data.length > 0) {
-              console.log(`  Token ${side} (${tokenId.substring(0, 20)}...): ${data.length} points (fidelity=${fidelity})`);
+              console.log(`  Token ${outcome.outcome_label} (${tokenId.substring(0, 20)}...): ${data.length} points (fidelity=${fidelity})`);
               break;
             }
           } catch (e) {
@@ -338,7 +341,7 @@ class PolymarketClient {
             allSnapshots.push({
               market_id: market.market_id,
               timestamp,
-              side,
+              ...outcome,
               mid: price,
               last: price,
               is_tradable: 1
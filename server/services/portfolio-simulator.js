@@ -0,0 +1,178 @@
+/**
+ * Portfolio Simulator
+ * Runs trades through a bankroll: each position reserves its cost from entry
+ * until it settles, windows the free capital cannot cover are skipped, and realized
+ * equity is tracked over time (equity curve, drawdown, utilisation, annualised return)
+ */
+
+// Without a recorded resolution, payouts are assumed this long after the market ends
+export const SETTLEMENT_DELAY_SECONDS = 60;
+
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+
+class PortfolioSimulator {
+  /**
+   * Simulate windows through the bankroll in start order
+   * Each window is simulated when it opens, with the capital available at that moment,
+   * so sizing can depend on current equity
+   * @param {Array} windows - Detected windows
+   * @param {Function} simulate - (window, { equity, available }) => trade
+   * @param {Object} options - { bankroll, markets (market_id -> { end_time, resolved_time }), analysisStart, analysisEnd }
+   * @returns {Object} { trades (window order, unaffordable ones marked 'skipped'), equityCurve: [{ timestamp, equity, reserved }], metrics }
+   */
+  run(windows, simulate, { bankroll, markets = {}, analysisStart, analysisEnd } = {}) {
+    const order = windows.map((_, i) => i).sort((a, b) => windows[a].startTime - windows[b].startTime);
+    const start = analysisStart ?? windows[order[0]]?.startTime ?? 0;
+    const end = analysisEnd ?? start;
+
+    let equity = bankroll;
+    let reserved = 0;
+    let peakReserved = 0;
+    let utilizationSeconds = 0; // integral of reserved / equity over the analysis period
+    let clock = start;
+    const open = []; // { releaseTime, cost, profit }
+    const equityCurve = [{ timestamp: start, equity, reserved }];
+
+    const advanceTo = (time) => {
+      const until = Math.min(time, end);
+      if (until > clock && equity > 0) {
+        utilizationSeconds += (until - clock) * (reserved / equity);
+      }
+      clock = Math.max(clock, until);
+    };
+
+    const settleUntil = (time) => {
+      while (open.length > 0 && open[0].releaseTime <= time) {
+        const position = open.shift();
+        advanceTo(position.releaseTime);
+        equity += position.profit;
+        reserved -= position.cost;
+        equityCurve.push({ timestamp: position.releaseTime, equity, reserved });
+      }
+    };
+
+    const result = new Array(windows.length);
+    let tradesSkipped = 0;
+
+    for (const i of order) {
+      const entryTime = windows[i].startTime;
+      settleUntil(entryTime);
+
+      const trade = simulate(windows[i], { equity, available: equity - reserved });
+      result[i] = trade;
+      if (!(trade.cost > 0)) continue;
+
+      if (trade.cost > equity - reserved + 1e-9) {
+        tradesSkipped++;
+        result[i] = this.skip(trade);
+        continue;
+      }
+
+      advanceTo(entryTime);
+      reserved += trade.cost;
+      peakReserved = Math.max(peakReserved, reserved);
+      equityCurve.push({ timestamp: entryTime, equity, reserved });
+
+      open.push({ releaseTime: this.getReleaseTime(trade, markets), cost: trade.cost, profit: trade.profit });
+      open.sort((a, b) => a.releaseTime - b.releaseTime);
+    }
+
+    settleUntil(Infinity);
+    advanceTo(end);
+
+    return {
+      trades: result,
+      equityCurve,
+      metrics: this.calculateMetrics(equityCurve, {
+        bankroll,
+        periodSeconds: end - start,
+        utilizationSeconds,
+        peakReserved,
+        tradesSkipped
+      })
+    };
+  }
+
+  /**
+   * When a position's capital comes back - an early exit or unwound leg at its sale,
+   * everything else when the market resolves (or shortly after it ends, if the resolution is unknown)
+   */
+  getReleaseTime(trade, markets) {
+    if (Number.isFinite(trade.exit?.time)) {
+      return trade.exit.time;
+    }
+    if (trade.unhedged?.policy === 'unwind' && Number.isFinite(trade.unhedged.exit_time)) {
+      return trade.unhedged.exit_time;
+    }
+
+    const resolvedAt = markets[trade.window.market_id]?.resolved_time;
+    if (Number.isFinite(resolvedAt)) {
+      return Math.max(resolvedAt, trade.window.endTime);
+    }
+
+    const marketEnd = markets[trade.window.market_id]?.end_time;
+    const settlesAt = Number.isFinite(marketEnd) ? Math.max(marketEnd, trade.window.endTime) : trade.window.endTime;
+    return settlesAt + SETTLEMENT_DELAY_SECONDS;
+  }
+
+  /**
+   * A trade the portfolio could not afford - nothing bought, no P&L
+   */
+  skip(trade) {
+    return {
+      ...trade,
+      result: 'skipped',
+      profit: 0,
+      fees: 0,
+      cost: 0,
+      filledSize: 0,
+      avgPrice: null,
+      slippage: null,
+      legs: [],
+      unhedged: null,
+      settlement: null,
+      exit: null
+    };
+  }
+
+  /**
+   * Portfolio metrics from the realized equity curve
+   */
+  calculateMetrics(equityCurve, { bankroll, periodSeconds, utilizationSeconds, peakReserved, tradesSkipped }) {
+    let peak = bankroll;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+    for (const point of equityCurve) {
+      peak = Math.max(peak, point.equity);
+      const drawdown = peak - point.equity;
+      if (drawdown > maxDrawdown) {
+        maxDrawdown = drawdown;
+        maxDrawdownPct = peak > 0 ? (drawdown / peak) * 100 : 0;
+      }
+    }
+
+    const finalEquity = equityCurve[equityCurve.length - 1].equity;
+    const growth = finalEquity / bankroll;
+    let annualizedReturnPct = null;
+    if (periodSeconds > 0) {
+      annualizedReturnPct = growth > 0
+        ? (Math.pow(growth, SECONDS_PER_YEAR / periodSeconds) - 1) * 100
+        : -100;
+    }
+
+    return {
+      bankroll,
+      finalEquity,
+      totalReturnPct: (growth - 1) * 100,
+      maxDrawdown,
+      maxDrawdownPct,
+      capitalUtilizationPct: periodSeconds > 0 ? (utilizationSeconds / periodSeconds) * 100 : 0,
+      peakReserved,
+      // Very short periods compound past what a double can hold
+      annualizedReturnPct: Number.isFinite(annualizedReturnPct) ? annualizedReturnPct : null,
+      tradesSkipped
+    };
+  }
+}
+
+export default new PortfolioSimulator();
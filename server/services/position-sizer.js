@@ -0,0 +1,70 @@
+/**
+ * Position Sizer
+ * How many share pairs to buy in a window, by sizing policy. Sizes are in pairs
+ * (each pays $1 at settlement), the unit the trade simulator fills; tradeSize and
+ * bankroll are dollar stakes converted to pairs at the window's entry price.
+ * No database access - the simulator uses this on worker threads.
+ */
+
+/**
+ * Sizing policies
+ * - fixed: tradeSize dollars every window
+ * - percent_bankroll: sizingBankrollPct of current equity
+ * - edge_proportional: tradeSize dollars scaled by edge / sizingReferenceEdge, up to sizingMaxMultiple
+ * - kelly: kellyFraction of the Kelly stake for the window's edge
+ * - depth_capped: tradeSize dollars, capped at sizingDepthPct of the pairs available with edge at entry
+ */
+export const SIZING_POLICIES = ['fixed', 'percent_bankroll', 'edge_proportional', 'kelly', 'depth_capped'];
+
+class PositionSizer {
+  /**
+   * Target size for a window
+   * @param {Object} window - Detected window (entryCombinedPrice)
+   * @param {number} tradeSize - The run's trade size in dollars
+   * @param {Object} config - Simulation params (sizingPolicy and its settings)
+   * @param {Object} capital - { equity } at the window's start
+   * @param {Function} getDepth - () => pairs available with edge at entry (only called for depth_capped)
+   * @returns {number} Pairs to buy, 0 to pass on the window
+   */
+  calculateSize(window, tradeSize, config, capital = {}, getDepth = () => Infinity) {
+    const price = window.entryCombinedPrice;
+    const edge = 1 - price;
+    if (!(price > 0) || !(edge > 0)) return 0;
+
+    switch (config.sizingPolicy) {
+      case 'percent_bankroll':
+        return this.stakeToPairs((capital.equity ?? config.bankroll) * (config.sizingBankrollPct / 100), price);
+      case 'edge_proportional':
+        return this.stakeToPairs(tradeSize * Math.min(edge / config.sizingReferenceEdge, config.sizingMaxMultiple), price);
+      case 'kelly':
+        return this.stakeToPairs(
+          (capital.equity ?? config.bankroll) * config.kellyFraction * this.kellyFraction(edge / price, config),
+          price
+        );
+      case 'depth_capped':
+        return Math.min(this.stakeToPairs(tradeSize, price), getDepth() * (config.sizingDepthPct / 100));
+      default:
+        return this.stakeToPairs(tradeSize, price);
+    }
+  }
+
+  /**
+   * Full Kelly fraction of equity for a bet that returns `odds` per dollar with
+   * probability kellyWinProbability (the pair completes) and otherwise loses
+   * kellyLossFraction of the stake (a failed hedge) - clamped to [0, 1]
+   */
+  kellyFraction(odds, config) {
+    const p = config.kellyWinProbability;
+    const fraction = p / config.kellyLossFraction - (1 - p) / odds;
+    return Math.min(Math.max(fraction, 0), 1);
+  }
+
+  /**
+   * Pairs a dollar stake buys at the entry price
+   */
+  stakeToPairs(stake, price) {
+    return stake > 0 ? stake / price : 0;
+  }
+}
+
+export default new PositionSizer();
@@ -0,0 +1,377 @@
+/**
+ * Synthetic Market Generator
+ * Builds two-outcome price paths with planted arbitrage windows and writes them as a
+ * synthetic download, so the detector and simulator can be measured against a known
+ * ground truth (recall and precision of detected windows).
+ *
+ * Per market the combined mid (up + down) follows a mean-reverting process around
+ * meanCombinedPrice while the up probability drifts. Dislocations drop the combined mid
+ * to 1 - depth, hold it there for their duration and then revert to the mean; the ground
+ * truth window runs until the noiseless path is back at 1.00. Impairments overlay the ticks:
+ * - gap: no ticks from either leg (collector outage) while prices keep moving
+ * - stale_leg: one leg stops ticking while the other carries on
+ * - halt: both legs keep ticking at frozen prices with is_tradable = 0
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import db from '../database/db.js';
+import dataProvider from '../../lib/data-provider.js';
+import { createRandom } from './monte-carlo.js';
+import { createOutcome } from '../../lib/data-mappers.js';
+
+export const TIMEFRAME_SECONDS = { '5min': 300, '15min': 900, '1hr': 3600 };
+
+export const IMPAIRMENT_TYPES = ['gap', 'stale_leg', 'halt'];
+
+// Rate and length parameters of each impairment type
+const IMPAIRMENT_PARAMS = {
+  gap: { rate: 'gapsPerHour', seconds: 'gapSeconds' },
+  stale_leg: { rate: 'staleLegsPerHour', seconds: 'staleLegSeconds' },
+  halt: { rate: 'haltsPerHour', seconds: 'haltSeconds' }
+};
+
+/**
+ * Default generator parameters - each can be overridden per synthetic download
+ */
+export const DEFAULT_SYNTHETIC_PARAMS = {
+  asset: 'BTC',
+  timeframe: '15min', // markets run back to back, one per timeframe
+  durationHours: 6,
+  startTime: null, // unix seconds, default durationHours before the provider clock
+  seed: null, // set when generated, so the same download can be rebuilt
+  tickIntervalSeconds: 5,
+  tickJitterSeconds: 1, // each leg's tick lands up to this far off the grid
+  meanCombinedPrice: 1.02, // overround the combined mid reverts to
+  combinedNoise: 0.003, // std dev of the combined mid shock per tick
+  reversionRate: 0.2, // share of the distance to the target closed per tick
+  probabilityVolatility: 0.5, // up probability drift, logit units per sqrt(hour)
+  dislocationsPerHour: 2,
+  dislocationDepth: 0.02, // mean drop of the combined mid below 1.00
+  dislocationSeconds: 60, // mean time held at the dislocated level
+  gapsPerHour: 0.5,
+  gapSeconds: 60,
+  staleLegsPerHour: 0.5,
+  staleLegSeconds: 60,
+  haltsPerHour: 0.25,
+  haltSeconds: 120
+};
+
+const OUTCOME_LABELS = { 0: 'Up', 1: 'Down' };
+
+/**
+ * Standard normal draw (Box-Muller)
+ */
+function standardNormal(random) {
+  const u = 1 - random(); // (0, 1] - keeps log finite
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Build an error carrying an HTTP status for the route to relay
+ */
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const clampPrice = (price) => Math.min(0.999, Math.max(0.001, Number(price.toFixed(4))));
+
+class SyntheticMarketGenerator {
+  /**
+   * Generate markets, snapshots and ground truth (no database access)
+   * @param {Object} params - Overrides for DEFAULT_SYNTHETIC_PARAMS
+   * @returns {Object} { config, startTime, endTime, markets, snapshots, plantedWindows, impairments }
+   *   plantedWindows: [{ market_id, startTime, endTime, holdSeconds, depth, truncated, impairments }]
+   *   impairments: [{ market_id, type, leg (stale_leg: outcome index), startTime, endTime }]
+   */
+  generate(params = {}) {
+    const config = { ...DEFAULT_SYNTHETIC_PARAMS, ...params };
+    if (!Number.isInteger(config.seed)) {
+      config.seed = Math.floor(Math.random() * 2147483647);
+    }
+    const marketSeconds = TIMEFRAME_SECONDS[config.timeframe];
+    if (!marketSeconds) {
+      throw requestError(400, `Unknown timeframe "${config.timeframe}" - expected one of: ${Object.keys(TIMEFRAME_SECONDS).join(', ')}`);
+    }
+    if (config.tickJitterSeconds * 2 >= config.tickIntervalSeconds) {
+      throw requestError(400, 'tickJitterSeconds must be less than half of tickIntervalSeconds');
+    }
+
+    const marketCount = Math.max(1, Math.round((config.durationHours * 3600) / marketSeconds));
+    const defaultStart = dataProvider.now() - marketCount * marketSeconds;
+    const startTime = Math.floor((config.startTime ?? defaultStart) / marketSeconds) * marketSeconds;
+    const random = createRandom(config.seed);
+
+    const result = {
+      config,
+      startTime,
+      endTime: startTime + marketCount * marketSeconds,
+      markets: [],
+      snapshots: [],
+      plantedWindows: [],
+      impairments: []
+    };
+
+    for (let i = 0; i < marketCount; i++) {
+      const marketStart = startTime + i * marketSeconds;
+      this.generateMarket(result, `synthetic-${config.seed}-${marketStart}`, marketStart, marketStart + marketSeconds, config, random);
+    }
+
+    // Flag planted windows whose ticks an impairment touches - they may be split or missed
+    for (const window of result.plantedWindows) {
+      window.impairments = [...new Set(result.impairments
+        .filter(imp => imp.market_id === window.market_id && imp.startTime <= window.endTime && imp.endTime >= window.startTime)
+        .map(imp => imp.type))];
+    }
+    return result;
+  }
+
+  /**
+   * Simulate one market tick by tick, appending to result
+   */
+  generateMarket(result, marketId, marketStart, marketEnd, config, random) {
+    const interval = config.tickIntervalSeconds;
+    const perTick = (perHour) => (perHour * interval) / 3600;
+    const volatility = config.probabilityVolatility * Math.sqrt(interval / 3600);
+    const outcomes = [0, 1].map(index => createOutcome(index, OUTCOME_LABELS));
+
+    let logit = standardNormal(random) * 0.5;
+    let combined = config.meanCombinedPrice;
+    let base = combined; // noiseless path - defines the ground truth
+    let dislocation = null;
+    let impairment = null;
+    let p = 0.5;
+
+    for (let time = marketStart; time < marketEnd; time += interval) {
+      if (impairment && time >= impairment.endTime) impairment = null;
+      if (!impairment) {
+        const type = IMPAIRMENT_TYPES.find(name => random() < perTick(config[IMPAIRMENT_PARAMS[name].rate]));
+        if (type) {
+          const seconds = config[IMPAIRMENT_PARAMS[type].seconds];
+          impairment = { market_id: marketId, type, startTime: time, endTime: Math.min(marketEnd, time + seconds) };
+          if (type === 'stale_leg') impairment.leg = random() < 0.5 ? 0 : 1;
+          result.impairments.push(impairment);
+        }
+      }
+      const halted = impairment?.type === 'halt';
+
+      // A halted market does not move
+      if (!halted) {
+        if (dislocation && time >= dislocation.holdUntil) dislocation.holding = false;
+
+        let started = false;
+        if (!dislocation && random() < perTick(config.dislocationsPerHour)) {
+          // Held for at least three ticks, and only if it can recover before the market ends
+          const holdSeconds = Math.max(interval * 3, Math.round((config.dislocationSeconds * (0.5 + random())) / interval) * interval);
+          if (time + holdSeconds * 2 < marketEnd) {
+            const depth = config.dislocationDepth * (0.5 + random());
+            dislocation = {
+              window: { market_id: marketId, startTime: time, endTime: null, holdSeconds, depth, truncated: false },
+              holdUntil: time + holdSeconds,
+              holding: true
+            };
+            combined = base = 1 - depth;
+            started = true;
+          }
+        }
+        if (!started) {
+          const target = dislocation?.holding ? 1 - dislocation.window.depth : config.meanCombinedPrice;
+          base += config.reversionRate * (target - base);
+          combined += config.reversionRate * (target - combined) + config.combinedNoise * standardNormal(random);
+        }
+
+        if (dislocation && !dislocation.holding && base >= 1) {
+          dislocation.window.endTime = time - interval;
+          result.plantedWindows.push(dislocation.window);
+          dislocation = null;
+        }
+
+        logit += volatility * standardNormal(random);
+        p = Math.min(0.98, Math.max(0.02, 1 / (1 + Math.exp(-logit))));
+      }
+
+      const overround = (combined - 1) / 2;
+      const mids = [clampPrice(p + overround), clampPrice(1 - p + overround)];
+      for (const index of [0, 1]) {
+        if (impairment?.type === 'gap' || (impairment?.type === 'stale_leg' && impairment.leg === index)) continue;
+
+        const jitter = Math.round((random() * 2 - 1) * config.tickJitterSeconds);
+        result.snapshots.push({
+          market_id: marketId,
+          timestamp: time + jitter,
+          ...outcomes[index],
+          mid: mids[index],
+          last: mids[index],
+          is_tradable: halted ? 0 : 1
+        });
+      }
+    }
+
+    if (dislocation) {
+      dislocation.window.endTime = marketEnd - interval;
+      dislocation.window.truncated = true;
+      result.plantedWindows.push(dislocation.window);
+    }
+
+    result.markets.push({
+      market_id: marketId,
+      question: `Synthetic ${config.asset} Up or Down - ${new Date(marketStart * 1000).toISOString()}`,
+      asset: config.asset,
+      timeframe: config.timeframe,
+      start_time: marketStart,
+      end_time: marketEnd,
+      status: 'closed',
+      fee_regime: 'fee_free',
+      resolution_status: 'resolved',
+      winning_outcome: random() < p ? 0 : 1,
+      resolved_time: marketEnd
+    });
+  }
+
+  /**
+   * Generate and store a completed synthetic download with its ground truth
+   * @param {Object} params - Overrides for DEFAULT_SYNTHETIC_PARAMS
+   * @returns {Object} { downloadId, startTime, endTime, marketCount, snapshotCount, plantedWindows, seed }
+   */
+  createDownload(params = {}) {
+    const generated = this.generate(params);
+    const { config, markets, snapshots } = generated;
+    const downloadId = uuidv4();
+    const now = Math.floor(Date.now() / 1000);
+
+    const groundTruth = {
+      params: config,
+      plantedWindows: generated.plantedWindows,
+      impairments: generated.impairments
+    };
+
+    const insertMarket = db.prepare(`
+      INSERT INTO downloaded_markets
+      (download_id, market_id, question, asset, timeframe, start_time, end_time, status,
+       fee_regime, maker_fee_bps, taker_fee_bps, resolution_status, winning_outcome, resolved_time)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, ?, ?, ?)
+    `);
+    const insertSnapshot = db.prepare(`
+      INSERT INTO downloaded_snapshots
+      (download_id, market_id, timestamp, side, outcome_index, outcome_label, mid, last, is_tradable)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO data_downloads
+        (id, asset, period, status, progress_pct, stage, start_time, end_time, created_at, completed_at,
+         synthetic, ground_truth_json)
+        VALUES (?, ?, 'custom', 'completed', 100, ?, ?, ?, ?, ?, 1, ?)
+      `).run(
+        downloadId, config.asset, `Synthetic data (seed ${config.seed})`, generated.startTime, generated.endTime,
+        now, now, JSON.stringify(groundTruth)
+      );
+
+      for (const m of markets) {
+        insertMarket.run(
+          downloadId, m.market_id, m.question, m.asset, m.timeframe, m.start_time, m.end_time, m.status,
+          m.fee_regime, m.resolution_status, m.winning_outcome, m.resolved_time
+        );
+      }
+      for (const s of snapshots) {
+        insertSnapshot.run(downloadId, s.market_id, s.timestamp, s.side, s.outcome_index, s.outcome_label, s.mid, s.last, s.is_tradable);
+      }
+    })();
+
+    return {
+      downloadId,
+      startTime: generated.startTime,
+      endTime: generated.endTime,
+      marketCount: markets.length,
+      snapshotCount: snapshots.length,
+      plantedWindows: generated.plantedWindows.length,
+      seed: config.seed
+    };
+  }
+
+  /**
+   * Stored ground truth of a synthetic download
+   * @returns {Object|null} { params, plantedWindows, impairments } - null if not synthetic
+   */
+  getGroundTruth(downloadId) {
+    const row = db.prepare('SELECT ground_truth_json FROM data_downloads WHERE id = ? AND synthetic = 1').get(downloadId);
+    return row?.ground_truth_json ? JSON.parse(row.ground_truth_json) : null;
+  }
+
+  /**
+   * Score a completed backtest run's windows against a synthetic download's ground truth
+   */
+  scoreRun(groundTruth, runId) {
+    const windows = db.prepare(`
+      SELECT market_id, start_time AS startTime, end_time AS endTime FROM windows WHERE run_id = ?
+    `).all(runId);
+    return this.scoreDetection(groundTruth.plantedWindows, windows, {
+      toleranceSeconds: groundTruth.params.tickIntervalSeconds
+    });
+  }
+
+  /**
+   * Match detected windows to planted ones - a detection matches a planted window in the same
+   * market when their spans overlap (within toleranceSeconds)
+   * Recall is the share of planted windows detected; precision the share of detections that
+   * match a planted window. cleanRecall leaves out windows touched by an impairment.
+   * @param {Array} planted - Ground truth windows ({ market_id, startTime, endTime, impairments })
+   * @param {Array} detected - Detector windows ({ market_id, startTime, endTime })
+   * @returns {Object} { planted, detected, truePositives, falsePositives, missed, recall, precision,
+   *   cleanRecall, splitWindows, meanStartOffsetSeconds, missedWindows, falseWindows }
+   */
+  scoreDetection(planted, detected, { toleranceSeconds = 5 } = {}) {
+    const detectedByMarket = new Map();
+    for (const window of detected) {
+      if (!detectedByMarket.has(window.market_id)) detectedByMarket.set(window.market_id, []);
+      detectedByMarket.get(window.market_id).push(window);
+    }
+
+    const matchedDetections = new Set();
+    const missedWindows = [];
+    const startOffsets = [];
+    let cleanPlanted = 0;
+    let cleanFound = 0;
+    let splitWindows = 0;
+
+    for (const window of planted) {
+      const matches = (detectedByMarket.get(window.market_id) || []).filter(d =>
+        d.startTime <= window.endTime + toleranceSeconds && d.endTime >= window.startTime - toleranceSeconds);
+      const clean = !window.impairments?.length;
+      if (clean) cleanPlanted++;
+
+      if (matches.length === 0) {
+        missedWindows.push(window);
+        continue;
+      }
+      if (clean) cleanFound++;
+      if (matches.length > 1) splitWindows++;
+      matches.forEach(d => matchedDetections.add(d));
+      startOffsets.push(Math.min(...matches.map(d => d.startTime)) - window.startTime);
+    }
+
+    const falseWindows = detected.filter(d => !matchedDetections.has(d));
+    const found = planted.length - missedWindows.length;
+
+    return {
+      planted: planted.length,
+      detected: detected.length,
+      truePositives: matchedDetections.size,
+      falsePositives: falseWindows.length,
+      missed: missedWindows.length,
+      recall: planted.length > 0 ? found / planted.length : null,
+      precision: detected.length > 0 ? matchedDetections.size / detected.length : null,
+      cleanRecall: cleanPlanted > 0 ? cleanFound / cleanPlanted : null,
+      splitWindows,
+      meanStartOffsetSeconds: startOffsets.length > 0
+        ? startOffsets.reduce((sum, offset) => sum + offset, 0) / startOffsets.length
+        : null,
+      missedWindows,
+      falseWindows: falseWindows.map(({ market_id, startTime, endTime }) => ({ market_id, startTime, endTime }))
+    };
+  }
+}
+
+export default new SyntheticMarketGenerator();
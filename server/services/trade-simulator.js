@@ -3,10 +3,61 @@
  * Implements deterministic fill model with realistic execution constraints
  */
 
-const LATENCY_SECONDS = 0.2; // 200ms
-const MIN_FILL_TIME_SECONDS = 1;
-const SETTLEMENT_DELAY_SECONDS = 60;
-const FEE_BPS = 0; // No fees for Phase 1A
+import feeModel from './fee-model.js';
+import portfolioSimulator from './portfolio-simulator.js';
+import positionSizer from './position-sizer.js';
+import marketResolution from './market-resolution.js';
+
+/**
+ * Default simulation parameters - each can be overridden per backtest run
+ */
+export const DEFAULT_SIMULATION_PARAMS = {
+  latencySeconds: 0.2, // 200ms
+  minFillTimeSeconds: 1,
+  bankroll: 10000, // starting capital - positions reserve their cost until settlement
+  // Position sizing per window (see position-sizer.js) - 'fixed' stakes tradeSize dollars every time
+  sizingPolicy: 'fixed', // 'fixed' | 'percent_bankroll' | 'edge_proportional' | 'kelly' | 'depth_capped'
+  sizingBankrollPct: 5, // percent_bankroll: % of current equity staked
+  sizingReferenceEdge: 0.02, // edge_proportional: edge at which tradeSize is staked
+  sizingMaxMultiple: 3, // edge_proportional: cap as a multiple of tradeSize
+  kellyFraction: 0.25, // kelly: fraction of the full Kelly stake
+  kellyWinProbability: 0.95, // kelly: chance both legs fill
+  kellyLossFraction: 0.5, // kelly: share of the stake lost when the hedge fails
+  sizingDepthPct: 50, // depth_capped: max % of the pairs available with edge at entry
+  feeModel: 'market', // 'market' = each market's fee regime, or force 'fee_free' | 'flat' | 'price_curve'
+  feeBps: 0, // maker and taker bps when the 'flat' model is forced
+  feeCurveRate: 0.25, // 'price_curve' fee per share = rate × (p × (1 − p))^exponent
+  feeCurveExponent: 2,
+  // Synthetic ask ladder per leg, used when the entry tick has no recorded order book
+  liquidityLevelSize: 1000, // shares per level
+  liquidityLevelStep: 0.005, // price step between levels
+  liquidityLevels: 10,
+  // Leg risk - each leg fills on its own; a trade where only one fills is a failed hedge
+  legDelaySeconds: 0, // extra delay before the second leg is sent (0 = both sent together)
+  legPriceTolerance: 0, // how far a leg's ask may rise above its entry ask and still fill
+  unwindPolicy: 'unwind', // unhedged leg: 'unwind' = sell at the next bid, 'hold' = settle at resolution
+  // Exit policy for filled pairs - selling early frees capital before resolution
+  exitPolicy: 'hold', // 'hold' = to resolution, 'bid_threshold' = sell when the combined bid reaches
+  // exitBidThreshold, 'time' = sell exitAfterSeconds after entry (holds if the market data runs out first)
+  exitBidThreshold: 1.0,
+  exitAfterSeconds: 300,
+  // Monte Carlo execution (see monte-carlo.js) - the stored trades always use the fixed latency
+  monteCarloIterations: 0, // 0 = deterministic only
+  monteCarloSeed: null, // set when the run is created, so iterations are reproducible
+  latencyDistribution: 'fixed', // 'fixed' | 'uniform' | 'normal' | 'lognormal' around latencySeconds
+  latencyJitterSeconds: 0.1, // uniform half-width, normal std dev, lognormal log-space sigma
+  fillProbability: 1 // chance a leg fills when its price is still within tolerance
+};
+
+/**
+ * Trade results that bought shares (a partial fill bought less than the trade size)
+ */
+export const FILLED_RESULTS = ['completed', 'partial'];
+
+/**
+ * Trade results that carry P&L - filled pairs and one-sided fills
+ */
+export const PNL_RESULTS = [...FILLED_RESULTS, 'hedge_failed'];
 
 class TradeSimulator {
   constructor() {}
@@ -14,71 +65,467 @@ class TradeSimulator {
   /**
    * Simulate trades for detected windows
    * @param {Array} windows - Valid windows from detector
-   * @param {number} tradeSize - Trade size in dollars
-   * @returns {Object} { trades, metrics }
+   * @param {number} tradeSize - Trade size in dollars (the base size for the sizing policy)
+   * @param {Object} params - Overrides for DEFAULT_SIMULATION_PARAMS
+   * @param {Object} context - { markets: market_id -> { fee_regime, maker_fee_bps, taker_fee_bps, end_time,
+   *   resolution_status, winning_outcome, resolved_time }, analysisStart, analysisEnd,
+   *   random (seeded generator for stochastic execution, see monte-carlo.js) }
+   * @returns {Object} { trades, metrics, portfolio: { equityCurve, metrics, exitComparison } }
    */
-  simulateTrades(windows, tradeSize) {
-    const trades = [];
-
-    for (const window of windows) {
-      const trade = this.simulateTrade(window, tradeSize);
-      trades.push(trade);
-    }
+  simulateTrades(windows, tradeSize, params = {}, context = {}) {
+    const config = { ...DEFAULT_SIMULATION_PARAMS, ...params };
+    const portfolio = this.runPortfolio(windows, tradeSize, config, context);
+    const trades = portfolio.trades;
 
     const metrics = this.calculateMetrics(trades, windows.length);
 
-    return { trades, metrics };
+    // Early exits are judged against the same run held to resolution
+    const exitComparison = config.exitPolicy === 'hold'
+      ? null
+      : this.compareExits(portfolio, this.runPortfolio(windows, tradeSize, { ...config, exitPolicy: 'hold' }, context));
+
+    return {
+      trades,
+      metrics,
+      portfolio: { equityCurve: portfolio.equityCurve, metrics: portfolio.metrics, exitComparison }
+    };
+  }
+
+  /**
+   * Size and simulate windows in start order against the live bankroll -
+   * capital is finite, so trades it cannot cover are skipped
+   * @returns {Object} portfolioSimulator.run() result
+   */
+  runPortfolio(windows, tradeSize, config, context = {}) {
+    const markets = context.markets || {};
+
+    return portfolioSimulator.run(windows, (window, capital) => {
+      const ladders = this.getEntryLadders(window, config);
+      const size = positionSizer.calculateSize(
+        window,
+        tradeSize,
+        config,
+        capital,
+        () => this.fillPairs(ladders, Infinity).filledSize
+      );
+      if (!(size > 0)) {
+        return portfolioSimulator.skip({ windowId: null, window });
+      }
+
+      return this.simulateTrade(window, size, config, markets[window.market_id], ladders, context.random);
+    }, {
+      bankroll: config.bankroll,
+      markets,
+      analysisStart: context.analysisStart,
+      analysisEnd: context.analysisEnd
+    });
+  }
+
+  /**
+   * Early-exit run against the hold-to-resolution run - the capital recycling gain is
+   * the extra final equity from selling early and reusing the capital
+   */
+  compareExits(portfolio, holdPortfolio) {
+    const exited = portfolio.trades.filter(t => t.exit);
+    const heldSeconds = exited.reduce((sum, t) => sum + (t.exit.time - t.window.startTime), 0);
+
+    return {
+      earlyExits: exited.length,
+      avgExitSeconds: exited.length > 0 ? heldSeconds / exited.length : null,
+      finalEquity: portfolio.metrics.finalEquity,
+      holdFinalEquity: holdPortfolio.metrics.finalEquity,
+      capitalRecyclingGain: portfolio.metrics.finalEquity - holdPortfolio.metrics.finalEquity,
+      capitalUtilizationPct: portfolio.metrics.capitalUtilizationPct,
+      holdCapitalUtilizationPct: holdPortfolio.metrics.capitalUtilizationPct,
+      tradesFilled: portfolio.trades.filter(t => FILLED_RESULTS.includes(t.result)).length,
+      holdTradesFilled: holdPortfolio.trades.filter(t => FILLED_RESULTS.includes(t.result)).length
+    };
   }
 
   /**
    * Simulate a single trade for a window
+   * tradeSize is the number of share pairs wanted. The pair is sized from the entry book,
+   * then each leg is executed on its own (see executeLeg) - a trade where only one leg
+   * fills is a failed hedge. Filled pairs are sold early when the exit policy triggers
+   * (see findExit), otherwise settled against the market's resolution: a pair pays $1
+   * whether one side wins or the market resolves 50/50.
+   * @param {Object} market - The market's fee regime and resolution (see simulateTrades)
+   * @param {Function} random - Seeded generator for stochastic execution (null = deterministic)
    */
-  simulateTrade(window, tradeSize) {
-    // Check if window duration is sufficient for fill
-    const requiredDuration = LATENCY_SECONDS + MIN_FILL_TIME_SECONDS;
-    const canFill = window.duration >= requiredDuration;
+  simulateTrade(
+    window,
+    tradeSize,
+    config = DEFAULT_SIMULATION_PARAMS,
+    market = {},
+    ladders = this.getEntryLadders(window, config),
+    random = null
+  ) {
+    const schedule = feeModel.resolveSchedule(config, market);
+    const plan = this.fillPairs(ladders, tradeSize);
+    const timeline = [...(window.ticks || []), ...(window.followingTicks || [])];
+    const executions = plan.legs.map((leg, index) => this.executeLeg(window, timeline, leg, index, config, random));
+    const filledLegs = executions.filter(e => e.filled);
 
-    if (!canFill) {
+    if (filledLegs.length === 0) {
       return {
         windowId: null, // Will be set when persisted
         result: 'failed',
         profit: 0,
         fees: 0,
+        cost: 0,
+        filledSize: 0,
+        avgPrice: null,
+        slippage: null,
+        legs: executions.map(e => e.leg),
+        unhedged: null,
+        settlement: null,
+        exit: null,
         window
       };
     }
 
-    // Calculate profit using entry price (deterministic)
-    const rawEdge = 1.00 - window.entryCombinedPrice;
-    const fees = tradeSize * (FEE_BPS / 10000);
-    const profit = tradeSize * rawEdge - fees;
+    if (filledLegs.length === 1) {
+      return this.settleUnhedgedLeg(window, timeline, filledLegs[0], executions, config, schedule, market);
+    }
+
+    const filledSize = plan.filledSize;
+    const avgPrice = executions.reduce((sum, e) => sum + e.leg.avg_price, 0);
+    const fees = executions.reduce((sum, e) => sum + feeModel.calculateFee(
+      { shares: e.leg.filled_size, price: e.leg.avg_price },
+      schedule
+    ), 0);
+    const cost = filledSize * avgPrice;
+
+    const exit = this.findExit(timeline, Math.max(...executions.map(e => e.fillTime)), config);
+    if (exit) {
+      const exitFees = feeModel.calculateFee({ shares: filledSize, price: exit.upBid }, schedule)
+        + feeModel.calculateFee({ shares: filledSize, price: exit.downBid }, schedule);
+      return {
+        ...this.pairTrade(window, executions, { filledSize, tradeSize, avgPrice, cost }),
+        profit: filledSize * exit.price - cost - fees - exitFees,
+        fees: fees + exitFees,
+        settlement: null,
+        exit
+      };
+    }
+
+    // Unresolved markets are assumed to pay out - a hedged pair wins either way
+    const payouts = marketResolution.getPayouts(market);
+    const pairPayout = payouts ? payouts[0] + payouts[1] : 1.00;
+
+    return {
+      ...this.pairTrade(window, executions, { filledSize, tradeSize, avgPrice, cost }),
+      profit: filledSize * pairPayout - cost - fees,
+      fees,
+      settlement: market.resolution_status || 'unresolved',
+      exit: null
+    };
+  }
+
+  /**
+   * Fields shared by every trade where both legs filled
+   */
+  pairTrade(window, executions, { filledSize, tradeSize, avgPrice, cost }) {
+    return {
+      windowId: null,
+      // Ladder sizes summed in floating point can fall short of tradeSize by rounding only
+      result: tradeSize - filledSize > 1e-9 ? 'partial' : 'completed',
+      cost,
+      filledSize,
+      avgPrice,
+      // Price paid per pair above the quoted top-of-book entry
+      slippage: avgPrice - window.entryCombinedPrice,
+      legs: executions.map(e => e.leg),
+      unhedged: null,
+      window
+    };
+  }
+
+  /**
+   * When and at what combined bid a filled pair is sold under the exit policy
+   * Both legs are sold at their best bids on the first tick after the pair filled that
+   * meets the policy; null means the pair is held to resolution
+   * @returns {Object|null} { policy, time, price (combined bid), upBid, downBid }
+   */
+  findExit(timeline, filledAt, config = DEFAULT_SIMULATION_PARAMS) {
+    if (config.exitPolicy !== 'bid_threshold' && config.exitPolicy !== 'time') return null;
+
+    const earliest = config.exitPolicy === 'time' ? filledAt + config.exitAfterSeconds : filledAt;
+    for (const tick of timeline) {
+      if (tick.anchor < earliest) continue;
+      const up = this.getLegQuote(tick, 0).bid;
+      const down = this.getLegQuote(tick, 1).bid;
+      if (up === null || down === null) continue;
+
+      const price = up + down;
+      if (config.exitPolicy === 'time' || price >= config.exitBidThreshold - 1e-9) {
+        return { policy: config.exitPolicy, time: tick.anchor, price, upBid: up, downBid: down };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Execute one leg of the planned pair
+   * The leg is sent latencySeconds after entry (the second leg legDelaySeconds later still)
+   * and must rest minFillTimeSeconds. It fills only if the ask in effect at that moment is
+   * within legPriceTolerance of the entry ask; the fill is the planned VWAP shifted by the
+   * ask's move. The tick in effect is the last one at or before the fill time, so a leg
+   * due after the window closed is priced from the window's following ticks.
+   * With a random generator the latency is sampled and the leg fills with fillProbability.
+   * @returns {Object} { filled, fillTime, leg: { outcome_index, filled_size, avg_price, filled, fill_time } }
+   */
+  executeLeg(window, timeline, planned, index, config = DEFAULT_SIMULATION_PARAMS, random = null) {
+    const latency = random ? this.sampleLatency(config, random) : config.latencySeconds;
+    const fillTime = window.startTime
+      + latency
+      + index * config.legDelaySeconds
+      + config.minFillTimeSeconds;
+
+    const entryAsk = this.getLegQuote(timeline[0], index).ask;
+    const quote = this.getLegQuote(this.getTickAt(timeline, fillTime), index);
+
+    const filled = Number.isFinite(entryAsk)
+      && Number.isFinite(quote.ask)
+      && quote.ask <= entryAsk + config.legPriceTolerance + 1e-9
+      && (!random || random() < config.fillProbability);
+
+    return {
+      filled,
+      fillTime,
+      leg: {
+        ...planned,
+        filled_size: filled ? planned.filled_size : 0,
+        avg_price: filled ? planned.avg_price + (quote.ask - entryAsk) : null,
+        filled,
+        fill_time: fillTime
+      }
+    };
+  }
+
+  /**
+   * Draw a leg's latency from latencyDistribution around latencySeconds (never negative)
+   */
+  sampleLatency(config, random) {
+    const base = config.latencySeconds;
+    const jitter = config.latencyJitterSeconds;
+
+    switch (config.latencyDistribution) {
+      case 'uniform':
+        return Math.max(0, base + (random() * 2 - 1) * jitter);
+      case 'normal':
+        return Math.max(0, base + jitter * this.standardNormal(random));
+      case 'lognormal':
+        // latencySeconds is the median
+        return base * Math.exp(jitter * this.standardNormal(random));
+      default:
+        return base;
+    }
+  }
+
+  /**
+   * Standard normal draw (Box-Muller)
+   */
+  standardNormal(random) {
+    const u = 1 - random(); // (0, 1] - keeps log finite
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+  }
+
+  /**
+   * Score a trade where only one leg filled (result 'hedge_failed')
+   * The failure is known at the missing leg's fill time. With unwindPolicy 'unwind' the
+   * shares are sold at the next available bid; with 'hold' they are kept to resolution and
+   * paid out by the market's outcome ($1 won, $0 lost, $0.50 invalid). A held leg in a
+   * market that has not resolved is marked at its last observed mid.
+   */
+  settleUnhedgedLeg(window, timeline, execution, executions, config, schedule, market = {}) {
+    const index = execution.leg.outcome_index;
+    const size = execution.leg.filled_size;
+    const decidedAt = Math.max(...executions.map(e => e.fillTime));
+    const held = config.unwindPolicy === 'hold';
+    const payouts = marketResolution.getPayouts(market);
+
+    let exit;
+    if (!held) {
+      exit = this.getNextBid(timeline, decidedAt, index);
+    } else if (payouts) {
+      exit = { price: payouts[index], time: null }; // settles with the market
+    } else {
+      exit = { price: this.getLastMid(timeline, index), time: null };
+    }
+    const exitPrice = exit.price;
+
+    // The buy is always charged; an unwind is a second taker trade, settlement is free
+    const fees = feeModel.calculateFee({ shares: size, price: execution.leg.avg_price }, schedule)
+      + (held ? 0 : feeModel.calculateFee({ shares: size, price: exitPrice }, schedule));
+    const profit = size * (exitPrice - execution.leg.avg_price) - fees;
 
     return {
       windowId: null,
-      result: 'completed',
+      result: 'hedge_failed',
       profit,
       fees,
+      cost: size * execution.leg.avg_price,
+      filledSize: 0,
+      avgPrice: null,
+      slippage: null,
+      legs: executions.map(e => e.leg),
+      unhedged: {
+        outcome_index: index,
+        size,
+        entry_price: execution.leg.avg_price,
+        exit_price: exitPrice,
+        exit_time: exit.time,
+        policy: config.unwindPolicy
+      },
+      settlement: held ? market.resolution_status || 'unresolved' : null,
+      exit: null,
       window
     };
   }
 
+  /**
+   * Tick in effect at a time - the last one anchored at or before it
+   */
+  getTickAt(timeline, time) {
+    let current = null;
+    for (const tick of timeline) {
+      if (tick.anchor > time) break;
+      current = tick;
+    }
+    return current;
+  }
+
+  /**
+   * One leg's ask and bid on a tick (nulls when the tick or quote is missing)
+   */
+  getLegQuote(tick, index) {
+    const ask = index === 0 ? tick?.upAsk : tick?.downAsk;
+    const bid = index === 0 ? tick?.upBid : tick?.downBid;
+    return {
+      ask: Number.isFinite(ask) ? ask : null,
+      bid: Number.isFinite(bid) ? bid : null
+    };
+  }
+
+  /**
+   * First bid for a leg at or after a time, falling back to the last one seen
+   * No bid anywhere means the shares cannot be sold - valued at 0
+   * @returns {Object} { price, time } - time is when the sale happens
+   */
+  getNextBid(timeline, time, index) {
+    let lastBid = null;
+    for (const tick of timeline) {
+      const { bid } = this.getLegQuote(tick, index);
+      if (bid === null) continue;
+      if (tick.anchor >= time) return { price: bid, time: tick.anchor };
+      lastBid = bid;
+    }
+    return { price: lastBid ?? 0, time };
+  }
+
+  /**
+   * Last observed mid (ask/bid average) for a leg, 0 if it was never quoted on both sides
+   */
+  getLastMid(timeline, index) {
+    for (let i = timeline.length - 1; i >= 0; i--) {
+      const { ask, bid } = this.getLegQuote(timeline[i], index);
+      if (ask !== null && bid !== null) return (ask + bid) / 2;
+    }
+    return 0;
+  }
+
+  /**
+   * Ask ladders for both legs at window entry, best price first
+   * Recorded order book levels are used when the entry tick carries them,
+   * otherwise a synthetic curve starting at the quoted asks
+   * @returns {Array} [upLevels, downLevels] as [{ price, size }]
+   */
+  getEntryLadders(window, config = DEFAULT_SIMULATION_PARAMS) {
+    const entryTick = window.ticks?.[0];
+    const legs = [
+      { tick: entryTick?.upTick, ask: entryTick?.upAsk },
+      { tick: entryTick?.downTick, ask: entryTick?.downAsk }
+    ];
+
+    // Windows without per-leg asks split the entry price evenly
+    const fallbackAsk = window.entryCombinedPrice / 2;
+
+    return legs.map(({ tick, ask }) => {
+      if (Array.isArray(tick?.asks) && tick.asks.length > 0) {
+        return tick.asks;
+      }
+
+      const startPrice = Number.isFinite(ask) ? ask : fallbackAsk;
+      const levels = [];
+      for (let i = 0; i < config.liquidityLevels; i++) {
+        levels.push({ price: startPrice + i * config.liquidityLevelStep, size: config.liquidityLevelSize });
+      }
+      return levels;
+    });
+  }
+
+  /**
+   * Buy matched quantities of both legs by walking their ask ladders together
+   * Stops at the trade size, when either ladder runs out, or when the next pair
+   * would cost $1 or more (no edge left)
+   * @returns {Object} { filledSize, avgPrice, legs: [{ outcome_index, filled_size, avg_price }] }
+   */
+  fillPairs([upLevels, downLevels], tradeSize) {
+    const remaining = [upLevels.map(l => ({ ...l })), downLevels.map(l => ({ ...l }))];
+    const costs = [0, 0];
+    let filledSize = 0;
+    let u = 0;
+    let d = 0;
+
+    while (tradeSize - filledSize > 1e-9 && u < remaining[0].length && d < remaining[1].length) {
+      const up = remaining[0][u];
+      const down = remaining[1][d];
+      if (up.price + down.price >= 1.00) break;
+
+      const quantity = Math.min(up.size, down.size, tradeSize - filledSize);
+      costs[0] += quantity * up.price;
+      costs[1] += quantity * down.price;
+      filledSize += quantity;
+
+      up.size -= quantity;
+      down.size -= quantity;
+      if (up.size <= 0) u++;
+      if (down.size <= 0) d++;
+    }
+
+    if (filledSize === 0) {
+      return { filledSize: 0, avgPrice: null, legs: [] };
+    }
+
+    return {
+      filledSize,
+      avgPrice: (costs[0] + costs[1]) / filledSize,
+      legs: costs.map((cost, index) => ({
+        outcome_index: index,
+        filled_size: filledSize,
+        avg_price: cost / filledSize
+      }))
+    };
+  }
+
   /**
    * Calculate trade metrics
    */
   calculateMetrics(trades, totalWindows) {
-    const completedTrades = trades.filter(t => t.result === 'completed');
+    const completedTrades = trades.filter(t => FILLED_RESULTS.includes(t.result));
     const tradesCompleted = completedTrades.length;
 
     // Fill success rate
     const fillSuccessRate = totalWindows > 0 ? (tradesCompleted / totalWindows) * 100 : 0;
 
-    // Total profit and capital deployed
+    // Total profit and capital deployed, including losses on failed hedges
     let totalProfit = 0;
     let totalCapitalDeployed = 0;
 
-    for (const trade of completedTrades) {
+    for (const trade of trades.filter(t => PNL_RESULTS.includes(t.result))) {
       totalProfit += trade.profit;
-      totalCapitalDeployed += trade.window.entryCombinedPrice * (trade.profit / (1.00 - trade.window.entryCombinedPrice));
+      totalCapitalDeployed += trade.cost;
     }
 
     // Average execution-adjusted edge
@@ -88,6 +535,8 @@ class TradeSimulator {
 
     return {
       tradesCompleted,
+      hedgeFailures: trades.filter(t => t.result === 'hedge_failed').length,
+      tradesSkipped: trades.filter(t => t.result === 'skipped').length,
       fillSuccessRate,
       totalProfit,
       totalCapitalDeployed,
@@ -99,7 +548,7 @@ class TradeSimulator {
    * Calculate detailed trade statistics
    */
   calculateDetailedStats(trades) {
-    const completedTrades = trades.filter(t => t.result === 'completed');
+    const completedTrades = trades.filter(t => PNL_RESULTS.includes(t.result));
 
     if (completedTrades.length === 0) {
       return {
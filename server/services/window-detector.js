@@ -3,211 +3,303 @@
  * Implements deterministic pairing, stitching, and window validation
  */
 
-const TARGET_TICK_INTERVAL = 5; // seconds - fixed for Phase 1A
-const MAX_PAIRING_DELTA_SECONDS = 5;
-const SPREAD_PROXY = 0.002; // half-spread per side (20 bps)
-const MIN_WINDOW_DURATION = 5; // seconds
-const MIN_TICK_COUNT = 3;
+import { getOutcomeIndex } from '../../lib/data-mappers.js';
+
+/**
+ * Default detection parameters - each can be overridden per backtest run
+ */
+export const DEFAULT_DETECTION_PARAMS = {
+  targetTickInterval: 5, // seconds between anchors
+  maxPairingDeltaSeconds: 5,
+  spreadProxy: 0.002, // half-spread per side (20 bps)
+  priceSource: 'mid', // 'mid' = mid + spreadProxy, 'book' = recorded best asks (order book snapshots)
+  minWindowDuration: 5, // seconds
+  minTickCount: 3,
+  postWindowSeconds: 900 // tick series kept after each window for late legs, unwinds and early exits
+};
 
 class WindowDetector {
   constructor() {}
 
   /**
    * Detect arbitrage windows from snapshot data
+   * Anchors are streamed: each one is paired, priced and stitched as it is reached, so
+   * memory grows with the windows found rather than the length of the period
    * @param {Array} snapshots - Raw price snapshots from database
    * @param {number} analysisStart - Unix timestamp (seconds)
    * @param {number} analysisEnd - Unix timestamp (seconds)
-   * @returns {Object} { windows, pairedTicks, stats }
+   * @param {Object} params - Overrides for DEFAULT_DETECTION_PARAMS
+   * @returns {Object} { windows, stats }
    */
-  detectWindows(snapshots, analysisStart, analysisEnd) {
-    // Step 1: Create fixed anchor grid
-    const anchors = this.createAnchorGrid(analysisStart, analysisEnd);
+  detectWindows(snapshots, analysisStart, analysisEnd, params = {}) {
+    const config = { ...DEFAULT_DETECTION_PARAMS, ...params };
 
-    // Step 2: Organize snapshots by side
+    // Step 1: Organize snapshots by outcome (0 = YES/UP, 1 = NO/DOWN)
     const upTicks = snapshots
-      .filter(s => s.side === 'UP')
+      .filter(s => getOutcomeIndex(s) === 0)
       .sort((a, b) => a.timestamp - b.timestamp);
     const downTicks = snapshots
-      .filter(s => s.side === 'DOWN')
+      .filter(s => getOutcomeIndex(s) === 1)
       .sort((a, b) => a.timestamp - b.timestamp);
 
-    // Step 3: Pair ticks at each anchor
-    const pairedTicks = this.pairTicksAtAnchors(anchors, upTicks, downTicks);
-
-    // Step 4: Calculate combined prices and detect threshold crossings
-    const ticksWithPrices = this.calculateCombinedPrices(pairedTicks);
-
-    // Step 5: Stitch continuous sequences into windows
-    const rawWindows = this.stitchWindows(ticksWithPrices);
-
-    // Step 6: Validate windows (duration, tick count, no stale/missing)
-    const validWindows = this.validateWindows(rawWindows);
+    const findUpTick = this.createTickCursor(upTicks, config.maxPairingDeltaSeconds);
+    const findDownTick = this.createTickCursor(downTicks, config.maxPairingDeltaSeconds);
+    const stitcher = this.createWindowStitcher(config);
+    let totalPairedTicks = 0;
+
+    // Step 2: Walk the fixed anchor grid from start to end - pair ticks at each anchor,
+    // price the pair and stitch it (windows are validated as they close)
+    for (let anchor = analysisStart; anchor < analysisEnd; anchor += config.targetTickInterval) {
+      const pairedTick = this.pairTick(anchor, findUpTick(anchor), findDownTick(anchor), config.maxPairingDeltaSeconds);
+      if (pairedTick.isValid) totalPairedTicks++;
+      stitcher.push(this.priceTick(pairedTick, config.spreadProxy, config.priceSource));
+    }
+    const validWindows = stitcher.finish();
 
-    // Step 7: Calculate statistics
-    const stats = this.calculateStats(pairedTicks, validWindows, analysisStart, analysisEnd);
+    // Step 3: Calculate statistics
+    const stats = this.calculateStats(
+      totalPairedTicks,
+      validWindows,
+      analysisStart,
+      analysisEnd,
+      config.targetTickInterval
+    );
 
     return {
       windows: validWindows,
-      pairedTicks: ticksWithPrices,
       stats
     };
   }
 
   /**
-   * Create fixed anchor grid from start to end
+   * Detect windows separately for each market so ticks are never paired across markets
+   * Each market's anchor grid covers only its own snapshot extent within the analysis period
+   * @param {Array} snapshots - Raw price snapshots from any number of markets
+   * @param {number} analysisStart - Unix timestamp (seconds)
+   * @param {number} analysisEnd - Unix timestamp (seconds)
+   * @param {Object} params - Overrides for DEFAULT_DETECTION_PARAMS
+   * @returns {Object} { windows (each tagged with market_id), stats, marketStats }
    */
-  createAnchorGrid(start, end) {
-    const anchors = [];
-    let current = start;
-    while (current < end) {
-      anchors.push(current);
-      current += TARGET_TICK_INTERVAL;
+  detectWindowsByMarket(snapshots, analysisStart, analysisEnd, params = {}) {
+    const config = { ...DEFAULT_DETECTION_PARAMS, ...params };
+
+    const snapshotsByMarket = new Map();
+    for (const snapshot of snapshots) {
+      if (!snapshotsByMarket.has(snapshot.market_id)) {
+        snapshotsByMarket.set(snapshot.market_id, []);
+      }
+      snapshotsByMarket.get(snapshot.market_id).push(snapshot);
+    }
+
+    const windows = [];
+    const marketStats = {};
+    let totalPairedTicks = 0;
+    let expectedTicks = 0;
+
+    for (const [marketId, marketSnapshots] of snapshotsByMarket) {
+      let first = Infinity;
+      let last = -Infinity;
+      for (const s of marketSnapshots) {
+        if (s.timestamp < first) first = s.timestamp;
+        if (s.timestamp > last) last = s.timestamp;
+      }
+
+      // Anchor through the last tick inclusive, clipped to the analysis period
+      const start = Math.max(analysisStart, first);
+      const end = Math.min(analysisEnd, last + config.targetTickInterval);
+      if (end <= start) continue;
+
+      const result = this.detectWindows(marketSnapshots, start, end, config);
+      for (const window of result.windows) {
+        windows.push({ ...window, market_id: marketId });
+      }
+      marketStats[marketId] = result.stats;
+      totalPairedTicks += result.stats.totalPairedTicks;
+      expectedTicks += result.stats.expectedTicks;
     }
-    return anchors;
+
+    windows.sort((a, b) => a.startTime - b.startTime);
+
+    const durations = windows.map(w => w.duration).sort((a, b) => a - b);
+    const analysisHours = (analysisEnd - analysisStart) / 3600;
+
+    return {
+      windows,
+      stats: {
+        totalPairedTicks,
+        expectedTicks,
+        dataCoveragePct: expectedTicks > 0 ? (totalPairedTicks / expectedTicks) * 100 : 0,
+        windowsDetected: windows.length,
+        durationP50: durations.length > 0 ? durations[Math.floor(durations.length * 0.5)] : 0,
+        windowsPerAnalysisHour: analysisHours > 0 ? windows.length / analysisHours : 0,
+        marketsAnalyzed: Object.keys(marketStats).length
+      },
+      marketStats
+    };
   }
 
   /**
-   * Pair UP and DOWN ticks at each anchor timestamp
+   * Pair the UP and DOWN ticks found for one anchor
    */
-  pairTicksAtAnchors(anchors, upTicks, downTicks) {
-    const paired = [];
-
-    for (const anchor of anchors) {
-      // Find closest UP tick within ±MAX_PAIRING_DELTA_SECONDS
-      const upMatch = this.findClosestTick(anchor, upTicks, MAX_PAIRING_DELTA_SECONDS);
-
-      // Find closest DOWN tick within ±MAX_PAIRING_DELTA_SECONDS
-      const downMatch = this.findClosestTick(anchor, downTicks, MAX_PAIRING_DELTA_SECONDS);
-
-      // Check if pairing is valid
-      const isMissing = !upMatch || !downMatch;
-      const isStalePair = !isMissing && Math.abs(upMatch.timestamp - downMatch.timestamp) > MAX_PAIRING_DELTA_SECONDS;
-
-      paired.push({
-        anchor,
-        upTick: upMatch,
-        downTick: downMatch,
-        isMissing,
-        isStalePair,
-        isValid: !isMissing && !isStalePair
-      });
-    }
+  pairTick(anchor, upMatch, downMatch, maxDelta = DEFAULT_DETECTION_PARAMS.maxPairingDeltaSeconds) {
+    // Check if pairing is valid
+    const isMissing = !upMatch || !downMatch;
+    const isStalePair = !isMissing && Math.abs(upMatch.timestamp - downMatch.timestamp) > maxDelta;
 
-    return paired;
+    return {
+      anchor,
+      upTick: upMatch,
+      downTick: downMatch,
+      isMissing,
+      isStalePair,
+      isValid: !isMissing && !isStalePair
+    };
   }
 
   /**
-   * Find closest tick to anchor within max delta
+   * Closest tick to an anchor within max delta, for anchors asked in ascending order
+   * The cursor only moves forward, so pairing a whole grid is one pass over the ticks
    * Tie-breaker: choose earlier timestamp if equidistant
+   * @param {Array} ticks - Sorted by timestamp
+   * @returns {Function} (anchor) => closest tick or null
    */
-  findClosestTick(anchor, ticks, maxDelta) {
-    let closest = null;
-    let minDistance = Infinity;
+  createTickCursor(ticks, maxDelta) {
+    let first = 0; // first tick not more than maxDelta before the anchor
 
-    for (const tick of ticks) {
-      const distance = Math.abs(tick.timestamp - anchor);
+    return (anchor) => {
+      while (first < ticks.length && anchor - ticks[first].timestamp > maxDelta) {
+        first++;
+      }
 
-      if (distance <= maxDelta) {
-        if (distance < minDistance || (distance === minDistance && tick.timestamp < closest.timestamp)) {
-          closest = tick;
+      let closest = null;
+      let minDistance = Infinity;
+      for (let i = first; i < ticks.length && ticks[i].timestamp - anchor <= maxDelta; i++) {
+        const distance = Math.abs(ticks[i].timestamp - anchor);
+        // Ascending order - an equidistant later tick never replaces an earlier one
+        if (distance < minDistance) {
+          closest = ticks[i];
           minDistance = distance;
         }
       }
-    }
-
-    return closest;
+      return closest;
+    };
   }
 
   /**
-   * Calculate combined prices with spread proxy
+   * Combined ask price of a paired tick - mid plus spread proxy, or the real best asks
+   * when ticks come from order book snapshots (priceSource 'book')
    */
-  calculateCombinedPrices(pairedTicks) {
-    return pairedTicks.map(pt => {
-      if (!pt.isValid) {
-        return { ...pt, combinedPrice: null, isArbitrageOpportunity: false };
-      }
+  priceTick(pairedTick, spreadProxy = DEFAULT_DETECTION_PARAMS.spreadProxy, priceSource = DEFAULT_DETECTION_PARAMS.priceSource) {
+    // Per-leg quotes are kept even on invalid ticks - the simulator fills and unwinds legs one at a time
+    const up = this.getLegQuotes(pairedTick.upTick, spreadProxy, priceSource);
+    const down = this.getLegQuotes(pairedTick.downTick, spreadProxy, priceSource);
+
+    // An empty ask side cannot be bought - never part of a window
+    const priceable = pairedTick.isValid && Number.isFinite(up.ask) && Number.isFinite(down.ask);
+    const combinedPrice = priceable ? up.ask + down.ask : null;
 
-      // Apply spread proxy to mid prices
-      const upAsk = pt.upTick.mid + SPREAD_PROXY;
-      const downAsk = pt.downTick.mid + SPREAD_PROXY;
-      const combinedPrice = upAsk + downAsk;
-
-      return {
-        ...pt,
-        combinedPrice,
-        isArbitrageOpportunity: combinedPrice < 1.00
-      };
-    });
+    // Built field by field rather than spread - this runs once per anchor
+    return {
+      anchor: pairedTick.anchor,
+      upTick: pairedTick.upTick,
+      downTick: pairedTick.downTick,
+      isMissing: pairedTick.isMissing,
+      isStalePair: pairedTick.isStalePair,
+      isValid: pairedTick.isValid,
+      upAsk: up.ask,
+      upBid: up.bid,
+      downAsk: down.ask,
+      downBid: down.bid,
+      combinedPrice,
+      isArbitrageOpportunity: priceable && combinedPrice < 1.00
+    };
   }
 
   /**
-   * Stitch continuous sequences into windows
-   * Windows end when: no arbitrage opportunity OR invalid tick
+   * Ask and bid of one leg - mid ± spread proxy, or the recorded best levels for 'book'
+   * @returns {Object} { ask, bid } (null when the leg or that side of its book is missing)
    */
-  stitchWindows(ticksWithPrices) {
-    const windows = [];
-    let currentWindow = null;
-
-    for (let i = 0; i < ticksWithPrices.length; i++) {
-      const tick = ticksWithPrices[i];
-
-      // Check if this tick can continue or start a window
-      const canContinue = tick.isValid && tick.isArbitrageOpportunity;
-
-      if (canContinue) {
-        if (!currentWindow) {
-          // Start new window
-          currentWindow = {
-            ticks: [tick],
-            startTime: tick.anchor,
-            startCombinedPrice: tick.combinedPrice
-          };
-        } else {
-          // Continue existing window
-          currentWindow.ticks.push(tick);
-        }
-      } else {
-        // End current window if exists
-        if (currentWindow) {
-          const lastTick = currentWindow.ticks[currentWindow.ticks.length - 1];
-          windows.push({
-            ...currentWindow,
-            endTime: lastTick.anchor,
-            endCombinedPrice: lastTick.combinedPrice,
-            duration: lastTick.anchor - currentWindow.startTime,
-            tickCount: currentWindow.ticks.length
-          });
-          currentWindow = null;
-        }
-      }
+  getLegQuotes(tick, spreadProxy, priceSource) {
+    if (!tick) return { ask: null, bid: null };
+    if (priceSource === 'book') {
+      return { ask: tick.best_ask ?? null, bid: tick.best_bid ?? null };
     }
+    return { ask: tick.mid + spreadProxy, bid: tick.mid - spreadProxy };
+  }
 
-    // Close final window if still open
-    if (currentWindow) {
-      const lastTick = currentWindow.ticks[currentWindow.ticks.length - 1];
-      windows.push({
-        ...currentWindow,
+  /**
+   * Stitch continuous sequences into windows, one priced tick at a time in anchor order
+   * Windows end when: no arbitrage opportunity OR invalid tick. Each window is validated
+   * as it closes; a valid one then keeps the post-window tick series (followingTicks, up
+   * to postWindowSeconds after it ends) - a leg still filling after the window closes, an
+   * unhedged leg being unwound and an early exit are all priced from it
+   * @returns {Object} { push(tick), finish() => valid windows }
+   */
+  createWindowStitcher(config = DEFAULT_DETECTION_PARAMS) {
+    const windows = [];
+    let currentTicks = null;
+    let collecting = []; // closed windows still within their postWindowSeconds
+
+    const closeWindow = () => {
+      const lastTick = currentTicks[currentTicks.length - 1];
+      const [window] = this.validateWindows([{
+        ticks: currentTicks,
+        startTime: currentTicks[0].anchor,
+        startCombinedPrice: currentTicks[0].combinedPrice,
         endTime: lastTick.anchor,
         endCombinedPrice: lastTick.combinedPrice,
-        duration: lastTick.anchor - currentWindow.startTime,
-        tickCount: currentWindow.ticks.length
-      });
-    }
+        duration: lastTick.anchor - currentTicks[0].anchor,
+        tickCount: currentTicks.length
+      }], config);
+      currentTicks = null;
+
+      if (window) {
+        window.followingTicks = [];
+        windows.push(window);
+        collecting.push(window);
+      }
+    };
 
-    return windows;
+    return {
+      push: (tick) => {
+        // Check if this tick can continue or start a window
+        if (tick.isValid && tick.isArbitrageOpportunity) {
+          if (currentTicks) {
+            currentTicks.push(tick);
+          } else {
+            currentTicks = [tick];
+          }
+        } else if (currentTicks) {
+          closeWindow();
+        }
+
+        if (collecting.length > 0) {
+          collecting = collecting.filter(w => tick.anchor <= w.endTime + config.postWindowSeconds);
+          for (const window of collecting) {
+            window.followingTicks.push(tick);
+          }
+        }
+      },
+
+      // Close final window if still open
+      finish: () => {
+        if (currentTicks) closeWindow();
+        return windows;
+      }
+    };
   }
 
   /**
    * Validate windows against Phase 1A criteria
    */
-  validateWindows(rawWindows) {
+  validateWindows(rawWindows, config = DEFAULT_DETECTION_PARAMS) {
     return rawWindows
       .filter(w => {
         // Must meet duration requirement
-        if (w.duration < MIN_WINDOW_DURATION) return false;
+        if (w.duration < config.minWindowDuration) return false;
 
         // Must meet tick count requirement
-        if (w.tickCount < MIN_TICK_COUNT) return false;
+        if (w.tickCount < config.minTickCount) return false;
 
         // Must not contain any invalid ticks (stale/missing are already excluded by stitching)
         const hasInvalidTick = w.ticks.some(t => !t.isValid);
@@ -235,9 +327,9 @@ class WindowDetector {
   /**
    * Calculate detection statistics
    */
-  calculateStats(pairedTicks, validWindows, analysisStart, analysisEnd) {
-    const totalPairedTicks = pairedTicks.filter(pt => pt.isValid).length;
-    const expectedTicks = Math.floor((analysisEnd - analysisStart) / TARGET_TICK_INTERVAL);
+  calculateStats(totalPairedTicks, validWindows, analysisStart, analysisEnd, tickInterval = DEFAULT_DETECTION_PARAMS.targetTickInterval) {
+    // One expected tick per anchor of the grid (see detectWindows)
+    const expectedTicks = Math.max(0, Math.ceil((analysisEnd - analysisStart) / tickInterval));
     const dataCoveragePct = expectedTicks > 0 ? (totalPairedTicks / expectedTicks) * 100 : 0;
 
     // Calculate duration percentiles
@@ -0,0 +1,107 @@
+/**
+ * Worker Pool
+ * Runs CPU-heavy analysis on worker threads so the Express event loop stays responsive
+ */
+
+import { Worker } from 'worker_threads';
+
+/**
+ * Backtests allowed to run at once - also the number of analysis threads
+ */
+export const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY, 10) || 2);
+
+class WorkerPool {
+  /**
+   * @param {URL} scriptUrl - Worker script that answers { task, payload } messages
+   * @param {number} size - Maximum number of worker threads
+   */
+  constructor(scriptUrl, size) {
+    this.scriptUrl = scriptUrl;
+    this.size = size;
+    this.workers = new Set();
+    this.idle = [];
+    this.queue = []; // Tasks waiting for a free worker
+  }
+
+  /**
+   * Run a task on the next free worker
+   * @param {string} task - Task name understood by the worker script
+   * @param {Object} payload - Structured-clonable task input
+   * @returns {Promise<*>} Task result
+   */
+  run(task, payload) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, payload, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued tasks to idle workers, spawning threads up to the pool size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.workers.size >= this.size) return;
+        worker = this.spawn();
+      }
+
+      const item = this.queue.shift();
+      worker.current = item;
+      worker.ref(); // Keep the process alive while a task is in flight
+      worker.postMessage({ task: item.task, payload: item.payload });
+    }
+  }
+
+  /**
+   * Start a worker thread and wire up its result/error handling
+   */
+  spawn() {
+    const worker = new Worker(this.scriptUrl);
+    this.workers.add(worker);
+
+    worker.on('message', ({ result, error }) => {
+      const item = worker.current;
+      worker.current = null;
+      worker.unref();
+      this.idle.push(worker);
+
+      if (error) {
+        item.reject(new Error(error));
+      } else {
+        item.resolve(result);
+      }
+      this.dispatch();
+    });
+
+    // A crashed worker fails its task; the pool replaces it on the next dispatch
+    worker.on('error', (error) => {
+      worker.current?.reject(error);
+      worker.current = null;
+    });
+
+    worker.on('exit', (code) => {
+      this.workers.delete(worker);
+      this.idle = this.idle.filter(w => w !== worker);
+      worker.current?.reject(new Error(`Analysis worker exited with code ${code}`));
+      worker.current = null;
+      this.dispatch();
+    });
+
+    return worker;
+  }
+
+  /**
+   * Stop all worker threads (pending tasks are rejected)
+   */
+  async terminate() {
+    for (const item of this.queue) {
+      item.reject(new Error('Worker pool terminated'));
+    }
+    this.queue = [];
+    await Promise.all([...this.workers].map(worker => worker.terminate()));
+  }
+}
+
+export default new WorkerPool(new URL('./analysis-worker.js', import.meta.url), JOB_CONCURRENCY);
@@ -3,6 +3,8 @@ import BacktestConfigForm from './components/BacktestConfigForm';
 import BacktestRunsTable from './components/BacktestRunsTable';
 import RunDetail from './components/RunDetail';
 import RunComparison from './components/RunComparison';
+import SweepsList from './components/SweepsList';
+import SweepHeatmap from './components/SweepHeatmap';
 import DataDownload from './components/DataDownload';
 import Settings from './components/Settings';
 
@@ -10,6 +12,7 @@ function App() {
   const [activeView, setActiveView] = useState('runs');
   const [selectedRunId, setSelectedRunId] = useState(null);
   const [selectedRunIds, setSelectedRunIds] = useState([]);
+  const [selectedSweepId, setSelectedSweepId] = useState(null);
   const [refreshTrigger, setRefreshTrigger] = useState(0);
 
   const handleBacktestCreated = () => {
@@ -27,10 +30,16 @@ function App() {
     setActiveView('comparison');
   };
 
+  const handleSweepClick = (sweepId) => {
+    setSelectedSweepId(sweepId);
+    setActiveView('sweep');
+  };
+
   const handleBackToRuns = () => {
     setActiveView('runs');
     setSelectedRunId(null);
     setSelectedRunIds([]);
+    setSelectedSweepId(null);
   };
 
   return (
@@ -43,7 +52,7 @@ function App() {
 
         <div className="nav-tabs">
           <button
-            className={`nav-tab ${activeView === 'runs' || activeView === 'detail' || activeView === 'comparison' ? 'active' : ''}`}
+            className={`nav-tab ${['runs', 'detail', 'comparison', 'sweep'].includes(activeView) ? 'active' : ''}`}
             onClick={() => setActiveView('runs')}
           >
             Backtests
@@ -70,17 +79,29 @@ function App() {
               onRowClick={handleRowClick}
               onCompare={handleCompare}
             />
+            <SweepsList
+              refreshTrigger={refreshTrigger}
+              onSweepClick={handleSweepClick}
+            />
           </>
         )}
 
         {activeView === 'detail' && selectedRunId && (
-          <RunDetail runId={selectedRunId} onBack={handleBackToRuns} />
+          <RunDetail runId={selectedRunId} onBack={handleBackToRuns} onRunClick={handleRowClick} />
         )}
 
         {activeView === 'comparison' && selectedRunIds.length > 0 && (
           <RunComparison runIds={selectedRunIds} onBack={handleBackToRuns} />
         )}
 
+        {activeView === 'sweep' && selectedSweepId && (
+          <SweepHeatmap
+            sweepId={selectedSweepId}
+            onBack={handleBackToRuns}
+            onRunClick={handleRowClick}
+          />
+        )}
+
         {activeView === 'data-download' && (
           <DataDownload />
         )}
@@ -1,39 +1,128 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { RUN_PARAMETER_FIELDS, SWEEP_FIELDS, parseSweepValues } from './runParameters';
 
 function BacktestConfigForm({ onBacktestCreated }) {
   const [formData, setFormData] = useState({
     asset: 'BTC',
     timeframe: '15min',
     period: '30d',
-    tradeSize: 25
+    tradeSize: 25,
+    dataSource: 'live',
+    priceSource: 'mid',
+    unwindPolicy: 'unwind',
+    feeModel: 'market',
+    sizingPolicy: 'fixed',
+    exitPolicy: 'hold',
+    latencyDistribution: 'fixed',
+    priority: 0
   });
+  const [downloads, setDownloads] = useState([]);
+  const [defaults, setDefaults] = useState({});
+  const [overrides, setOverrides] = useState({});
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [sweepMode, setSweepMode] = useState(false);
+  const [sweepValues, setSweepValues] = useState({});
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  useEffect(() => {
+    fetch('/api/data-downloads')
+      .then(res => res.json())
+      .then(list => setDownloads(list.filter(d => d.status === 'completed')))
+      .catch(err => console.error('Error fetching downloads:', err));
+
+    fetch('/api/backtests/defaults')
+      .then(res => res.json())
+      .then(setDefaults)
+      .catch(err => console.error('Error fetching parameter defaults:', err));
+  }, []);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: name === 'tradeSize' ? parseFloat(value) : value
-    }));
+    setFormData(prev => {
+      const next = {
+        ...prev,
+        [name]: name === 'tradeSize' || name === 'priority' ? parseFloat(value) : value
+      };
+      // A specific download only applies to its own asset
+      if (name === 'asset' && prev.dataSource.startsWith('download:')) {
+        next.dataSource = 'live';
+      }
+      // Order books are only recorded for downloads
+      if (next.dataSource === 'live') {
+        next.priceSource = 'mid';
+      }
+      return next;
+    });
   };
 
+  // Blank fields fall back to the server defaults
+  const handleOverrideChange = (e) => {
+    const { name, value } = e.target;
+    setOverrides(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSweepValueChange = (e) => {
+    const { name, value } = e.target;
+    setSweepValues(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Parsed sweep axes: { field: [values] } for every non-blank input
+  const sweepGrid = {};
+  const invalidSweepFields = [];
+  for (const field of SWEEP_FIELDS) {
+    const text = sweepValues[field.key] || '';
+    if (!text.trim()) continue;
+    const values = parseSweepValues(text);
+    if (values && values.length > 0) {
+      sweepGrid[field.key] = values;
+    } else {
+      invalidSweepFields.push(field.label);
+    }
+  }
+  const sweepRunCount = Object.values(sweepGrid).reduce((count, values) => count * values.length, 1);
+
+  const assetDownloads = downloads.filter(d => d.asset === formData.asset);
+  const usesSpecificDownload = formData.dataSource.startsWith('download:');
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError(null);
 
     try {
-      const response = await fetch('/api/backtests', {
+      const { dataSource, ...payload } = formData;
+      if (dataSource.startsWith('download:')) {
+        payload.dataSource = 'download';
+        payload.downloadId = dataSource.slice('download:'.length);
+      } else {
+        payload.dataSource = dataSource;
+      }
+      for (const [key, value] of Object.entries(overrides)) {
+        if (value !== '') payload[key] = parseFloat(value);
+      }
+
+      if (sweepMode) {
+        if (invalidSweepFields.length > 0) {
+          throw new Error(`Invalid sweep values for: ${invalidSweepFields.join(', ')}`);
+        }
+        if (Object.keys(sweepGrid).length === 0) {
+          throw new Error('Enter values for at least one sweep field');
+        }
+        payload.grid = sweepGrid;
+      }
+
+      const response = await fetch(sweepMode ? '/api/sweeps' : '/api/backtests', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(formData)
+        body: JSON.stringify(payload)
       });
 
       if (!response.ok) {
-        throw new Error('Failed to create backtest');
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || (sweepMode ? 'Failed to create sweep' : 'Failed to create backtest'));
       }
 
       const result = await response.json();
@@ -44,8 +133,18 @@ function BacktestConfigForm({ onBacktestCreated }) {
         asset: 'BTC',
         timeframe: '15min',
         period: '30d',
-        tradeSize: 25
+        tradeSize: 25,
+        dataSource: 'live',
+        priceSource: 'mid',
+        unwindPolicy: 'unwind',
+        feeModel: 'market',
+        sizingPolicy: 'fixed',
+        exitPolicy: 'hold',
+        latencyDistribution: 'fixed',
+        priority: 0
       });
+      setOverrides({});
+      setSweepValues({});
 
       // Notify parent
       onBacktestCreated();
@@ -100,6 +199,7 @@ function BacktestConfigForm({ onBacktestCreated }) {
               name="period"
               value={formData.period}
               onChange={handleChange}
+              disabled={usesSpecificDownload}
               required
             >
               <option value="30d">30 days</option>
@@ -123,8 +223,204 @@ function BacktestConfigForm({ onBacktestCreated }) {
               required
             />
           </div>
+
+          <div className="form-group">
+            <label htmlFor="dataSource">Data Source</label>
+            <select
+              id="dataSource"
+              name="dataSource"
+              value={formData.dataSource}
+              onChange={handleChange}
+            >
+              <option value="live">Live APIs (fetch now)</option>
+              <option value="download" disabled={!assetDownloads.some(d => !d.synthetic)}>
+                All downloaded {formData.asset} data
+              </option>
+              {assetDownloads.map(d => (
+                <option key={d.id} value={`download:${d.id}`}>
+                  {d.synthetic ? 'Synthetic' : 'Download'} {d.period}: {new Date(d.start_time * 1000).toLocaleDateString('en-AU')} - {new Date(d.end_time * 1000).toLocaleDateString('en-AU')}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="priceSource">Price Source</label>
+            <select
+              id="priceSource"
+              name="priceSource"
+              value={formData.priceSource}
+              onChange={handleChange}
+            >
+              <option value="mid">Mid price + spread proxy</option>
+              <option value="book" disabled={formData.dataSource === 'live'}>
+                Recorded order book best asks
+              </option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="unwindPolicy">Unhedged Leg</label>
+            <select
+              id="unwindPolicy"
+              name="unwindPolicy"
+              value={formData.unwindPolicy}
+              onChange={handleChange}
+            >
+              <option value="unwind">Unwind at the next bid</option>
+              <option value="hold">Hold to resolution</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="feeModel">Fee Model</label>
+            <select
+              id="feeModel"
+              name="feeModel"
+              value={formData.feeModel}
+              onChange={handleChange}
+            >
+              <option value="market">Per-market fee regime</option>
+              <option value="fee_free">Fee free</option>
+              <option value="flat">Flat bps (Flat Fee)</option>
+              <option value="price_curve">Price curve (Fee Curve Rate/Exponent)</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="sizingPolicy">Position Sizing</label>
+            <select
+              id="sizingPolicy"
+              name="sizingPolicy"
+              value={formData.sizingPolicy}
+              onChange={handleChange}
+            >
+              <option value="fixed">Fixed (Trade Size)</option>
+              <option value="percent_bankroll">% of bankroll (Bankroll per Trade)</option>
+              <option value="edge_proportional">Edge-proportional (Reference Edge)</option>
+              <option value="kelly">Fractional Kelly (Kelly settings)</option>
+              <option value="depth_capped">Depth-capped (Depth Cap)</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="exitPolicy">Exit Policy</label>
+            <select
+              id="exitPolicy"
+              name="exitPolicy"
+              value={formData.exitPolicy}
+              onChange={handleChange}
+            >
+              <option value="hold">Hold to resolution</option>
+              <option value="bid_threshold">Sell at combined bid (Exit Bid Threshold)</option>
+              <option value="time">Sell after a time (Exit After)</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="latencyDistribution">Monte Carlo Latency</label>
+            <select
+              id="latencyDistribution"
+              name="latencyDistribution"
+              value={formData.latencyDistribution}
+              onChange={handleChange}
+            >
+              <option value="fixed">Fixed (Latency)</option>
+              <option value="uniform">Uniform ± Latency Jitter</option>
+              <option value="normal">Normal (Latency Jitter = std dev)</option>
+              <option value="lognormal">Log-normal (Latency Jitter = sigma)</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="priority">Queue Priority</label>
+            <select
+              id="priority"
+              name="priority"
+              value={formData.priority}
+              onChange={handleChange}
+            >
+              <option value={5}>High (run before queued work)</option>
+              <option value={0}>Normal</option>
+              <option value={-5}>Low (run when idle)</option>
+            </select>
+          </div>
         </div>
 
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={() => setShowAdvanced(prev => !prev)}
+          style={{ marginTop: '0.5rem' }}
+        >
+          {showAdvanced ? 'Hide' : 'Show'} Advanced Parameters
+        </button>
+
+        {showAdvanced && (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem', marginTop: '1rem' }}>
+            {RUN_PARAMETER_FIELDS.map(field => (
+              <div className="form-group" key={field.key}>
+                <label htmlFor={field.key}>
+                  {field.label}{field.unit && ` (${field.unit.trim()})`}
+                </label>
+                <input
+                  type="number"
+                  id={field.key}
+                  name={field.key}
+                  value={overrides[field.key] ?? ''}
+                  onChange={handleOverrideChange}
+                  placeholder={defaults[field.key] !== undefined ? `Default: ${defaults[field.key]}` : ''}
+                  min="0"
+                  step={field.step}
+                />
+              </div>
+            ))}
+          </div>
+        )}
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '1rem', color: '#cbd5e1' }}>
+          <input
+            type="checkbox"
+            checked={sweepMode}
+            onChange={(e) => setSweepMode(e.target.checked)}
+          />
+          Parameter sweep (one run per combination)
+        </label>
+
+        {sweepMode && (
+          <>
+            <div style={{ color: '#94a3b8', marginTop: '0.5rem', fontSize: '0.85rem' }}>
+              Enter comma-separated values or a start:end:step range. Blank fields use the value above.
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem', marginTop: '1rem' }}>
+              {SWEEP_FIELDS.map(field => (
+                <div className="form-group" key={field.key}>
+                  <label htmlFor={`sweep-${field.key}`}>{field.label} values</label>
+                  <input
+                    type="text"
+                    id={`sweep-${field.key}`}
+                    name={field.key}
+                    value={sweepValues[field.key] || ''}
+                    onChange={handleSweepValueChange}
+                    placeholder={field.key === 'spreadProxy' ? 'e.g. 0:0.005:0.001' : 'e.g. 5, 10, 20'}
+                  />
+                </div>
+              ))}
+            </div>
+            <div style={{ color: invalidSweepFields.length > 0 ? '#ef4444' : '#94a3b8', fontSize: '0.85rem' }}>
+              {invalidSweepFields.length > 0
+                ? `Invalid values for: ${invalidSweepFields.join(', ')}`
+                : `${Object.keys(sweepGrid).length > 0 ? sweepRunCount : 0} runs will be queued`}
+            </div>
+          </>
+        )}
+
+        {usesSpecificDownload && (
+          <div style={{ color: '#94a3b8', marginTop: '0.5rem', fontSize: '0.85rem' }}>
+            The analysis period follows the date range of the selected download.
+          </div>
+        )}
+
         {error && (
           <div style={{ color: '#ef4444', marginTop: '1rem', fontSize: '0.9rem' }}>
             Error: {error}
@@ -137,7 +433,7 @@ function BacktestConfigForm({ onBacktestCreated }) {
           disabled={loading}
           style={{ marginTop: '1rem' }}
         >
-          {loading ? 'Creating...' : 'Run Backtest'}
+          {loading ? 'Creating...' : sweepMode ? 'Run Sweep' : 'Run Backtest'}
         </button>
       </form>
     </div>
@@ -1,4 +1,6 @@
 import React, { useState, useEffect } from 'react';
+import { useServerEvents, FINAL_STATUSES } from './serverEvents';
+import { VERDICT_LABELS } from './runParameters';
 
 function BacktestRunsTable({ refreshTrigger, onRowClick, onCompare }) {
   const [runs, setRuns] = useState([]);
@@ -6,24 +8,51 @@ function BacktestRunsTable({ refreshTrigger, onRowClick, onCompare }) {
   const [selectedIds, setSelectedIds] = useState([]);
   const [sortField, setSortField] = useState('created_at');
   const [sortDirection, setSortDirection] = useState('desc');
+  const [verdictFilter, setVerdictFilter] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
 
   useEffect(() => {
+    const fetchRuns = async () => {
+      try {
+        const response = await fetch(verdictFilter ? `/api/backtests?verdict=${verdictFilter}` : '/api/backtests');
+        const data = await response.json();
+        setRuns(data);
+        setLoading(false);
+      } catch (error) {
+        console.error('Error fetching runs:', error);
+        setLoading(false);
+      }
+    };
+
     fetchRuns();
-    const interval = setInterval(fetchRuns, 3000); // Poll every 3 seconds
-    return () => clearInterval(interval);
-  }, [refreshTrigger]);
+  }, [refreshTrigger, verdictFilter, reloadKey]);
 
-  const fetchRuns = async () => {
-    try {
-      const response = await fetch('/api/backtests');
-      const data = await response.json();
-      setRuns(data);
-      setLoading(false);
-    } catch (error) {
-      console.error('Error fetching runs:', error);
-      setLoading(false);
+  const reloadRuns = () => setReloadKey(prev => prev + 1);
+
+  // Patch progress in place; refetch when a run is added or finishes (its metrics change)
+  useServerEvents((channel, event) => {
+    if (channel === 'open') {
+      reloadRuns();
+      return;
     }
-  };
+    if (channel !== 'backtest') return;
+
+    // Unfinished runs have no verdict, so a verdict-filtered list only changes when one finishes
+    const isNewRun = !verdictFilter && !runs.some(run => run.id === event.id);
+    if (FINAL_STATUSES.includes(event.status) || isNewRun) {
+      reloadRuns();
+      return;
+    }
+
+    setRuns(prev => prev.map(run => run.id === event.id
+      ? {
+          ...run,
+          status: event.status,
+          progress_pct: event.progress_pct ?? run.progress_pct,
+          stage: event.stage ?? run.stage
+        }
+      : run));
+  });
 
   const handleSort = (field) => {
     if (sortField === field) {
@@ -53,12 +82,30 @@ function BacktestRunsTable({ refreshTrigger, onRowClick, onCompare }) {
 
     try {
       await fetch(`/api/backtests/${id}`, { method: 'DELETE' });
-      fetchRuns();
+      reloadRuns();
     } catch (error) {
       console.error('Error deleting backtest:', error);
     }
   };
 
+  const handleRunAction = async (id, action, e) => {
+    e.stopPropagation();
+    if (action === 'cancel' && !confirm('Cancel this backtest? Partial results will be discarded.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/backtests/${id}/${action}`, { method: 'POST' });
+      if (!response.ok) {
+        const result = await response.json();
+        alert(result.error || `Failed to ${action} backtest`);
+      }
+      reloadRuns();
+    } catch (error) {
+      console.error(`Error running ${action} on backtest:`, error);
+    }
+  };
+
   const sortedRuns = [...runs].sort((a, b) => {
     const aVal = a[sortField];
     const bVal = b[sortField];
@@ -96,20 +143,38 @@ function BacktestRunsTable({ refreshTrigger, onRowClick, onCompare }) {
     <div className="card">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
         <h2>Backtest Runs</h2>
-        {selectedIds.length >= 2 && (
-          <button
-            className="btn btn-sm"
-            onClick={() => onCompare(selectedIds)}
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+          <select
+            value={verdictFilter}
+            onChange={(e) => setVerdictFilter(e.target.value)}
+            style={{ background: '#334155', color: '#e2e8f0', border: '1px solid #475569', borderRadius: '6px', padding: '0.3rem 0.5rem', fontSize: '0.85rem' }}
           >
-            Compare Selected ({selectedIds.length})
-          </button>
-        )}
+            <option value="">All verdicts</option>
+            {Object.entries(VERDICT_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          {selectedIds.length >= 2 && (
+            <button
+              className="btn btn-sm"
+              onClick={() => onCompare(selectedIds)}
+            >
+              Compare Selected ({selectedIds.length})
+            </button>
+          )}
+        </div>
       </div>
 
       {runs.length === 0 ? (
         <div className="empty-state">
-          <h3>No backtests yet</h3>
-          <p>Create your first backtest above</p>
+          {verdictFilter ? (
+            <h3>No {VERDICT_LABELS[verdictFilter]} runs</h3>
+          ) : (
+            <>
+              <h3>No backtests yet</h3>
+              <p>Create your first backtest above</p>
+            </>
+          )}
         </div>
       ) : (
         <div className="table-container">
@@ -134,6 +199,9 @@ function BacktestRunsTable({ refreshTrigger, onRowClick, onCompare }) {
                 <th onClick={() => handleSort('status')} style={{ cursor: 'pointer' }}>
                   Status {sortField === 'status' && (sortDirection === 'asc' ? '↑' : '↓')}
                 </th>
+                <th onClick={() => handleSort('verdict_score')} style={{ cursor: 'pointer' }}>
+                  Verdict {sortField === 'verdict_score' && (sortDirection === 'asc' ? '↑' : '↓')}
+                </th>
                 <th onClick={() => handleSort('windows_detected')} style={{ cursor: 'pointer' }}>
                   Windows {sortField === 'windows_detected' && (sortDirection === 'asc' ? '↑' : '↓')}
                 </th>
@@ -171,11 +239,43 @@ function BacktestRunsTable({ refreshTrigger, onRowClick, onCompare }) {
                       </div>
                     )}
                   </td>
+                  <td>
+                    {run.verdict ? (
+                      <span className={`status-badge verdict-${run.verdict}`} title={`Score ${run.verdict_score?.toFixed(0)}`}>
+                        {VERDICT_LABELS[run.verdict] || run.verdict}
+                      </span>
+                    ) : '-'}
+                  </td>
                   <td>{run.windows_detected || '-'}</td>
                   <td>{formatPercent(run.fill_success_rate)}</td>
                   <td>{formatPercent(run.avg_execution_adjusted_edge)}</td>
                   <td style={{ fontSize: '0.875rem' }}>{formatDate(run.created_at)}</td>
-                  <td onClick={(e) => e.stopPropagation()}>
+                  <td onClick={(e) => e.stopPropagation()} style={{ whiteSpace: 'nowrap' }}>
+                    {(run.status === 'queued' || run.status === 'running') && (
+                      <button
+                        className="btn btn-sm btn-secondary"
+                        onClick={(e) => handleRunAction(run.id, 'cancel', e)}
+                        style={{ marginRight: '0.5rem' }}
+                      >
+                        Cancel
+                      </button>
+                    )}
+                    {(run.status === 'failed' || run.status === 'cancelled') && (
+                      <button
+                        className="btn btn-sm btn-secondary"
+                        onClick={(e) => handleRunAction(run.id, 'retry', e)}
+                        style={{ marginRight: '0.5rem' }}
+                      >
+                        Retry
+                      </button>
+                    )}
+                    <button
+                      className="btn btn-sm btn-secondary"
+                      onClick={(e) => handleRunAction(run.id, 'rerun', e)}
+                      style={{ marginRight: '0.5rem' }}
+                    >
+                      Re-run
+                    </button>
                     <button
                       className="btn btn-sm btn-danger"
                       onClick={(e) => handleDelete(run.id, e)}
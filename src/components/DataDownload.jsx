@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import ConfirmDialog from './ConfirmDialog';
+import { useServerEvents, FINAL_STATUSES } from './serverEvents';
 
 const ASSET_LABELS = { BTC: 'Bitcoin', ETH: 'Ethereum', SOL: 'Solana' };
 const PERIOD_LABELS = { '7d': '7 days', '30d': '30 days', '60d': '60 days', '3m': '3 months', '6m': '6 months', '12m': '12 months', '24m': '24 months', '36m': '36 months', 'custom': 'Custom' };
@@ -45,54 +46,54 @@ function DataDownload() {
 
   useEffect(() => { fetchDownloads(); }, []);
 
-  useEffect(() => {
-    if (!activeDownloadId) return;
-    let errorCount = 0;
-    const pollInterval = setInterval(async () => {
-      try {
-        const res = await fetch(`/api/data-downloads/${activeDownloadId}/status`);
-        if (!res.ok) {
-          errorCount++;
-          if (res.status === 404 || errorCount >= 10) {
-            clearInterval(pollInterval);
-            setLoading(false);
-            setStopping(false);
-            setActiveDownloadId(null);
-            fetchDownloads();
-            return;
-          }
-          throw new Error('Failed to fetch status');
-        }
-        errorCount = 0;
-        const status = await res.json();
-        setProgress(status.progress_pct || 0);
-        setStage(status.stage || '');
-        if (status.status === 'completed') {
-          clearInterval(pollInterval);
-          setLoading(false);
-          setStopping(false);
-          setActiveDownloadId(null);
-          fetchDownloads();
-        } else if (status.status === 'failed') {
-          clearInterval(pollInterval);
-          setLoading(false);
-          setStopping(false);
-          setActiveDownloadId(null);
-          setError(status.error_message || 'Download failed');
-          fetchDownloads();
-        } else if (status.status === 'stopped') {
-          clearInterval(pollInterval);
-          setLoading(false);
-          setStopping(false);
-          setActiveDownloadId(null);
-          fetchDownloads();
-        }
-      } catch (err) {
-        console.error('Error polling status:', err);
+  // Apply a status row or event for the active download; finished downloads reset the form
+  const applyDownloadStatus = (status) => {
+    if (status.progress_pct !== undefined) setProgress(status.progress_pct || 0);
+    if (status.stage !== undefined) setStage(status.stage || '');
+
+    if (FINAL_STATUSES.includes(status.status)) {
+      setLoading(false);
+      setStopping(false);
+      setActiveDownloadId(null);
+      if (status.status === 'failed') {
+        setError(status.error_message || 'Download failed');
+      }
+      fetchDownloads();
+    }
+  };
+
+  // Catch up on the current state (live updates then arrive over /api/events)
+  const fetchDownloadStatus = async (downloadId) => {
+    try {
+      const res = await fetch(`/api/data-downloads/${downloadId}/status`);
+      if (res.status === 404) {
+        applyDownloadStatus({ status: 'stopped' });
+        return;
+      }
+      if (!res.ok) throw new Error('Failed to fetch status');
+      applyDownloadStatus(await res.json());
+    } catch (err) {
+      console.error('Error fetching download status:', err);
+    }
+  };
+
+  const trackDownload = (downloadId) => {
+    setActiveDownloadId(downloadId);
+    fetchDownloadStatus(downloadId);
+  };
+
+  useServerEvents((channel, event) => {
+    if (channel === 'open') {
+      fetchDownloads();
+      if (activeDownloadId) fetchDownloadStatus(activeDownloadId);
+    } else if (channel === 'download') {
+      if (event.id === activeDownloadId) {
+        applyDownloadStatus(event);
+      } else if (FINAL_STATUSES.includes(event.status)) {
+        fetchDownloads();
       }
-    }, 500);
-    return () => clearInterval(pollInterval);
-  }, [activeDownloadId]);
+    }
+  });
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -127,7 +128,7 @@ function DataDownload() {
       });
       if (!res.ok) throw new Error('Failed to start data download');
       const result = await res.json();
-      setActiveDownloadId(result.downloadId);
+      trackDownload(result.downloadId);
       if (result.resumed) setStage('Resuming previous download...');
     } catch (err) {
       setError(err.message);
@@ -152,7 +153,7 @@ function DataDownload() {
       const res = await fetch(`/api/data-downloads/${dl.id}/resume`, { method: 'POST' });
       if (!res.ok) throw new Error('Failed to resume download');
       const result = await res.json();
-      setActiveDownloadId(result.downloadId);
+      trackDownload(result.downloadId);
     } catch (err) {
       setError(err.message);
       setLoading(false);
@@ -588,6 +589,7 @@ function DownloadRow({ dl, isExpanded, expandedData, expandedTab, expandedMarket
   const isClickable = dl.status === 'completed';
 
   const statusColors = {
+    queued: '#94a3b8',
     completed: '#22c55e',
     running: '#f59e0b',
     stopped: '#f59e0b',
@@ -630,6 +632,14 @@ function DownloadRow({ dl, isExpanded, expandedData, expandedTab, expandedMarket
               }}>
                 {dl.status}
               </span>
+              {dl.synthetic === 1 && (
+                <span
+                  title="Generated data with planted windows - see /api/data-downloads/:id/ground-truth"
+                  style={{ fontSize: '0.75rem', padding: '0.15rem 0.5rem', borderRadius: '10px', background: '#8b5cf620', color: '#8b5cf6', fontWeight: 600 }}
+                >
+                  synthetic
+                </span>
+              )}
             </div>
             <div style={{ color: '#64748b', fontSize: '0.8rem', marginTop: '0.15rem' }}>
               {startDate} - {endDate}
@@ -688,9 +698,10 @@ function ExpandedDataView({ data, dl, activeTab, selectedMarket, onSetTab, onSet
       const yesMap = new Map();
       const noMap = new Map();
 
+      // Outcome 0 is YES/UP, outcome 1 is NO/DOWN whatever the market calls them
       marketSnaps.forEach(s => {
-        if (s.side === 'YES' || s.side === 'UP') yesMap.set(s.timestamp, s.mid);
-        else noMap.set(s.timestamp, s.mid);
+        if (s.outcome_index === 0) yesMap.set(s.timestamp, s.mid);
+        else if (s.outcome_index === 1) noMap.set(s.timestamp, s.mid);
       });
 
       const paired = [];
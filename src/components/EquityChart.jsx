@@ -0,0 +1,68 @@
+import React from 'react';
+
+const WIDTH = 800;
+const HEIGHT = 300;
+const LEFT = 70;
+const RIGHT = 20;
+const TOP = 20;
+const BOTTOM = 40;
+
+/**
+ * Step chart of realized equity and reserved capital from a run's equity_curve
+ */
+function EquityChart({ points, bankroll }) {
+  if (!points || points.length < 2) {
+    return <div className="empty-state"><p>No equity curve recorded for this run</p></div>;
+  }
+
+  const first = points[0].timestamp;
+  const last = points[points.length - 1].timestamp;
+  const span = Math.max(last - first, 1);
+  const values = points.flatMap(p => [p.equity, p.reserved]);
+  const min = Math.min(0, ...values);
+  const max = Math.max(bankroll || 0, ...values);
+  const range = Math.max(max - min, 1);
+
+  const plotWidth = WIDTH - LEFT - RIGHT;
+  const plotHeight = HEIGHT - TOP - BOTTOM;
+  const x = (t) => LEFT + ((t - first) / span) * plotWidth;
+  const y = (v) => TOP + (1 - (v - min) / range) * plotHeight;
+
+  // Values hold until the next event, so draw steps rather than slopes
+  const stepLine = (key) => points
+    .map((p, i) => (i === 0 ? `${x(p.timestamp)},${y(p[key])}` : `${x(p.timestamp)},${y(points[i - 1][key])} ${x(p.timestamp)},${y(p[key])}`))
+    .join(' ');
+
+  const gridValues = [0, 0.25, 0.5, 0.75, 1].map(f => min + f * range);
+  const dateTicks = [0, 0.25, 0.5, 0.75, 1].map(f => first + f * span);
+
+  return (
+    <div>
+      <div className="chart-legend" style={{ marginBottom: '0.5rem' }}>
+        <span className="legend-item"><span className="legend-color" style={{ backgroundColor: '#10b981' }}></span>Equity</span>
+        <span className="legend-item"><span className="legend-color" style={{ backgroundColor: '#f59e0b' }}></span>Reserved capital</span>
+      </div>
+      <svg className="price-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="xMidYMid meet">
+        <rect width={WIDTH} height={HEIGHT} fill="#1e293b" />
+        {gridValues.map((v, i) => (
+          <g key={`grid-${i}`}>
+            <line x1={LEFT} y1={y(v)} x2={WIDTH - RIGHT} y2={y(v)} stroke="#334155" strokeWidth="1" />
+            <text x={LEFT - 8} y={y(v) + 4} fill="#94a3b8" fontSize="11" textAnchor="end">${v.toFixed(0)}</text>
+          </g>
+        ))}
+        {dateTicks.map((t, i) => (
+          <text key={`date-${i}`} x={x(t)} y={HEIGHT - 15} fill="#94a3b8" fontSize="10" textAnchor="middle">
+            {new Date(t * 1000).toLocaleString('en-AU', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+          </text>
+        ))}
+        {bankroll > 0 && (
+          <line x1={LEFT} y1={y(bankroll)} x2={WIDTH - RIGHT} y2={y(bankroll)} stroke="#64748b" strokeWidth="1" strokeDasharray="4 4" />
+        )}
+        <polyline points={stepLine('reserved')} fill="none" stroke="#f59e0b" strokeWidth="1.5" opacity="0.8" />
+        <polyline points={stepLine('equity')} fill="none" stroke="#10b981" strokeWidth="2" />
+      </svg>
+    </div>
+  );
+}
+
+export default EquityChart;
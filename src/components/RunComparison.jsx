@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { RUN_PARAMETER_FIELDS, GO_NO_GO_STATUS_CLASSES, formatRuleValue, parseRunParameters } from './runParameters';
 
 function RunComparison({ runIds, onBack }) {
   const [runs, setRuns] = useState([]);
@@ -22,26 +23,6 @@ function RunComparison({ runIds, onBack }) {
     }
   };
 
-  const formatPercent = (value) => {
-    if (value === null || value === undefined) return '-';
-    return `${value.toFixed(2)}%`;
-  };
-
-  const getMetricStatus = (metric, value) => {
-    const thresholds = {
-      windows_per_analysis_hour: 0.1,
-      duration_p50: 10,
-      fill_success_rate: 20,
-      avg_execution_adjusted_edge: 0.5,
-      data_coverage_pct: 90
-    };
-
-    const threshold = thresholds[metric];
-    if (threshold === undefined) return '';
-
-    return value >= threshold ? 'metric-success' : 'metric-danger';
-  };
-
   if (loading) {
     return (
       <div className="card">
@@ -50,14 +31,13 @@ function RunComparison({ runIds, onBack }) {
     );
   }
 
+  // Go/no-go rows follow the server-side rules; every run is evaluated against the same set
+  const ruleResults = (data) => data.go_no_go?.results || [];
+  const rules = runs.length > 0 ? ruleResults(runs[0]) : [];
+
   const metrics = [
-    { key: 'windows_per_analysis_hour', label: 'Windows per Hour', format: (v) => v?.toFixed(2) || '-', threshold: '≥0.1' },
-    { key: 'duration_p50', label: 'Median Duration (s)', format: (v) => v?.toFixed(1) || '-', threshold: '≥10s' },
-    { key: 'fill_success_rate', label: 'Fill Success Rate', format: formatPercent, threshold: '≥20%' },
-    { key: 'avg_execution_adjusted_edge', label: 'Avg Edge', format: formatPercent, threshold: '≥0.5%' },
-    { key: 'data_coverage_pct', label: 'Data Coverage', format: formatPercent, threshold: '≥90%' },
-    { key: 'windows_detected', label: 'Windows Detected', format: (v) => v || '-', threshold: '-' },
-    { key: 'trades_completed', label: 'Trades Completed', format: (v) => v || '-', threshold: '-' }
+    { key: 'windows_detected', label: 'Windows Detected', format: (v) => v || '-' },
+    { key: 'trades_completed', label: 'Trades Completed', format: (v) => v || '-' }
   ];
 
   return (
@@ -87,25 +67,57 @@ function RunComparison({ runIds, onBack }) {
             </tr>
           </thead>
           <tbody>
-            {metrics.map(metric => (
-              <tr key={metric.key}>
+            {rules.map(rule => (
+              <tr key={rule.metric}>
                 <td style={{ position: 'sticky', left: 0, background: '#1e293b', fontWeight: '600' }}>
-                  <div>{metric.label}</div>
-                  {metric.threshold !== '-' && (
-                    <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
-                      Target: {metric.threshold}
-                    </div>
-                  )}
+                  <div>{rule.label}</div>
+                  <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+                    Target: {rule.operator === '<=' ? '≤' : '≥'}{formatRuleValue(rule.threshold, rule.unit)}
+                  </div>
                 </td>
                 {runs.map((data, idx) => {
-                  const value = data.run[metric.key];
-                  const status = getMetricStatus(metric.key, value);
+                  const result = ruleResults(data).find(r => r.metric === rule.metric);
 
                   return (
                     <td key={idx}>
-                      <span className={status} style={{ fontWeight: '600' }}>
-                        {metric.format(value)}
+                      <span className={GO_NO_GO_STATUS_CLASSES[result?.status] || ''} style={{ fontWeight: '600' }}>
+                        {formatRuleValue(result?.value, rule.unit)}
                       </span>
+                      {result?.interval && (
+                        <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+                          CI {formatRuleValue(result.interval.lower, rule.unit)} – {formatRuleValue(result.interval.upper, rule.unit)}
+                        </div>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+            {metrics.map(metric => (
+              <tr key={metric.key}>
+                <td style={{ position: 'sticky', left: 0, background: '#1e293b', fontWeight: '600' }}>
+                  {metric.label}
+                </td>
+                {runs.map((data, idx) => (
+                  <td key={idx} style={{ fontWeight: '600' }}>
+                    {metric.format(data.run[metric.key])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {RUN_PARAMETER_FIELDS.map(field => (
+              <tr key={field.key}>
+                <td style={{ position: 'sticky', left: 0, background: '#1e293b', fontWeight: '600' }}>
+                  <div>{field.label}</div>
+                  <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+                    Parameter
+                  </div>
+                </td>
+                {runs.map((data, idx) => {
+                  const value = parseRunParameters(data.run)[field.key];
+                  return (
+                    <td key={idx}>
+                      {value !== undefined ? `${value}${field.unit}` : 'default'}
                     </td>
                   );
                 })}
@@ -120,7 +132,7 @@ function RunComparison({ runIds, onBack }) {
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '1rem' }}>
           {runs.map((data, idx) => {
             const totalProfit = data.trades
-              .filter(t => t.result === 'completed')
+              .filter(t => ['completed', 'partial', 'hedge_failed'].includes(t.result))
               .reduce((sum, t) => sum + t.profit, 0);
 
             const passedMetrics = [
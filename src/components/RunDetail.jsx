@@ -1,11 +1,27 @@
 import React, { useState, useEffect } from 'react';
 import WindowDebugger from './WindowDebugger';
+import EquityChart from './EquityChart';
+import {
+  RUN_PARAMETER_FIELDS,
+  FEE_MODEL_LABELS,
+  SIZING_POLICY_LABELS,
+  EXIT_POLICY_LABELS,
+  LATENCY_DISTRIBUTION_LABELS,
+  GO_NO_GO_STATUS_CLASSES,
+  VERDICT_LABELS,
+  formatRuleValue,
+  parseFailedRules,
+  parseRunParameters,
+  parseRunMetrics
+} from './runParameters';
+import { useServerEvents, FINAL_STATUSES } from './serverEvents';
 
-function RunDetail({ runId, onBack }) {
+function RunDetail({ runId, onBack, onRunClick }) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('summary');
   const [selectedWindow, setSelectedWindow] = useState(null);
+  const [logLines, setLogLines] = useState([]);
 
   useEffect(() => {
     fetchRunDetails();
@@ -23,30 +39,64 @@ function RunDetail({ runId, onBack }) {
     }
   };
 
+  // Live progress and log lines for this run; reload once it finishes
+  useServerEvents((channel, event) => {
+    if (channel === 'log' && event.source === 'backtest' && event.id === runId) {
+      setLogLines(prev => [...prev.slice(-49), event]);
+    } else if (channel === 'backtest' && event.id === runId) {
+      if (FINAL_STATUSES.includes(event.status) || event.status === 'queued') {
+        fetchRunDetails();
+      } else {
+        setData(prev => prev && {
+          ...prev,
+          run: {
+            ...prev.run,
+            status: event.status,
+            progress_pct: event.progress_pct ?? prev.run.progress_pct,
+            stage: event.stage ?? prev.run.stage
+          }
+        });
+      }
+    }
+  });
+
+  const handleRunAction = async (action) => {
+    if (action === 'cancel' && !confirm('Cancel this backtest? Partial results will be discarded.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/backtests/${runId}/${action}`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) {
+        alert(result.error || `Failed to ${action} backtest`);
+        return;
+      }
+
+      // A re-run is a new run - open it; cancel/retry update this one
+      if (action === 'rerun') {
+        onRunClick(result.runId);
+      } else {
+        fetchRunDetails();
+      }
+    } catch (error) {
+      console.error(`Error running ${action} on backtest:`, error);
+    }
+  };
+
   const handleExportTrades = () => {
     window.location.href = `/api/backtests/${runId}/export/trades.csv`;
   };
 
+  const handleExportMetrics = () => {
+    window.location.href = `/api/backtests/${runId}/export/metrics.csv`;
+  };
+
   const formatPercent = (value) => {
     if (value === null || value === undefined) return '-';
     return `${value.toFixed(2)}%`;
   };
 
-  const getMetricStatus = (metric, value) => {
-    const thresholds = {
-      windows_per_analysis_hour: { threshold: 0.1, good: value >= 0.1 },
-      duration_p50: { threshold: 10, good: value >= 10 },
-      fill_success_rate: { threshold: 20, good: value >= 20 },
-      avg_execution_adjusted_edge: { threshold: 0.5, good: value >= 0.5 },
-      data_coverage_pct: { threshold: 90, good: value >= 90 }
-    };
-
-    const config = thresholds[metric];
-    if (!config) return 'metric-value';
-
-    return config.good ? 'metric-value metric-success' : 'metric-value metric-danger';
-  };
-
   if (loading) {
     return (
       <div className="card">
@@ -66,20 +116,63 @@ function RunDetail({ runId, onBack }) {
     );
   }
 
-  const { run, windows, trades } = data;
-  const completedTrades = trades.filter(t => t.result === 'completed');
-  const totalProfit = completedTrades.reduce((sum, t) => sum + t.profit, 0);
+  const {
+    run,
+    windows,
+    trades,
+    markets = [],
+    equity_curve: equityCurve = [],
+    go_no_go: goNoGo = { results: [], sampleWarning: null }
+  } = data;
+  const params = parseRunParameters(run);
+  const { portfolio, exits, monteCarlo } = parseRunMetrics(run);
+  // Failed hedges carry P&L too (the unwind or mark of the leg left unhedged)
+  const pnlTrades = trades.filter(t => ['completed', 'partial', 'hedge_failed'].includes(t.result));
+  const totalProfit = pnlTrades.reduce((sum, t) => sum + t.profit, 0);
+  const failedHedges = trades.filter(t => t.result === 'hedge_failed');
+  const failedHedgeProfit = failedHedges.reduce((sum, t) => sum + t.profit, 0);
 
   return (
     <div>
       <div className="card">
         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
           <h2>{run.name}</h2>
-          <button className="btn btn-secondary" onClick={onBack}>
-            Back to Runs
-          </button>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            {(run.status === 'queued' || run.status === 'running') && (
+              <button className="btn btn-secondary" onClick={() => handleRunAction('cancel')}>
+                Cancel Run
+              </button>
+            )}
+            {(run.status === 'failed' || run.status === 'cancelled') && (
+              <button className="btn btn-secondary" onClick={() => handleRunAction('retry')}>
+                Retry
+              </button>
+            )}
+            <button className="btn btn-secondary" onClick={() => handleRunAction('rerun')}>
+              Re-run
+            </button>
+            <button className="btn btn-secondary" onClick={onBack}>
+              Back to Runs
+            </button>
+          </div>
         </div>
 
+        {(run.status === 'queued' || run.status === 'running') && (
+          <div style={{ marginBottom: '1.5rem' }}>
+            <div style={{ color: '#94a3b8', fontSize: '0.9rem' }}>
+              {run.stage} ({Math.round(run.progress_pct || 0)}%)
+            </div>
+            <div className="progress-bar">
+              <div className="progress-fill" style={{ width: `${run.progress_pct || 0}%` }} />
+            </div>
+            {logLines.length > 0 && (
+              <pre style={{ marginTop: '0.75rem', maxHeight: '150px', overflowY: 'auto', fontSize: '0.75rem', color: '#94a3b8' }}>
+                {logLines.map(line => `${new Date(line.timestamp).toLocaleTimeString('en-AU')}  ${line.message}`).join('\n')}
+              </pre>
+            )}
+          </div>
+        )}
+
         <div className="tabs">
           <button
             className={`tab ${activeTab === 'summary' ? 'active' : ''}`}
@@ -99,72 +192,200 @@ function RunDetail({ runId, onBack }) {
           >
             Trades ({trades.length})
           </button>
+          <button
+            className={`tab ${activeTab === 'markets' ? 'active' : ''}`}
+            onClick={() => setActiveTab('markets')}
+          >
+            Markets ({markets.length})
+          </button>
         </div>
 
         {activeTab === 'summary' && (
           <>
             <h3 style={{ marginBottom: '1rem', color: '#cbd5e1' }}>Go/No-Go Metrics</h3>
+            {run.verdict && (
+              <div style={{ marginBottom: '1rem', fontSize: '0.9rem', color: '#94a3b8' }}>
+                <span className={`status-badge verdict-${run.verdict}`}>{VERDICT_LABELS[run.verdict] || run.verdict}</span>
+                <span style={{ marginLeft: '0.75rem' }}>
+                  Score {run.verdict_score?.toFixed(0)} / 100 at completion
+                </span>
+                {parseFailedRules(run).map(rule => (
+                  <div key={rule.metric} style={{ color: '#ef4444', marginTop: '0.5rem' }}>
+                    ✗ {rule.label}: {rule.value === null ? 'no value' : rule.value.toFixed(2)} (needs {rule.operator === '<=' ? '≤' : '≥'}{rule.threshold})
+                  </div>
+                ))}
+              </div>
+            )}
+            {goNoGo.sampleWarning && (
+              <div style={{ color: '#f59e0b', marginBottom: '1rem', fontSize: '0.9rem' }}>
+                ⚠ {goNoGo.sampleWarning}
+              </div>
+            )}
             <div className="metric-grid">
-              <div className="metric-card">
-                <div className="metric-label">Windows per Hour</div>
-                <div className={getMetricStatus('windows_per_analysis_hour', run.windows_per_analysis_hour)}>
-                  {run.windows_per_analysis_hour?.toFixed(2) || '-'}
-                </div>
-                <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
-                  Target: ≥0.1
+              {goNoGo.results.map(result => (
+                <div className="metric-card" key={result.metric}>
+                  <div className="metric-label">{result.label}</div>
+                  <div className={`metric-value ${GO_NO_GO_STATUS_CLASSES[result.status] || ''}`}>
+                    {formatRuleValue(result.value, result.unit)}
+                  </div>
+                  <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+                    Target: {result.operator === '<=' ? '≤' : '≥'}{formatRuleValue(result.threshold, result.unit)}
+                  </div>
+                  {result.interval && (
+                    <div style={{ fontSize: '0.75rem', color: '#64748b' }}>
+                      95% CI: {formatRuleValue(result.interval.lower, result.unit)} – {formatRuleValue(result.interval.upper, result.unit)}
+                      {result.status === 'marginal' && ' (not yet conclusive)'}
+                    </div>
+                  )}
                 </div>
-              </div>
+              ))}
 
               <div className="metric-card">
-                <div className="metric-label">Median Duration (sec)</div>
-                <div className={getMetricStatus('duration_p50', run.duration_p50)}>
-                  {run.duration_p50?.toFixed(1) || '-'}
+                <div className="metric-label">Total Profit</div>
+                <div className={totalProfit > 0 ? 'metric-value metric-success' : 'metric-value metric-danger'}>
+                  ${totalProfit.toFixed(2)}
                 </div>
                 <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
-                  Target: ≥10s
+                  From {pnlTrades.length} trades
                 </div>
               </div>
 
               <div className="metric-card">
-                <div className="metric-label">Fill Success Rate</div>
-                <div className={getMetricStatus('fill_success_rate', run.fill_success_rate)}>
-                  {formatPercent(run.fill_success_rate)}
+                <div className="metric-label">Failed Hedges</div>
+                <div className={failedHedges.length > 0 ? 'metric-value metric-danger' : 'metric-value'}>
+                  {failedHedges.length}
                 </div>
                 <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
-                  Target: ≥20%
+                  P&amp;L ${failedHedgeProfit.toFixed(2)}
                 </div>
               </div>
+            </div>
 
-              <div className="metric-card">
-                <div className="metric-label">Avg Edge</div>
-                <div className={getMetricStatus('avg_execution_adjusted_edge', run.avg_execution_adjusted_edge)}>
-                  {formatPercent(run.avg_execution_adjusted_edge)}
-                </div>
-                <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
-                  Target: ≥0.5%
-                </div>
-              </div>
+            {portfolio && (
+              <>
+                <h3 style={{ margin: '2rem 0 1rem', color: '#cbd5e1' }}>Portfolio</h3>
+                <div className="metric-grid">
+                  <div className="metric-card">
+                    <div className="metric-label">Final Equity</div>
+                    <div className={portfolio.finalEquity >= portfolio.bankroll ? 'metric-value metric-success' : 'metric-value metric-danger'}>
+                      ${portfolio.finalEquity.toFixed(2)}
+                    </div>
+                    <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+                      From ${portfolio.bankroll.toFixed(0)} ({formatPercent(portfolio.totalReturnPct)})
+                    </div>
+                  </div>
 
-              <div className="metric-card">
-                <div className="metric-label">Data Coverage</div>
-                <div className={getMetricStatus('data_coverage_pct', run.data_coverage_pct)}>
-                  {formatPercent(run.data_coverage_pct)}
+                  <div className="metric-card">
+                    <div className="metric-label">Max Drawdown</div>
+                    <div className="metric-value">{formatPercent(portfolio.maxDrawdownPct)}</div>
+                    <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+                      ${portfolio.maxDrawdown.toFixed(2)}
+                    </div>
+                  </div>
+
+                  <div className="metric-card">
+                    <div className="metric-label">Capital Utilisation</div>
+                    <div className="metric-value">{formatPercent(portfolio.capitalUtilizationPct)}</div>
+                    <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+                      Peak reserved ${portfolio.peakReserved.toFixed(2)}
+                    </div>
+                  </div>
+
+                  <div className="metric-card">
+                    <div className="metric-label">Annualised Return</div>
+                    <div className="metric-value">{formatPercent(portfolio.annualizedReturnPct)}</div>
+                  </div>
+
+                  <div className="metric-card">
+                    <div className="metric-label">Skipped (No Capital)</div>
+                    <div className="metric-value">{portfolio.tradesSkipped}</div>
+                  </div>
                 </div>
-                <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
-                  Target: ≥90%
+
+                <div style={{ marginTop: '1rem' }}>
+                  <EquityChart points={equityCurve} bankroll={portfolio.bankroll} />
                 </div>
-              </div>
+              </>
+            )}
 
-              <div className="metric-card">
-                <div className="metric-label">Total Profit</div>
-                <div className={totalProfit > 0 ? 'metric-value metric-success' : 'metric-value metric-danger'}>
-                  ${totalProfit.toFixed(2)}
+            {exits && (
+              <>
+                <h3 style={{ margin: '2rem 0 1rem', color: '#cbd5e1' }}>Early Exits vs Hold to Resolution</h3>
+                <div className="metric-grid">
+                  <div className="metric-card">
+                    <div className="metric-label">Capital Recycling Gain</div>
+                    <div className={exits.capitalRecyclingGain >= 0 ? 'metric-value metric-success' : 'metric-value metric-danger'}>
+                      ${exits.capitalRecyclingGain.toFixed(2)}
+                    </div>
+                    <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+                      ${exits.finalEquity.toFixed(2)} vs ${exits.holdFinalEquity.toFixed(2)} held
+                    </div>
+                  </div>
+
+                  <div className="metric-card">
+                    <div className="metric-label">Early Exits</div>
+                    <div className="metric-value">{exits.earlyExits}</div>
+                    <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+                      {exits.avgExitSeconds !== null ? `Avg ${exits.avgExitSeconds.toFixed(0)}s after entry` : 'None triggered'}
+                    </div>
+                  </div>
+
+                  <div className="metric-card">
+                    <div className="metric-label">Filled Trades</div>
+                    <div className="metric-value">{exits.tradesFilled}</div>
+                    <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+                      {exits.holdTradesFilled} when held
+                    </div>
+                  </div>
+
+                  <div className="metric-card">
+                    <div className="metric-label">Capital Utilisation</div>
+                    <div className="metric-value">{formatPercent(exits.capitalUtilizationPct)}</div>
+                    <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+                      {formatPercent(exits.holdCapitalUtilizationPct)} when held
+                    </div>
+                  </div>
                 </div>
-                <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
-                  From {completedTrades.length} trades
+              </>
+            )}
+
+            {monteCarlo && (
+              <>
+                <h3 style={{ margin: '2rem 0 1rem', color: '#cbd5e1' }}>
+                  Execution Uncertainty ({monteCarlo.iterations} Monte Carlo iterations, seed {monteCarlo.seed})
+                </h3>
+                <div className="table-container">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Metric</th>
+                        <th>P5</th>
+                        <th>P50</th>
+                        <th>P95</th>
+                        <th>Mean</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[
+                        { key: 'profit', label: 'Total Profit', format: v => `$${v.toFixed(2)}` },
+                        { key: 'fillRate', label: 'Fill Success Rate', format: formatPercent },
+                        { key: 'edge', label: 'Execution-Adjusted Edge', format: formatPercent },
+                        { key: 'finalEquity', label: 'Final Equity', format: v => `$${v.toFixed(2)}` },
+                        { key: 'maxDrawdownPct', label: 'Max Drawdown', format: formatPercent }
+                      ].filter(row => monteCarlo[row.key]).map(row => (
+                        <tr key={row.key}>
+                          <td>{row.label}</td>
+                          <td>{row.format(monteCarlo[row.key].p5)}</td>
+                          <td>{row.format(monteCarlo[row.key].p50)}</td>
+                          <td>{row.format(monteCarlo[row.key].p95)}</td>
+                          <td>{row.format(monteCarlo[row.key].mean)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
                 </div>
-              </div>
-            </div>
+              </>
+            )}
 
             <h3 style={{ margin: '2rem 0 1rem', color: '#cbd5e1' }}>Additional Metrics</h3>
             <div className="metric-grid">
@@ -183,6 +404,48 @@ function RunDetail({ runId, onBack }) {
                 <div className="metric-value">${run.trade_size}</div>
               </div>
 
+              <div className="metric-card">
+                <div className="metric-label">Price Source</div>
+                <div className="metric-value" style={{ fontSize: '1.25rem' }}>
+                  {params.priceSource === 'book' ? 'Order book' : 'Mid + proxy'}
+                </div>
+              </div>
+
+              <div className="metric-card">
+                <div className="metric-label">Unhedged Leg</div>
+                <div className="metric-value" style={{ fontSize: '1.25rem' }}>
+                  {params.unwindPolicy === 'hold' ? 'Hold to resolution' : 'Unwind'}
+                </div>
+              </div>
+
+              <div className="metric-card">
+                <div className="metric-label">Fee Model</div>
+                <div className="metric-value" style={{ fontSize: '1.25rem' }}>
+                  {FEE_MODEL_LABELS[params.feeModel || (params.feeBps > 0 ? 'flat' : 'market')]}
+                </div>
+              </div>
+
+              <div className="metric-card">
+                <div className="metric-label">Position Sizing</div>
+                <div className="metric-value" style={{ fontSize: '1.25rem' }}>
+                  {SIZING_POLICY_LABELS[params.sizingPolicy || 'fixed']}
+                </div>
+              </div>
+
+              <div className="metric-card">
+                <div className="metric-label">Exit Policy</div>
+                <div className="metric-value" style={{ fontSize: '1.25rem' }}>
+                  {EXIT_POLICY_LABELS[params.exitPolicy || 'hold']}
+                </div>
+              </div>
+
+              <div className="metric-card">
+                <div className="metric-label">Monte Carlo Latency</div>
+                <div className="metric-value" style={{ fontSize: '1.25rem' }}>
+                  {LATENCY_DISTRIBUTION_LABELS[params.latencyDistribution || 'fixed']}
+                </div>
+              </div>
+
               <div className="metric-card">
                 <div className="metric-label">Status</div>
                 <div className="metric-value">
@@ -193,10 +456,25 @@ function RunDetail({ runId, onBack }) {
               </div>
             </div>
 
+            <h3 style={{ margin: '2rem 0 1rem', color: '#cbd5e1' }}>Run Parameters</h3>
+            <div className="metric-grid">
+              {RUN_PARAMETER_FIELDS.map(field => (
+                <div className="metric-card" key={field.key}>
+                  <div className="metric-label">{field.label}</div>
+                  <div className="metric-value" style={{ fontSize: '1.25rem' }}>
+                    {params[field.key] !== undefined ? `${params[field.key]}${field.unit}` : 'default'}
+                  </div>
+                </div>
+              ))}
+            </div>
+
             <div style={{ marginTop: '2rem' }}>
               <button className="btn" onClick={handleExportTrades}>
                 Export Trades CSV
               </button>
+              <button className="btn btn-secondary" onClick={handleExportMetrics} style={{ marginLeft: '0.5rem' }}>
+                Export Metrics CSV
+              </button>
             </div>
           </>
         )}
@@ -216,6 +494,7 @@ function RunDetail({ runId, onBack }) {
                   <thead>
                     <tr>
                       <th>Start Time</th>
+                      <th>Market</th>
                       <th>Duration (s)</th>
                       <th>Entry Price</th>
                       <th>Min Price (Best Edge)</th>
@@ -234,6 +513,9 @@ function RunDetail({ runId, onBack }) {
                           <td style={{ fontSize: '0.875rem' }}>
                             {startDate.toLocaleString('en-AU')}
                           </td>
+                          <td style={{ fontSize: '0.75rem', fontFamily: 'monospace' }}>
+                            {window.market_id?.substring(0, 10) || '-'}
+                          </td>
                           <td>{window.duration}s</td>
                           <td>{window.entry_combined_price?.toFixed(4)}</td>
                           <td style={{ color: '#10b981', fontWeight: '600' }}>
@@ -273,6 +555,11 @@ function RunDetail({ runId, onBack }) {
                     <tr>
                       <th>Trade ID</th>
                       <th>Result</th>
+                      <th>Filled</th>
+                      <th>Avg Price</th>
+                      <th>Slippage</th>
+                      <th>Unhedged</th>
+                      <th>Settlement</th>
                       <th>Profit</th>
                       <th>Fees</th>
                     </tr>
@@ -288,8 +575,21 @@ function RunDetail({ runId, onBack }) {
                             {trade.result}
                           </span>
                         </td>
+                        <td>{trade.filled_size ?? '-'}</td>
+                        <td>{trade.avg_price?.toFixed(4) ?? '-'}</td>
+                        <td>{trade.slippage?.toFixed(4) ?? '-'}</td>
+                        <td>
+                          {trade.unhedged_size != null
+                            ? `${trade.unhedged_size} of leg ${trade.unhedged_outcome_index} @ ${trade.unhedged_exit_price?.toFixed(4) ?? '-'}`
+                            : '-'}
+                        </td>
+                        <td>
+                          {trade.exit_time != null
+                            ? `Exited @ ${trade.exit_price?.toFixed(4) ?? '-'}`
+                            : trade.settlement || '-'}
+                        </td>
                         <td style={{
-                          color: trade.profit > 0 ? '#10b981' : '#64748b',
+                          color: trade.profit > 0 ? '#10b981' : trade.profit < 0 ? '#ef4444' : '#64748b',
                           fontWeight: '600'
                         }}>
                           ${trade.profit.toFixed(4)}
@@ -303,6 +603,65 @@ function RunDetail({ runId, onBack }) {
             )}
           </>
         )}
+
+        {activeTab === 'markets' && (
+          <>
+            <h3 style={{ marginBottom: '1rem', color: '#cbd5e1' }}>Results by Market</h3>
+            {markets.length === 0 ? (
+              <div className="empty-state">
+                <p>No windows detected in any market</p>
+              </div>
+            ) : (
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Market</th>
+                      <th>Windows</th>
+                      <th>Fee Regime</th>
+                      <th>Resolution</th>
+                      <th>Fills</th>
+                      <th>Failed Hedges</th>
+                      <th>Best Edge</th>
+                      <th>Profit</th>
+                      <th>Fees</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {markets.map(market => (
+                      <tr key={market.market_id}>
+                        <td>
+                          <div>{market.question || 'Unknown market'}</div>
+                          <div style={{ fontSize: '0.75rem', fontFamily: 'monospace', color: '#64748b' }}>
+                            {market.market_id}
+                          </div>
+                        </td>
+                        <td>{market.windows}</td>
+                        <td>{market.fee_regime || 'fee_free'}</td>
+                        <td>
+                          {market.resolution_status === 'resolved'
+                            ? `Outcome ${market.winning_outcome} won`
+                            : market.resolution_status || 'unresolved'}
+                          {market.disputed ? ' (disputed)' : ''}
+                        </td>
+                        <td>{market.fills}</td>
+                        <td>{market.hedge_failures}</td>
+                        <td>{formatPercent((1 - market.best_combined_price) * 100)}</td>
+                        <td style={{
+                          color: market.profit > 0 ? '#10b981' : market.profit < 0 ? '#ef4444' : '#64748b',
+                          fontWeight: '600'
+                        }}>
+                          ${market.profit.toFixed(4)}
+                        </td>
+                        <td>${market.fees.toFixed(4)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
       </div>
 
       {selectedWindow && (
@@ -10,6 +10,12 @@ const INTERVAL_OPTIONS = [
   { value: 60, label: '60 minutes' },
 ];
 
+const PROVIDER_OPTIONS = [
+  { value: 'live', label: 'Live APIs', description: 'Requests go to Gamma, CLOB and Bitquery.' },
+  { value: 'record', label: 'Live + record fixtures', description: 'Requests go to the live APIs and every response is saved to the fixture directory.' },
+  { value: 'fixture', label: 'Recorded fixtures (offline)', description: 'Responses are replayed from the fixture directory with no network access. Relative periods resolve against the recording time.' },
+];
+
 function Settings() {
   const [settings, setSettings] = useState(null);
   const [saving, setSaving] = useState(false);
@@ -23,9 +29,8 @@ function Settings() {
       .catch(err => setError('Failed to load settings'));
   }, []);
 
-  const handleIntervalChange = async (e) => {
-    const newInterval = Number(e.target.value);
-    setSettings(prev => ({ ...prev, snapshotInterval: newInterval }));
+  const saveSettings = async (changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
     setSaving(true);
     setSaved(false);
     setError(null);
@@ -34,7 +39,7 @@ function Settings() {
       const res = await fetch('/api/settings', {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ snapshotInterval: newInterval }),
+        body: JSON.stringify(changes),
       });
       if (!res.ok) {
         const data = await res.json();
@@ -49,6 +54,10 @@ function Settings() {
     }
   };
 
+  const handleIntervalChange = (e) => saveSettings({ snapshotInterval: Number(e.target.value) });
+
+  const handleProviderChange = (e) => saveSettings({ dataProvider: e.target.value });
+
   if (!settings) {
     return (
       <div className="card">
@@ -59,6 +68,8 @@ function Settings() {
   }
 
   const selectedOption = INTERVAL_OPTIONS.find(o => o.value === settings.snapshotInterval);
+  const activeProvider = settings.dataProviderOverride || settings.dataProvider;
+  const providerOption = PROVIDER_OPTIONS.find(o => o.value === activeProvider);
 
   return (
     <div className="card">
@@ -107,6 +118,42 @@ function Settings() {
             Changes apply to new downloads only. Existing data is not affected.
           </p>
         </div>
+      </div>
+
+      <div className="settings-section" style={{ marginTop: '2rem' }}>
+        <h3 style={{ fontSize: '1rem', color: '#e2e8f0', marginBottom: '1rem' }}>
+          Data Provider
+        </h3>
+
+        <div className="form-group">
+          <label>Provider</label>
+          <select
+            value={activeProvider}
+            onChange={handleProviderChange}
+            disabled={saving || !!settings.dataProviderOverride}
+          >
+            {PROVIDER_OPTIONS.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div style={{
+          background: '#0f172a',
+          border: '1px solid #334155',
+          borderRadius: '6px',
+          padding: '1rem',
+          marginTop: '0.5rem',
+          fontSize: '0.85rem',
+          color: '#94a3b8',
+        }}>
+          <p>{providerOption?.description}</p>
+          {settings.dataProviderOverride && (
+            <p style={{ marginTop: '0.5rem', color: '#f59e0b', fontSize: '0.8rem' }}>
+              Set by the DATA_PROVIDER environment variable on the server.
+            </p>
+          )}
+        </div>
 
         {saving && (
           <p style={{ marginTop: '0.75rem', color: '#60a5fa', fontSize: '0.85rem' }}>
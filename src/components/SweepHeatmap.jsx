@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { SWEEP_FIELDS } from './runParameters';
+import { useServerEvents, FINAL_STATUSES } from './serverEvents';
+
+const HEATMAP_METRICS = [
+  { key: 'avg_execution_adjusted_edge', label: 'Avg Edge', format: (v) => `${v.toFixed(2)}%` },
+  { key: 'total_profit', label: 'Total Profit', format: (v) => `$${v.toFixed(2)}` },
+  { key: 'fill_success_rate', label: 'Fill Success Rate', format: (v) => `${v.toFixed(1)}%` },
+  { key: 'windows_per_analysis_hour', label: 'Windows per Hour', format: (v) => v.toFixed(2) },
+  { key: 'duration_p50', label: 'Median Duration (s)', format: (v) => v.toFixed(1) },
+  { key: 'trades_completed', label: 'Trades Completed', format: (v) => String(v) }
+];
+
+const fieldLabel = (key) => SWEEP_FIELDS.find(f => f.key === key)?.label || key;
+
+function SweepHeatmap({ sweepId, onBack, onRunClick }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [xField, setXField] = useState(null);
+  const [yField, setYField] = useState(null);
+  const [metricKey, setMetricKey] = useState(HEATMAP_METRICS[0].key);
+  const [fixedValues, setFixedValues] = useState({});
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchSweep = async () => {
+      try {
+        const response = await fetch(`/api/sweeps/${sweepId}`);
+        const result = await response.json();
+        setData(response.ok ? result : null);
+        setLoading(false);
+      } catch (error) {
+        console.error('Error fetching sweep:', error);
+        setLoading(false);
+      }
+    };
+
+    fetchSweep();
+  }, [sweepId, reloadKey]);
+
+  // Refetch the matrix as this sweep's runs finish
+  useServerEvents((channel, event) => {
+    const isSweepRun = data?.matrix.cells.some(cell => cell.runId === event?.id);
+    if (channel === 'open' || (channel === 'backtest' && isSweepRun && FINAL_STATUSES.includes(event.status))) {
+      setReloadKey(prev => prev + 1);
+    }
+  });
+
+  if (loading) {
+    return (
+      <div className="card">
+        <div className="loading">Loading sweep...</div>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <div className="card">
+        <div className="empty-state">
+          <h3>Sweep not found</h3>
+          <button className="btn" onClick={onBack}>Back to Runs</button>
+        </div>
+      </div>
+    );
+  }
+
+  const { sweep, matrix } = data;
+  const axes = matrix.axes;
+  const xAxis = axes.find(a => a.field === xField) || axes[0];
+  const yAxis = axes.find(a => a.field === yField && a.field !== xAxis.field) ||
+    axes.find(a => a.field !== xAxis.field) || null;
+  const otherAxes = axes.filter(a => a !== xAxis && a !== yAxis);
+  const metric = HEATMAP_METRICS.find(m => m.key === metricKey);
+
+  // Axes not on the grid are pinned to one value each
+  const pinned = Object.fromEntries(otherAxes.map(a => [a.field, fixedValues[a.field] ?? a.values[0]]));
+  const visibleCells = matrix.cells.filter(cell =>
+    otherAxes.every(a => cell.coords[a.field] === pinned[a.field])
+  );
+
+  const findCell = (x, y) => visibleCells.find(cell =>
+    cell.coords[xAxis.field] === x && (!yAxis || cell.coords[yAxis.field] === y)
+  );
+
+  const completedValues = visibleCells
+    .filter(cell => cell.status === 'completed')
+    .map(cell => cell[metric.key] ?? 0);
+  const minValue = Math.min(...completedValues);
+  const maxValue = Math.max(...completedValues);
+
+  // Red (worst) to green (best) across the visible completed cells
+  const cellColor = (value) => {
+    const ratio = maxValue > minValue ? (value - minValue) / (maxValue - minValue) : 1;
+    return `hsl(${Math.round(ratio * 120)}, 60%, 30%)`;
+  };
+
+  const renderCell = (x, y) => {
+    const cell = findCell(x, y);
+    if (!cell) {
+      return <td key={x} style={{ textAlign: 'center', color: '#64748b' }}>-</td>;
+    }
+    if (cell.status !== 'completed') {
+      return (
+        <td key={x} style={{ textAlign: 'center', color: '#94a3b8', cursor: 'pointer' }} onClick={() => onRunClick(cell.runId)}>
+          <span className={`status-badge status-${cell.status}`}>{cell.status}</span>
+        </td>
+      );
+    }
+    const value = cell[metric.key] ?? 0;
+    return (
+      <td
+        key={x}
+        onClick={() => onRunClick(cell.runId)}
+        title={cell.name}
+        style={{ textAlign: 'center', background: cellColor(value), color: '#f1f5f9', fontWeight: '600', cursor: 'pointer' }}
+      >
+        {metric.format(value)}
+      </td>
+    );
+  };
+
+  const yValues = yAxis ? yAxis.values : [null];
+
+  return (
+    <div className="card">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <h2>{sweep.name}</h2>
+        <button className="btn btn-secondary" onClick={onBack}>
+          Back to Runs
+        </button>
+      </div>
+
+      <div style={{ color: '#94a3b8', marginBottom: '1.5rem', fontSize: '0.9rem' }}>
+        {sweep.asset} • {sweep.timeframe} • {sweep.period} •{' '}
+        {sweep.completed_runs + sweep.failed_runs}/{sweep.total_runs} runs finished
+        {sweep.failed_runs > 0 && ` (${sweep.failed_runs} failed)`}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem' }}>
+        <div className="form-group">
+          <label htmlFor="heatmap-metric">Metric</label>
+          <select id="heatmap-metric" value={metric.key} onChange={(e) => setMetricKey(e.target.value)}>
+            {HEATMAP_METRICS.map(m => (
+              <option key={m.key} value={m.key}>{m.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="heatmap-x">Columns</label>
+          <select id="heatmap-x" value={xAxis.field} onChange={(e) => setXField(e.target.value)}>
+            {axes.map(a => (
+              <option key={a.field} value={a.field}>{fieldLabel(a.field)}</option>
+            ))}
+          </select>
+        </div>
+
+        {yAxis && (
+          <div className="form-group">
+            <label htmlFor="heatmap-y">Rows</label>
+            <select id="heatmap-y" value={yAxis.field} onChange={(e) => setYField(e.target.value)}>
+              {axes.filter(a => a.field !== xAxis.field).map(a => (
+                <option key={a.field} value={a.field}>{fieldLabel(a.field)}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {otherAxes.map(axis => (
+          <div className="form-group" key={axis.field}>
+            <label htmlFor={`heatmap-pin-${axis.field}`}>{fieldLabel(axis.field)}</label>
+            <select
+              id={`heatmap-pin-${axis.field}`}
+              value={pinned[axis.field]}
+              onChange={(e) => setFixedValues(prev => ({ ...prev, [axis.field]: parseFloat(e.target.value) }))}
+            >
+              {axis.values.map(v => (
+                <option key={v} value={v}>{v}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <div className="table-container" style={{ marginTop: '1rem' }}>
+        <table>
+          <thead>
+            <tr>
+              <th>
+                {yAxis ? `${fieldLabel(yAxis.field)} ↓ / ` : ''}{fieldLabel(xAxis.field)} →
+              </th>
+              {xAxis.values.map(x => (
+                <th key={x} style={{ textAlign: 'center' }}>{x}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {yValues.map(y => (
+              <tr key={y ?? 'single'}>
+                <td style={{ fontWeight: '600' }}>{y ?? metric.label}</td>
+                {xAxis.values.map(x => renderCell(x, y))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ color: '#64748b', marginTop: '0.75rem', fontSize: '0.8rem' }}>
+        Click a cell to open that run.
+      </div>
+    </div>
+  );
+}
+
+export default SweepHeatmap;
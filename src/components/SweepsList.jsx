@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import { useServerEvents, FINAL_STATUSES } from './serverEvents';
+
+function SweepsList({ refreshTrigger, onSweepClick }) {
+  const [sweeps, setSweeps] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const fetchSweeps = async () => {
+      try {
+        const response = await fetch('/api/sweeps');
+        const data = await response.json();
+        setSweeps(data);
+      } catch (error) {
+        console.error('Error fetching sweeps:', error);
+      }
+    };
+
+    fetchSweeps();
+  }, [refreshTrigger, reloadKey]);
+
+  // Sweep progress only moves when one of its runs is added or finishes
+  useServerEvents((channel, event) => {
+    if (channel === 'open' || (channel === 'backtest' && (event.status === 'queued' || FINAL_STATUSES.includes(event.status)))) {
+      setReloadKey(prev => prev + 1);
+    }
+  });
+
+  const handleDelete = async (id, e) => {
+    e.stopPropagation();
+    if (!confirm('Delete this sweep and all of its runs?')) {
+      return;
+    }
+
+    try {
+      await fetch(`/api/sweeps/${id}`, { method: 'DELETE' });
+      setReloadKey(prev => prev + 1);
+    } catch (error) {
+      console.error('Error deleting sweep:', error);
+    }
+  };
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return '-';
+    return new Date(timestamp * 1000).toLocaleString('en-AU');
+  };
+
+  // Sweeps are optional - keep the runs view uncluttered until one exists
+  if (sweeps.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="card">
+      <h2>Parameter Sweeps</h2>
+
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Asset</th>
+              <th>Varies</th>
+              <th>Progress</th>
+              <th>Status</th>
+              <th>Created</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sweeps.map(sweep => {
+              const finished = sweep.completed_runs + sweep.failed_runs;
+              return (
+                <tr key={sweep.id} onClick={() => onSweepClick(sweep.id)}>
+                  <td>{sweep.name}</td>
+                  <td>{sweep.asset}</td>
+                  <td style={{ fontSize: '0.875rem' }}>{Object.keys(sweep.grid).join(' × ')}</td>
+                  <td>
+                    {finished}/{sweep.total_runs}
+                    <div className="progress-bar">
+                      <div
+                        className="progress-fill"
+                        style={{ width: `${sweep.total_runs ? (finished / sweep.total_runs) * 100 : 0}%` }}
+                      />
+                    </div>
+                  </td>
+                  <td>
+                    <span className={`status-badge status-${sweep.status}`}>{sweep.status}</span>
+                  </td>
+                  <td style={{ fontSize: '0.875rem' }}>{formatDate(sweep.created_at)}</td>
+                  <td onClick={(e) => e.stopPropagation()}>
+                    <button
+                      className="btn btn-sm btn-danger"
+                      onClick={(e) => handleDelete(sweep.id, e)}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default SweepsList;
@@ -0,0 +1,173 @@
+/**
+ * Tunable detection and simulation parameters shown in the config form and run detail
+ * Keys match the createBacktest schema and parameters_json
+ */
+export const RUN_PARAMETER_FIELDS = [
+  { key: 'targetTickInterval', label: 'Tick Interval', unit: 's', step: '1' },
+  { key: 'maxPairingDeltaSeconds', label: 'Max Pairing Delta', unit: 's', step: '0.5' },
+  { key: 'spreadProxy', label: 'Spread Proxy (per side)', unit: '', step: '0.0005' },
+  { key: 'minWindowDuration', label: 'Min Window Duration', unit: 's', step: '1' },
+  { key: 'minTickCount', label: 'Min Tick Count', unit: '', step: '1' },
+  { key: 'postWindowSeconds', label: 'Post-Window Series', unit: 's', step: '60' },
+  { key: 'bankroll', label: 'Bankroll ($)', unit: '', step: '1000' },
+  { key: 'sizingBankrollPct', label: 'Bankroll per Trade', unit: '%', step: '1' },
+  { key: 'sizingReferenceEdge', label: 'Reference Edge', unit: '', step: '0.005' },
+  { key: 'sizingMaxMultiple', label: 'Max Size Multiple', unit: 'x', step: '0.5' },
+  { key: 'kellyFraction', label: 'Kelly Fraction', unit: '', step: '0.05' },
+  { key: 'kellyWinProbability', label: 'Kelly Win Probability', unit: '', step: '0.01' },
+  { key: 'kellyLossFraction', label: 'Kelly Loss on Failed Hedge', unit: '', step: '0.05' },
+  { key: 'sizingDepthPct', label: 'Depth Cap', unit: '%', step: '5' },
+  { key: 'latencySeconds', label: 'Latency', unit: 's', step: '0.1' },
+  { key: 'minFillTimeSeconds', label: 'Min Fill Time', unit: 's', step: '0.5' },
+  { key: 'feeBps', label: 'Flat Fee', unit: ' bps', step: '1' },
+  { key: 'feeCurveRate', label: 'Fee Curve Rate', unit: '', step: '0.01' },
+  { key: 'feeCurveExponent', label: 'Fee Curve Exponent', unit: '', step: '0.5' },
+  { key: 'liquidityLevelSize', label: 'Liquidity per Level', unit: ' shares', step: '100' },
+  { key: 'liquidityLevelStep', label: 'Liquidity Level Step', unit: '', step: '0.001' },
+  { key: 'liquidityLevels', label: 'Liquidity Levels', unit: '', step: '1' },
+  { key: 'legDelaySeconds', label: 'Second Leg Delay', unit: 's', step: '0.1' },
+  { key: 'legPriceTolerance', label: 'Leg Price Tolerance', unit: '', step: '0.001' },
+  { key: 'exitBidThreshold', label: 'Exit Bid Threshold', unit: '', step: '0.005' },
+  { key: 'exitAfterSeconds', label: 'Exit After', unit: 's', step: '30' },
+  { key: 'monteCarloIterations', label: 'Monte Carlo Iterations', unit: '', step: '50' },
+  { key: 'monteCarloSeed', label: 'Monte Carlo Seed', unit: '', step: '1' },
+  { key: 'latencyJitterSeconds', label: 'Latency Jitter', unit: 's', step: '0.05' },
+  { key: 'fillProbability', label: 'Fill Probability', unit: '', step: '0.05' }
+];
+
+/**
+ * Display names for the feeModel choices (see server/services/fee-model.js)
+ */
+export const FEE_MODEL_LABELS = {
+  market: 'Per-market regime',
+  fee_free: 'Fee free',
+  flat: 'Flat bps',
+  price_curve: 'Price curve'
+};
+
+/**
+ * Display names for the sizingPolicy choices (see server/services/position-sizer.js)
+ */
+export const SIZING_POLICY_LABELS = {
+  fixed: 'Fixed trade size',
+  percent_bankroll: '% of bankroll',
+  edge_proportional: 'Edge-proportional',
+  kelly: 'Fractional Kelly',
+  depth_capped: 'Depth-capped'
+};
+
+/**
+ * Display names for the exitPolicy choices (see trade-simulator.js findExit)
+ */
+export const EXIT_POLICY_LABELS = {
+  hold: 'Hold to resolution',
+  bid_threshold: 'Sell at bid threshold',
+  time: 'Time-based exit'
+};
+
+/**
+ * Display names for the latencyDistribution choices (Monte Carlo mode)
+ */
+export const LATENCY_DISTRIBUTION_LABELS = {
+  fixed: 'Fixed',
+  uniform: 'Uniform ± jitter',
+  normal: 'Normal (jitter = std dev)',
+  lognormal: 'Log-normal (jitter = sigma)'
+};
+
+/**
+ * Metric colour per go/no-go status (see server/services/go-no-go.js)
+ * 'marginal' passes on the point value but not across its confidence interval
+ */
+export const GO_NO_GO_STATUS_CLASSES = {
+  pass: 'metric-success',
+  marginal: 'metric-warning',
+  fail: 'metric-danger'
+};
+
+/**
+ * Verdict a completed run was given (see go-no-go.js), by badge label
+ */
+export const VERDICT_LABELS = {
+  go: 'Go',
+  marginal: 'Marginal',
+  no_go: 'No-Go'
+};
+
+/**
+ * Parse the rules a run failed at its verdict
+ */
+export function parseFailedRules(run) {
+  try {
+    return JSON.parse(run?.failed_rules_json || '[]') || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Format a go/no-go metric value or threshold in its rule's unit
+ */
+export function formatRuleValue(value, unit) {
+  if (value === null || value === undefined) return '-';
+  if (unit === '%') return `${value.toFixed(2)}%`;
+  if (unit === 's') return `${value.toFixed(1)}s`;
+  return value.toFixed(2);
+}
+
+/**
+ * Parse a run's parameters_json, tolerating missing or invalid JSON
+ */
+export function parseRunParameters(run) {
+  try {
+    return JSON.parse(run?.parameters_json || '{}') || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Parse a run's metrics_json (portfolio metrics), tolerating missing or invalid JSON
+ */
+export function parseRunMetrics(run) {
+  try {
+    return JSON.parse(run?.metrics_json || '{}') || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Fields a sweep can vary (trade size plus every tunable parameter)
+ */
+export const SWEEP_FIELDS = [
+  { key: 'tradeSize', label: 'Trade Size ($)', unit: '', step: '5' },
+  ...RUN_PARAMETER_FIELDS
+];
+
+/**
+ * Parse sweep values like "5, 10, 20" or a range "start:end:step" (mixable)
+ * Returns null when any part is not a number
+ */
+export function parseSweepValues(text) {
+  const values = [];
+  for (const part of text.split(',').map(p => p.trim()).filter(Boolean)) {
+    const bounds = part.split(':').map(Number);
+    if (bounds.some(Number.isNaN)) return null;
+
+    if (bounds.length === 3 && bounds[2] > 0) {
+      const [start, end, step] = bounds;
+      // Count steps rather than accumulating to avoid float drift (0.1 + 0.2...)
+      const count = Math.floor((end - start) / step + 1e-9);
+      if (count > 1000) return null;
+      for (let i = 0; i <= count; i++) {
+        values.push(Number((start + i * step).toFixed(10)));
+      }
+    } else if (bounds.length === 1) {
+      values.push(bounds[0]);
+    } else {
+      return null;
+    }
+  }
+  return [...new Set(values)];
+}
@@ -0,0 +1,61 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Shared connection to the /api/events SSE stream
+ * One EventSource serves every subscribed component (browsers cap open connections per host)
+ */
+const CHANNELS = ['backtest', 'download', 'log'];
+
+const listeners = new Set();
+let source = null;
+
+function dispatch(channel, data) {
+  for (const listener of listeners) {
+    listener(channel, data);
+  }
+}
+
+function connect() {
+  source = new EventSource('/api/events');
+  for (const channel of CHANNELS) {
+    source.addEventListener(channel, (e) => dispatch(channel, JSON.parse(e.data)));
+  }
+  // Fires on first connect and every reconnect - subscribers refetch to catch up on missed events
+  source.addEventListener('open', () => dispatch('open', null));
+}
+
+/**
+ * Subscribe to server events
+ * @param {Function} listener - (channel, data) => void; channel 'open' means (re)connected
+ * @returns {Function} Unsubscribe
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  if (!source) connect();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      source.close();
+      source = null;
+    }
+  };
+}
+
+/**
+ * React hook wrapper around subscribe() - the latest onEvent is always called
+ */
+export function useServerEvents(onEvent) {
+  const handlerRef = useRef(onEvent);
+
+  useEffect(() => {
+    handlerRef.current = onEvent;
+  });
+
+  useEffect(() => subscribe((channel, data) => handlerRef.current(channel, data)), []);
+}
+
+/**
+ * Statuses after which a run or download will not change again on its own
+ */
+export const FINAL_STATUSES = ['completed', 'failed', 'cancelled', 'stopped'];
@@ -0,0 +1,221 @@
+/**
+ * Bitquery Client Test Script
+ *
+ * Runs the Bitquery client against the local mock Bitquery server and checks:
+ * 1. Trades are served per token and time range, oldest first
+ * 2. Pagination follows full pages and stops on a short one
+ * 3. HTTP 429 and connection resets are retried with backoff, up to maxRetries
+ * 4. Quota errors (HTTP 402 or a GraphQL "limit" message) fail fast as QUOTA_EXCEEDED
+ * 5. Other GraphQL errors surface with their message
+ * 6. Events queries return arguments the data mappers can read
+ *
+ * No network access or Bitquery token needed.
+ */
+
+import assert from 'assert';
+import { startMockBitqueryServer } from './mocks/bitquery-server.js';
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const START = '2024-01-01T00:00:00.000Z';
+const START_SEC = Date.parse(START) / 1000;
+const iso = (seconds) => new Date(seconds * 1000).toISOString();
+
+// Scripted trades: token 101 every minute, 202 every 4 minutes, 303 outside the queries
+const UP_TOKEN = '101';
+const DOWN_TOKEN = '202';
+const trades = [{ tokenId: '303', time: START_SEC + 30, price: 0.9, side: 'buy' }];
+for (let minute = 0; minute < 30; minute++) {
+  const time = START_SEC + minute * 60;
+  trades.push({ tokenId: UP_TOKEN, time, price: 0.45, side: 'buy' });
+  if (minute % 4 === 0) trades.push({ tokenId: DOWN_TOKEN, time, price: 0.53, side: 'sell' });
+}
+
+// Unscripted tokens get a generated trade every minute: 1501 over 25 hours
+const GENERATED_TOKEN = 'mock-token-0';
+const GENERATED_END = iso(START_SEC + 25 * 3600);
+
+async function run() {
+  const mock = await startMockBitqueryServer({ trades });
+
+  // The client reads its endpoint and token once, on import
+  process.env.BITQUERY_STREAMING_ENDPOINT = mock.url;
+  process.env.BITQUERY_OAUTH_TOKEN = 'mock-token';
+  process.env.DATA_PROVIDER = 'live';
+  const { default: bitqueryClient } = await import('./lib/bitquery-client.js');
+  const { ORDER_FILLED_QUERY, parseOrderFilledArgs } = await import('./config/bitquery-queries.js');
+  const { transformOrderFilledToSnapshot } = await import('./lib/data-mappers.js');
+  bitqueryClient.baseDelay = 5; // Keep the backoff short
+
+  let passed = 0;
+  const check = (name, fn) => {
+    fn();
+    passed++;
+    log(`✓ ${name}`, 'green');
+  };
+
+  // Outcome of fn, with the requests it made and the client stats it added
+  const attempt = async (fn) => {
+    const before = mock.requests.length;
+    const stats = { ...bitqueryClient.stats };
+    const outcome = { result: null, error: null };
+    try {
+      outcome.result = await fn();
+    } catch (error) {
+      outcome.error = error;
+    }
+    outcome.requests = mock.requests.slice(before);
+    outcome.added = (key) => bitqueryClient.stats[key] - stats[key];
+    return outcome;
+  };
+
+  const fetchTrades = () => bitqueryClient.queryPolymarketTradesByTokens(START, iso(START_SEC + 600), [UP_TOKEN], 100);
+
+  try {
+    log('\nTrades', 'cyan');
+
+    const filtered = await attempt(() =>
+      bitqueryClient.queryPolymarketTradesByTokens(START, iso(START_SEC + 540), [UP_TOKEN, DOWN_TOKEN]));
+    check('serves the requested tokens within the time range, oldest first', () => {
+      assert.ifError(filtered.error);
+      assert.strictEqual(filtered.result.length, 10 + 3);
+      assert.ok(filtered.result.every(row => [UP_TOKEN, DOWN_TOKEN].includes(row.Trade.Ids[0])));
+      const times = filtered.result.map(row => Date.parse(row.Block.Time) / 1000);
+      assert.ok(times.every(time => time >= START_SEC && time <= START_SEC + 540));
+      assert.deepStrictEqual(times, [...times].sort((a, b) => a - b));
+    });
+    check('sends the bearer token', () => {
+      assert.strictEqual(filtered.requests[0].authorization, 'Bearer mock-token');
+    });
+
+    const paged = await attempt(() =>
+      bitqueryClient.queryAllPolymarketTradesByTokens(START, GENERATED_END, [GENERATED_TOKEN]));
+    check('paginates across full pages', () => {
+      assert.ifError(paged.error);
+      assert.strictEqual(paged.result.length, 1501);
+      assert.deepStrictEqual(paged.requests.map(r => r.offset), [0, 1000]);
+      assert.strictEqual(new Set(paged.result.map(row => row.Block.Time)).size, 1501);
+    });
+
+    mock.fail('partial_page');
+    const partial = await attempt(() =>
+      bitqueryClient.queryAllPolymarketTradesByTokens(START, GENERATED_END, [GENERATED_TOKEN]));
+    check('a short page ends pagination', () => {
+      assert.ifError(partial.error);
+      assert.strictEqual(partial.requests.length, 1);
+      assert.strictEqual(partial.result.length, 500);
+    });
+
+    log('\nRetries', 'cyan');
+
+    mock.fail('rate_limit', 'rate_limit');
+    const limited = await attempt(fetchTrades);
+    check('retries HTTP 429 with backoff', () => {
+      assert.ifError(limited.error);
+      assert.strictEqual(limited.result.length, 11); // both ends included
+      assert.deepStrictEqual(limited.requests.map(r => r.failure), ['rate_limit', 'rate_limit', null]);
+    });
+
+    mock.fail(...Array(bitqueryClient.maxRetries + 1).fill('rate_limit'));
+    const exhausted = await attempt(fetchTrades);
+    check('gives up after maxRetries', () => {
+      assert.ok(exhausted.error, 'expected the query to fail');
+      assert.match(exhausted.error.message, /Too many requests/);
+      assert.strictEqual(exhausted.requests.length, bitqueryClient.maxRetries + 1);
+    });
+
+    mock.fail('network');
+    const reset = await attempt(fetchTrades);
+    check('retries a connection reset', () => {
+      assert.ifError(reset.error);
+      assert.strictEqual(reset.result.length, 11);
+      assert.strictEqual(reset.requests.length, 2);
+      assert.strictEqual(reset.added('networkErrors'), 1);
+    });
+
+    log('\nQuota and query errors', 'cyan');
+
+    mock.fail('quota_exceeded');
+    const payment = await attempt(fetchTrades);
+    check('HTTP 402 fails fast as QUOTA_EXCEEDED', () => {
+      assert.strictEqual(payment.error?.code, 'QUOTA_EXCEEDED');
+      assert.strictEqual(payment.error.status, 402);
+      assert.strictEqual(payment.requests.length, 1);
+      assert.strictEqual(payment.added('quotaErrors'), 1);
+    });
+
+    mock.fail('quota_message');
+    const pointsLimit = await attempt(fetchTrades);
+    check('a GraphQL points limit error is QUOTA_EXCEEDED', () => {
+      assert.strictEqual(pointsLimit.error?.code, 'QUOTA_EXCEEDED');
+      assert.match(pointsLimit.error.message, /Points limit exceeded/);
+      assert.strictEqual(pointsLimit.requests.length, 1);
+    });
+
+    mock.fail('graphql_error');
+    const invalid = await attempt(fetchTrades);
+    check('other GraphQL errors surface without retry', () => {
+      assert.ok(invalid.error, 'expected the query to fail');
+      assert.strictEqual(invalid.error.code, undefined);
+      assert.match(invalid.error.message, /^Bitquery GraphQL error: Cannot query field/);
+      assert.strictEqual(invalid.requests.length, 1);
+    });
+
+    const healthy = await bitqueryClient.healthCheck();
+    mock.fail('quota_exceeded');
+    const exhaustedQuota = await bitqueryClient.healthCheck();
+    check('health check reports healthy and quota_exceeded', () => {
+      assert.strictEqual(healthy.status, 'healthy');
+      assert.strictEqual(exhaustedQuota.status, 'quota_exceeded');
+    });
+
+    log('\nEvents', 'cyan');
+
+    const prepared = await attempt(() =>
+      bitqueryClient.queryConditionPreparationEvents(START, iso(START_SEC + 3600)));
+    check('serves ConditionPreparation events', () => {
+      assert.ifError(prepared.error);
+      assert.strictEqual(prepared.result.length, 13); // every 5 minutes, both ends included
+      const args = parseOrderFilledArgs(prepared.result[0].Arguments);
+      assert.strictEqual(args.outcomeSlotCount, 2);
+      assert.ok(args.questionId.startsWith('0xquestion'));
+    });
+
+    const conditionId = '0xmockcondition';
+    const filled = await attempt(() => bitqueryClient.executeQuery(ORDER_FILLED_QUERY, {
+      conditionId,
+      startTime: START,
+      endTime: iso(START_SEC + 3600),
+      limit: 5
+    }));
+    check('OrderFilled events map to priced snapshots', () => {
+      assert.ifError(filled.error);
+      const events = filled.result.EVM.Events;
+      assert.strictEqual(events.length, 5);
+      const snapshots = events.map(event =>
+        transformOrderFilledToSnapshot(event, conditionId, { 'mock-token-0': 'UP', 'mock-token-1': 'DOWN' }));
+      assert.ok(snapshots.every(s => s && s.market_id === conditionId));
+      assert.ok(snapshots.every(s => s.mid > 0.1 && s.mid < 0.9));
+      assert.deepStrictEqual(new Set(snapshots.map(s => s.side)), new Set(['UP', 'DOWN']));
+    });
+
+    log(`\nAll ${passed} checks passed`, 'green');
+  } finally {
+    await mock.close();
+  }
+}
+
+run().catch(error => {
+  log(`✗ ${error.message}`, 'red');
+  console.error(error);
+  process.exit(1);
+});
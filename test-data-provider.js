@@ -0,0 +1,192 @@
+/**
+ * Data Provider Test Script
+ *
+ * Records a download against the local mock CLOB/Gamma and Bitquery servers, then
+ * replays it offline and checks:
+ * 1. Recording saves Gamma, CLOB and Bitquery fixtures into the fixture directory
+ * 2. With the mocks stopped, the same download in fixture mode produces the same
+ *    markets and snapshots (one market priced from CLOB history, one from Bitquery trades)
+ * 3. A request that was never recorded fails with FIXTURE_MISSING
+ *
+ * Uses a throwaway SQLite database and fixture directory - no network access needed.
+ */
+
+import assert from 'assert';
+import axios from 'axios';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockClobServer } from './mocks/clob-server.js';
+import { startMockBitqueryServer } from './mocks/bitquery-server.js';
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const START = 1717200000; // 2024-06-01T00:00:00Z
+const END = START + 2 * 3600;
+const iso = (seconds) => new Date(seconds * 1000).toISOString();
+
+/**
+ * A closed 15 minute BTC market as Gamma lists it
+ */
+function gammaMarket(conditionId, tokenIds, offsetSeconds) {
+  return {
+    conditionId,
+    question: `Bitcoin Up or Down - 15 min (${conditionId})`,
+    clobTokenIds: JSON.stringify(tokenIds),
+    startDate: iso(START + offsetSeconds),
+    endDate: iso(START + offsetSeconds + 900),
+    closed: true,
+    outcomePrices: '["1", "0"]',
+    umaResolutionStatus: 'resolved'
+  };
+}
+
+// CLOB history for one market's tokens every minute; the other has none and falls back to Bitquery
+const history = {};
+for (const [tokenId, base] of [['clob-up', 0.48], ['clob-down', 0.5]]) {
+  history[tokenId] = [];
+  for (let t = START; t <= END; t += 60) {
+    history[tokenId].push({ t, p: Number((base + 0.02 * Math.sin((t - START) / 600)).toFixed(4)) });
+  }
+}
+
+const MARKETS = [
+  gammaMarket('0xmock-clob', ['clob-up', 'clob-down'], 0),
+  gammaMarket('0xmock-bitquery', ['bq-up', 'bq-down'], 900)
+];
+
+async function run() {
+  const dbPath = path.join(os.tmpdir(), `data-provider-test-${process.pid}.db`);
+  const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-provider-fixtures-'));
+  const clob = await startMockClobServer({ markets: MARKETS, history });
+  const bitquery = await startMockBitqueryServer();
+
+  // Clients read their endpoints once, on import; the mode and fixture directory are read per request
+  process.env.DATABASE_PATH = dbPath;
+  process.env.DATA_FIXTURE_DIR = fixtureDir;
+  process.env.DATA_PROVIDER = 'record';
+  process.env.POLYMARKET_API_BASE = clob.url;
+  process.env.GAMMA_API_BASE = clob.url;
+  process.env.BITQUERY_STREAMING_ENDPOINT = bitquery.url;
+  process.env.BITQUERY_OAUTH_TOKEN = 'mock-token';
+
+  const { default: db } = await import('./server/database/db.js');
+  await import('./server/database/init.js');
+  const { default: dataProvider } = await import('./lib/data-provider.js');
+  const { default: downloadProcessor } = await import('./server/services/download-processor.js');
+
+  let passed = 0;
+  const check = (name, fn) => {
+    fn();
+    passed++;
+    log(`✓ ${name}`, 'green');
+  };
+
+  const download = async (downloadId) => {
+    db.prepare(`
+      INSERT INTO data_downloads (id, asset, period, status, start_time, end_time, created_at)
+      VALUES (?, 'BTC', 'custom', 'queued', ?, ?, ?)
+    `).run(downloadId, START, END, Math.floor(Date.now() / 1000));
+    await downloadProcessor.processDownload(downloadId);
+    return {
+      status: db.prepare('SELECT status FROM data_downloads WHERE id = ?').get(downloadId).status,
+      markets: db.prepare(`
+        SELECT market_id, question, asset, timeframe, start_time, end_time, status, fee_regime,
+               maker_fee_bps, taker_fee_bps, clob_token_ids, resolution_status, winning_outcome,
+               resolved_time, disputed
+        FROM downloaded_markets WHERE download_id = ? ORDER BY market_id
+      `).all(downloadId),
+      snapshots: db.prepare(`
+        SELECT market_id, timestamp, side, outcome_index, outcome_label, mid, last, is_tradable
+        FROM downloaded_snapshots WHERE download_id = ? ORDER BY market_id, timestamp, side
+      `).all(downloadId)
+    };
+  };
+  const countSnapshots = (snapshots, marketId) => snapshots.filter(s => s.market_id === marketId).length;
+  const fixtureCount = (service) => {
+    const dir = path.join(fixtureDir, service);
+    return fs.existsSync(dir) ? fs.readdirSync(dir).length : 0;
+  };
+
+  let mocksRunning = true;
+  try {
+    log('\nRecord', 'cyan');
+
+    const recorded = await download('recorded');
+    check('downloads both markets from the mocks', () => {
+      assert.strictEqual(recorded.status, 'completed');
+      assert.deepStrictEqual(recorded.markets.map(m => m.market_id), ['0xmock-bitquery', '0xmock-clob']);
+      assert.ok(countSnapshots(recorded.snapshots, '0xmock-clob') > 0, 'no snapshots from CLOB history');
+      assert.ok(countSnapshots(recorded.snapshots, '0xmock-bitquery') > 0, 'no snapshots from Bitquery trades');
+      assert.ok(bitquery.requests.length > 0, 'Bitquery fallback never queried');
+    });
+    check('saves Gamma, CLOB and Bitquery fixtures', () => {
+      for (const service of ['gamma', 'clob', 'bitquery']) {
+        assert.ok(fixtureCount(service) > 0, `no ${service} fixtures in ${fixtureDir}`);
+      }
+    });
+
+    // Otherwise the replay would copy the recorded snapshots instead of requesting them
+    db.prepare('DELETE FROM downloaded_snapshots WHERE download_id = ?').run('recorded');
+    db.prepare('DELETE FROM downloaded_markets WHERE download_id = ?').run('recorded');
+    db.prepare('DELETE FROM data_downloads WHERE id = ?').run('recorded');
+
+    log('\nReplay (mocks stopped)', 'cyan');
+
+    await clob.close();
+    await bitquery.close();
+    mocksRunning = false;
+    process.env.DATA_PROVIDER = 'fixture';
+
+    const replayed = await download('replayed');
+    check('replays the download with no network access', () => {
+      assert.ok(dataProvider.isOffline);
+      assert.strictEqual(replayed.status, 'completed');
+    });
+    check('replays the same markets', () => {
+      assert.deepStrictEqual(replayed.markets, recorded.markets);
+    });
+    check('replays the same snapshots', () => {
+      assert.deepStrictEqual(replayed.snapshots, recorded.snapshots);
+    });
+
+    log('\nMissing fixtures', 'cyan');
+
+    const missing = await dataProvider.get('clob', axios.create(), `${clob.url}/prices-history`, {
+      market: 'never-recorded',
+      interval: 'max',
+      fidelity: 60
+    }).then(() => null, error => error);
+    check('fails a request that was never recorded with FIXTURE_MISSING', () => {
+      assert.ok(missing, 'resolved without a fixture');
+      assert.strictEqual(missing.code, 'FIXTURE_MISSING');
+    });
+
+    log(`\nAll ${passed} checks passed`, 'green');
+  } finally {
+    if (mocksRunning) {
+      await clob.close();
+      await bitquery.close();
+    }
+    db.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${dbPath}${suffix}`, { force: true });
+    }
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  }
+}
+
+run().catch(error => {
+  log(`✗ ${error.message}`, 'red');
+  console.error(error);
+  process.exit(1);
+});
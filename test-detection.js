@@ -0,0 +1,188 @@
+/**
+ * Window Detection Test Script
+ *
+ * Checks that windowDetector's cursor pairing and streaming stitching give exactly the
+ * output of the linear-scan pipeline it replaced (every anchor scanning every tick, the
+ * whole priced grid built before stitching):
+ * 1. A day of seeded synthetic 15 minute markets (gaps, stale legs, halts), per market
+ *    as backtests run and as one stream across market boundaries
+ * 2. The same day with ±2 seconds of tick jitter, so anchors fall between and equidistant
+ *    from ticks, and under tighter pairing and longer minimum windows
+ * 3. Every golden case's snapshots with its own parameters (book prices, fees, exits)
+ *
+ * Uses a throwaway SQLite database - no server or network access needed.
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GOLDEN_CASES } from './golden/cases.js';
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const START = 1700000100; // aligned to a 15 minute boundary
+
+async function run() {
+  const dbPath = path.join(os.tmpdir(), `detection-test-${process.pid}.db`);
+  process.env.DATABASE_PATH = dbPath;
+
+  // Imported after the env is set so they pick up the test database
+  const { default: db } = await import('./server/database/db.js');
+  const { default: windowDetector, DEFAULT_DETECTION_PARAMS } = await import('./server/services/window-detector.js');
+  const { default: generator } = await import('./server/services/synthetic-market-generator.js');
+  const { getOutcomeIndex } = await import('./lib/data-mappers.js');
+  const { createRandom } = await import('./server/services/monte-carlo.js');
+
+  /**
+   * The pipeline detectWindows replaced, kept as the reference output
+   */
+  const referenceDetectWindows = (snapshots, analysisStart, analysisEnd, params = {}) => {
+    const config = { ...DEFAULT_DETECTION_PARAMS, ...params };
+    const maxDelta = config.maxPairingDeltaSeconds;
+    const byTime = (a, b) => a.timestamp - b.timestamp;
+    const upTicks = snapshots.filter(s => getOutcomeIndex(s) === 0).sort(byTime);
+    const downTicks = snapshots.filter(s => getOutcomeIndex(s) === 1).sort(byTime);
+
+    // Linear scan of every tick, earlier timestamp on ties
+    const findClosestTick = (anchor, ticks) => {
+      let closest = null;
+      let minDistance = Infinity;
+      for (const tick of ticks) {
+        const distance = Math.abs(tick.timestamp - anchor);
+        if (distance <= maxDelta && (distance < minDistance || (distance === minDistance && tick.timestamp < closest.timestamp))) {
+          closest = tick;
+          minDistance = distance;
+        }
+      }
+      return closest;
+    };
+
+    const priced = [];
+    for (let anchor = analysisStart; anchor < analysisEnd; anchor += config.targetTickInterval) {
+      const pairedTick = windowDetector.pairTick(anchor, findClosestTick(anchor, upTicks), findClosestTick(anchor, downTicks), maxDelta);
+      priced.push(windowDetector.priceTick(pairedTick, config.spreadProxy, config.priceSource));
+    }
+
+    const rawWindows = [];
+    let run = [];
+    for (const tick of [...priced, null]) {
+      if (tick?.isValid && tick.isArbitrageOpportunity) {
+        run.push(tick);
+      } else if (run.length > 0) {
+        const last = run[run.length - 1];
+        rawWindows.push({
+          ticks: run,
+          startTime: run[0].anchor,
+          startCombinedPrice: run[0].combinedPrice,
+          endTime: last.anchor,
+          endCombinedPrice: last.combinedPrice,
+          duration: last.anchor - run[0].anchor,
+          tickCount: run.length
+        });
+        run = [];
+      }
+    }
+
+    const windows = windowDetector.validateWindows(rawWindows, config);
+    const indexByAnchor = new Map(priced.map((tick, i) => [tick.anchor, i]));
+    for (const window of windows) {
+      const next = indexByAnchor.get(window.endTime) + 1;
+      let last = next;
+      while (last < priced.length && priced[last].anchor <= window.endTime + config.postWindowSeconds) {
+        last++;
+      }
+      window.followingTicks = priced.slice(next, last);
+    }
+
+    const totalPairedTicks = priced.filter(tick => tick.isValid).length;
+    return {
+      windows,
+      stats: windowDetector.calculateStats(totalPairedTicks, windows, analysisStart, analysisEnd, config.targetTickInterval)
+    };
+  };
+
+  let passed = 0;
+  const check = (name, fn) => {
+    fn();
+    passed++;
+    log(`✓ ${name}`, 'green');
+  };
+
+  /**
+   * Detection against the reference for each market's snapshots over its own range
+   * @returns {number} Windows detected
+   */
+  const compareByMarket = (markets, snapshots, params = {}) => {
+    let windowCount = 0;
+    for (const market of markets) {
+      const marketSnapshots = snapshots.filter(s => s.market_id === market.market_id);
+      const expected = referenceDetectWindows(marketSnapshots, market.start_time, market.end_time, params);
+      const actual = windowDetector.detectWindows(marketSnapshots, market.start_time, market.end_time, params);
+      assert.deepStrictEqual(actual, expected, `${market.market_id} differs from the reference`);
+      windowCount += actual.windows.length;
+    }
+    return windowCount;
+  };
+
+  try {
+    log('\nSynthetic day', 'cyan');
+
+    const { markets, snapshots, startTime, endTime } = generator.generate({
+      seed: 25,
+      startTime: START,
+      durationHours: 24,
+      gapsPerHour: 1,
+      staleLegsPerHour: 1,
+      haltsPerHour: 1
+    });
+
+    check('matches the reference per market', () => {
+      assert.ok(compareByMarket(markets, snapshots) > 0, 'no windows detected - the comparison proves nothing');
+    });
+    check('matches the reference as one stream across markets', () => {
+      const expected = referenceDetectWindows(snapshots, startTime, endTime);
+      assert.deepStrictEqual(windowDetector.detectWindows(snapshots, startTime, endTime), expected);
+    });
+
+    const random = createRandom(25);
+    const jittered = snapshots.map(s => ({ ...s, timestamp: s.timestamp + Math.floor(random() * 5) - 2 }));
+    check('matches the reference with jittered tick times', () => {
+      assert.ok(compareByMarket(markets, jittered) > 0, 'no windows detected - the comparison proves nothing');
+    });
+    check('matches the reference with tighter pairing and longer windows', () => {
+      compareByMarket(markets, jittered, { maxPairingDeltaSeconds: 1, minTickCount: 4, spreadProxy: 0 });
+    });
+
+    log('\nGolden cases', 'cyan');
+
+    for (const goldenCase of GOLDEN_CASES) {
+      const built = goldenCase.build({ generator });
+      check(`matches the reference on ${goldenCase.name}`, () => {
+        compareByMarket(built.markets, built.snapshots, goldenCase.params);
+      });
+    }
+
+    log(`\nAll ${passed} checks passed`, 'green');
+  } finally {
+    db.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${dbPath}${suffix}`, { force: true });
+    }
+  }
+}
+
+run().catch(error => {
+  log(`✗ ${error.message}`, 'red');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+/**
+ * Fee Settings Test Script
+ *
+ * Creates runs the way POST /api/backtests and POST /api/sweeps do and checks the fee
+ * settings reach the simulated trades:
+ * 1. A run with only feeBps is stored as a flat fee and charged it
+ * 2. A run on the per-market regime (fee-free synthetic markets) is charged nothing
+ * 3. feeBps alongside a fee model that never charges it is rejected, not ignored
+ *
+ * Uses a throwaway SQLite database - no server or network access needed.
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+async function run() {
+  const dbPath = path.join(os.tmpdir(), `fees-test-${process.pid}.db`);
+  process.env.DATABASE_PATH = dbPath;
+
+  // Imported after the env is set so they pick up the test database
+  const { default: db } = await import('./server/database/db.js');
+  await import('./server/database/init.js');
+  const { default: generator } = await import('./server/services/synthetic-market-generator.js');
+  const { default: backtestFactory } = await import('./server/services/backtest-factory.js');
+  const { default: backtestProcessor } = await import('./server/services/backtest-processor.js');
+  const { default: analysisPool } = await import('./server/services/worker-pool.js');
+  const { schemas } = await import('./server/middleware/validation.js');
+
+  let passed = 0;
+  const check = async (name, fn) => {
+    await fn();
+    passed++;
+    log(`✓ ${name}`, 'green');
+  };
+
+  const download = generator.createDownload({ seed: 42, startTime: 1700000100, durationHours: 12 });
+  const base = { asset: 'BTC', timeframe: '15min', period: '30d', tradeSize: 25, dataSource: 'download', downloadId: download.downloadId };
+
+  /**
+   * Validate, create and process a run as the backtests route and job runner do
+   * @returns {Object} { parameters, fees, trades }
+   */
+  const processRun = async (body) => {
+    const { value, error } = schemas.createBacktest.validate(body);
+    if (error) throw error;
+    const { runId } = backtestFactory.createRun(value, backtestFactory.resolveDataRange(value));
+    await backtestProcessor.processBacktest(runId);
+
+    const row = db.prepare('SELECT status, parameters_json FROM backtests WHERE id = ?').get(runId);
+    assert.strictEqual(row.status, 'completed');
+    const totals = db.prepare('SELECT COUNT(*) as trades, COALESCE(SUM(fees), 0) as fees FROM trades_sim WHERE run_id = ?').get(runId);
+    return { parameters: JSON.parse(row.parameters_json), ...totals };
+  };
+
+  try {
+    log('\nRun creation', 'cyan');
+
+    const flat = await processRun({ ...base, feeBps: 50 });
+    await check('stores a run with only feeBps as a flat fee', () => {
+      assert.strictEqual(flat.parameters.feeModel, 'flat');
+      assert.strictEqual(flat.parameters.feeBps, 50);
+    });
+    await check('charges the flat fee on its trades', () => {
+      assert.ok(flat.trades > 0, 'no trades simulated - the check proves nothing');
+      assert.ok(flat.fees > 0, `fees ${flat.fees}`);
+    });
+
+    const market = await processRun(base);
+    await check('charges nothing on fee-free markets under the per-market regime', () => {
+      assert.strictEqual(market.parameters.feeModel, 'market');
+      assert.strictEqual(market.trades, flat.trades);
+      assert.strictEqual(market.fees, 0);
+    });
+
+    log('\nValidation', 'cyan');
+
+    await check('rejects feeBps with a fee model that never charges it', () => {
+      for (const feeModel of ['market', 'fee_free', 'price_curve']) {
+        const { error } = schemas.createBacktest.validate({ ...base, feeModel, feeBps: 50 });
+        assert.strictEqual(error?.message, 'Flat fee only applies with the flat fee model');
+      }
+      assert.strictEqual(schemas.createBacktest.validate({ ...base, feeModel: 'flat', feeBps: 50 }).error, undefined);
+    });
+    await check('rejects a feeBps sweep axis with a fee model that never charges it', () => {
+      const { error } = schemas.createSweep.validate({ ...base, feeModel: 'market', grid: { feeBps: [0, 50] } });
+      assert.strictEqual(error?.message, 'Flat fee only applies with the flat fee model');
+      assert.strictEqual(schemas.createSweep.validate({ ...base, grid: { feeBps: [0, 50] } }).error, undefined);
+      assert.strictEqual(schemas.createSweep.validate({ ...base, feeModel: 'flat', grid: { feeBps: [0, 50] } }).error, undefined);
+    });
+
+    log(`\nAll ${passed} checks passed`, 'green');
+  } finally {
+    await analysisPool.terminate();
+    db.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${dbPath}${suffix}`, { force: true });
+    }
+  }
+}
+
+run().catch(error => {
+  log(`✗ ${error.message}`, 'red');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,196 @@
+/**
+ * Golden-File Regression Test
+ *
+ * Runs each fixed snapshot set in golden/cases.js through the backtest pipeline
+ * in-process - detectWindows -> simulateTrades (the analysis worker's tasks) ->
+ * calculateFinalMetrics - and compares windows, trades and metrics with the
+ * committed golden/<case>.json.
+ *
+ * A detector or simulator change that moves any result fails here; if the change
+ * is intended, regenerate and review the golden diff with the change:
+ *   npm run test:golden:update
+ *
+ * Uses a throwaway SQLite database - no server or network access needed.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { GOLDEN_CASES } from './golden/cases.js';
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const GOLDEN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'golden');
+const UPDATE = process.argv.includes('--update');
+const MAX_DIFFS = 10;
+
+// Tick series are inputs, not results - windows keep their summary fields only
+const DROPPED_KEYS = new Set(['ticks', 'followingTicks', 'windowId']);
+
+/**
+ * Results in a stable, reviewable form: numbers to 12 significant digits (float noise
+ * never shows as a diff), tick series dropped, a trade's window as market@startTime
+ */
+function normalize(value, key = null) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Number(value.toPrecision(12)) : String(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => normalize(item));
+  }
+  if (value && typeof value === 'object') {
+    if (key === 'window') return `${value.market_id}@${value.startTime}`;
+    const result = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (!DROPPED_KEYS.has(k)) result[k] = normalize(v, k);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Paths where actual differs from expected, as 'path: expected -> actual'
+ */
+function diff(expected, actual, at = '', found = []) {
+  if (found.length >= MAX_DIFFS) return found;
+  if (expected && actual && typeof expected === 'object' && typeof actual === 'object'
+    && Array.isArray(expected) === Array.isArray(actual)) {
+    if (Array.isArray(expected) && expected.length !== actual.length) {
+      found.push(`${at}.length: ${expected.length} -> ${actual.length}`);
+    }
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const k of keys) {
+      diff(expected[k], actual[k], Array.isArray(expected) ? `${at}[${k}]` : `${at}.${k}`, found);
+    }
+  } else if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+    found.push(`${at || '(root)'}: ${JSON.stringify(expected)} -> ${JSON.stringify(actual)}`);
+  }
+  return found;
+}
+
+async function run() {
+  const dbPath = path.join(os.tmpdir(), `golden-test-${process.pid}.db`);
+  process.env.DATABASE_PATH = dbPath;
+
+  // Imported after the env is set so they pick up the test database
+  const { default: db } = await import('./server/database/db.js');
+  const { tasks } = await import('./server/services/analysis-worker.js');
+  const { default: backtestProcessor } = await import('./server/services/backtest-processor.js');
+  const { default: generator } = await import('./server/services/synthetic-market-generator.js');
+
+  /**
+   * One case through the pipeline, the way backtest-processor runs a backtest
+   */
+  const runCase = (goldenCase) => {
+    const { markets, snapshots } = goldenCase.build({ generator });
+    const analysisStart = Math.min(...markets.map(m => m.start_time));
+    const analysisEnd = Math.max(...markets.map(m => m.end_time));
+
+    const marketInfo = {};
+    for (const market of markets) {
+      marketInfo[market.market_id] = {
+        fee_regime: market.fee_regime,
+        maker_fee_bps: market.maker_fee_bps,
+        taker_fee_bps: market.taker_fee_bps,
+        end_time: market.end_time,
+        resolution_status: market.resolution_status,
+        winning_outcome: market.winning_outcome,
+        resolved_time: market.resolved_time
+      };
+    }
+
+    const detection = tasks.detectWindows({ snapshots, analysisStart, analysisEnd, params: goldenCase.params });
+    const simulation = tasks.simulateTrades({
+      windows: detection.windows,
+      tradeSize: goldenCase.tradeSize,
+      params: goldenCase.params,
+      context: { markets: marketInfo, analysisStart, analysisEnd }
+    });
+    const metrics = backtestProcessor.calculateFinalMetrics(detection, simulation, analysisStart, analysisEnd);
+
+    // Round-tripped through JSON so the comparison sees exactly what the file holds
+    return JSON.parse(JSON.stringify({
+      case: goldenCase.name,
+      description: goldenCase.description,
+      tradeSize: goldenCase.tradeSize,
+      params: goldenCase.params,
+      input: {
+        markets: markets.length,
+        snapshots: snapshots.length,
+        fingerprint: crypto.createHash('sha1').update(JSON.stringify({ markets, snapshots })).digest('hex')
+      },
+      windows: normalize(detection.windows),
+      trades: normalize(simulation.trades),
+      metrics: normalize(metrics)
+    }));
+  };
+
+  const failed = [];
+
+  try {
+    log(`\nGolden files (${UPDATE ? 'updating' : 'comparing'})`, 'cyan');
+
+    for (const goldenCase of GOLDEN_CASES) {
+      const actual = runCase(goldenCase);
+      const file = path.join(GOLDEN_DIR, `${goldenCase.name}.json`);
+      const summary = `${actual.windows.length} windows, ${actual.trades.length} trades`;
+
+      if (UPDATE) {
+        fs.writeFileSync(file, `${JSON.stringify(actual, null, 2)}\n`);
+        log(`✎ ${goldenCase.name}: wrote ${path.relative(process.cwd(), file)} (${summary})`, 'yellow');
+        continue;
+      }
+
+      if (!fs.existsSync(file)) {
+        failed.push(goldenCase.name);
+        log(`✗ ${goldenCase.name}: no golden file (${file})`, 'red');
+        continue;
+      }
+
+      const expected = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const differences = diff(expected, actual);
+      if (differences.length === 0) {
+        log(`✓ ${goldenCase.name} (${summary})`, 'green');
+        continue;
+      }
+
+      failed.push(goldenCase.name);
+      log(`✗ ${goldenCase.name}`, 'red');
+      if (expected.input?.fingerprint !== actual.input.fingerprint) {
+        log('  input snapshots changed - check golden/cases.js or the synthetic generator first', 'yellow');
+      }
+      for (const line of differences) {
+        log(`  ${line}`);
+      }
+    }
+
+    if (failed.length > 0) {
+      throw new Error(`${failed.length} golden case(s) differ: ${failed.join(', ')} - if intended, run npm run test:golden:update and review the diff`);
+    }
+    log(`\nAll ${GOLDEN_CASES.length} golden cases ${UPDATE ? 'written' : 'match'}`, 'green');
+  } finally {
+    db.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${dbPath}${suffix}`, { force: true });
+    }
+  }
+}
+
+run().catch(error => {
+  log(`✗ ${error.message}`, 'red');
+  console.error(error);
+  process.exit(1);
+});
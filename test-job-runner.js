@@ -0,0 +1,119 @@
+/**
+ * Job Runner Test Script
+ *
+ * Checks restart recovery of the persistent job queue:
+ * 1. A job left 'running' under this process's own workerId (a container restart keeps
+ *    the hostname and pid) is requeued on start, even with a fresh heartbeat
+ * 2. A job that has used up its attempts is failed instead
+ * 3. The requeued job is claimed again and completes
+ * 4. A job this process is running is never recovered from under it
+ *
+ * Uses a throwaway SQLite database and a test job type - no server or network access needed.
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run() {
+  const dbPath = path.join(os.tmpdir(), `job-runner-test-${process.pid}.db`);
+  process.env.DATABASE_PATH = dbPath;
+
+  // Imported after the env is set so they pick up the test database
+  const { default: db } = await import('./server/database/db.js');
+  await import('./server/database/init.js');
+  const { default: jobRunner } = await import('./server/services/job-runner.js');
+
+  let passed = 0;
+  const check = (name, fn) => {
+    fn();
+    passed++;
+    log(`✓ ${name}`, 'green');
+  };
+
+  const now = Math.floor(Date.now() / 1000);
+  const insertRunning = db.prepare(`
+    INSERT INTO jobs (job_id, job_type, status, progress_pct, stage, attempts, worker_id, claimed_at, heartbeat_at, created_at)
+    VALUES (?, 'test', 'running', 40, 'Working', ?, ?, ?, ?, ?)
+  `);
+  const getJob = (jobId) => db.prepare('SELECT * FROM jobs WHERE job_id = ?').get(jobId);
+
+  // Held until released, so a job can be observed while it runs
+  const runs = [];
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  jobRunner.registerHandler('test', async (job) => {
+    runs.push(job);
+    await held;
+  }, { concurrency: 1 });
+
+  try {
+    log('\nRestart recovery', 'cyan');
+
+    insertRunning.run('interrupted', 1, jobRunner.workerId, now, now, now);
+    insertRunning.run('exhausted', 3, jobRunner.workerId, now, now, now - 1);
+    jobRunner.start();
+
+    // Requeued, then claimed straight away by the queue
+    check('requeues a running job that carries this workerId', () => {
+      assert.strictEqual(runs.length, 1, 'left running without being requeued');
+      assert.strictEqual(runs[0].job_id, 'interrupted');
+    });
+    check('fails a job that used up its attempts', () => {
+      const job = getJob('exhausted');
+      assert.strictEqual(job.status, 'failed');
+      assert.match(job.error_message, /Interrupted 3 times/);
+    });
+
+    log('\nActive jobs', 'cyan');
+
+    check('claims the requeued job again', () => {
+      const job = getJob('interrupted');
+      assert.strictEqual(job.status, 'running');
+      assert.strictEqual(job.attempts, 2);
+      assert.strictEqual(job.worker_id, jobRunner.workerId);
+    });
+
+    db.prepare('UPDATE jobs SET heartbeat_at = 0 WHERE job_id = ?').run('interrupted');
+    jobRunner.recoverStaleJobs();
+    jobRunner.recoverStaleJobs({ onStart: true });
+    check('never recovers a job this process is running', () => {
+      assert.strictEqual(getJob('interrupted').status, 'running');
+      assert.strictEqual(runs.length, 1);
+    });
+
+    release();
+    await sleep(50);
+    check('the requeued job completes', () => {
+      assert.strictEqual(getJob('interrupted').status, 'completed');
+    });
+
+    log(`\nAll ${passed} checks passed`, 'green');
+  } finally {
+    jobRunner.stop();
+    db.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${dbPath}${suffix}`, { force: true });
+    }
+  }
+}
+
+run().catch(error => {
+  log(`✗ ${error.message}`, 'red');
+  console.error(error);
+  process.exit(1);
+});
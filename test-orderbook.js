@@ -0,0 +1,185 @@
+/**
+ * Order Book Ingestion Test Script
+ *
+ * Runs the order book collector against the local mock CLOB server and checks:
+ * 1. Books are normalized to top-N levels, best price first
+ * 2. Snapshots are stored per token and linked to the download
+ * 3. Tokens without a book are counted as errors, not fatal
+ * 4. Scheduled collection polls until stopped
+ * 5. The detector prices windows from recorded best asks (priceSource 'book')
+ *
+ * Uses a throwaway SQLite database - no server or network access needed.
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockClobServer } from './mocks/clob-server.js';
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const DOWNLOAD_ID = '22222222-2222-4222-8222-222222222222';
+const MARKET_ID = '0xorderbookmarket';
+const UP_TOKEN = '1111111111111111111111';
+const DOWN_TOKEN = '2222222222222222222222';
+const START_MS = 1700000000000;
+
+// Asks sum to 0.97 on polls 2-5 (a window) and 1.02 otherwise
+const dislocated = (n) => n >= 2 && n <= 5;
+const books = {
+  [UP_TOKEN]: (n) => ({
+    timestamp: START_MS + n * 5000,
+    bids: [{ price: 0.45, size: 100 }, { price: 0.46, size: 80 }, { price: 0.44, size: 300 }],
+    asks: [
+      { price: dislocated(n) ? 0.47 : 0.50, size: 60 },
+      { price: 0.52, size: 200 },
+      { price: 0.51, size: 150 },
+      { price: 0.53, size: 400 }
+    ]
+  }),
+  [DOWN_TOKEN]: (n) => ({
+    timestamp: START_MS + n * 5000,
+    bids: [{ price: 0.49, size: 120 }],
+    asks: [{ price: dislocated(n) ? 0.50 : 0.52, size: 90 }, { price: 0.55, size: 500 }]
+  }),
+  missing: null
+};
+
+async function run() {
+  const dbPath = path.join(os.tmpdir(), `orderbook-test-${process.pid}.db`);
+  process.env.DATABASE_PATH = dbPath;
+  const mock = await startMockClobServer({ books });
+  process.env.POLYMARKET_API_BASE = mock.url;
+
+  // Imported after the env is set so they pick up the test database and mock CLOB
+  const { default: db } = await import('./server/database/db.js');
+  await import('./server/database/init.js');
+  const { default: orderbookCollector } = await import('./server/services/orderbook-collector.js');
+  const { default: backtestProcessor } = await import('./server/services/backtest-processor.js');
+  const { default: windowDetector } = await import('./server/services/window-detector.js');
+
+  let passed = 0;
+  const check = (name, fn) => {
+    fn();
+    passed++;
+    log(`✓ ${name}`, 'green');
+  };
+
+  try {
+    const startSec = START_MS / 1000;
+    db.prepare(`
+      INSERT INTO data_downloads (id, asset, period, status, progress_pct, stage, start_time, end_time, created_at)
+      VALUES (?, 'BTC', '7d', 'completed', 100, 'Completed', ?, ?, ?)
+    `).run(DOWNLOAD_ID, startSec, startSec + 3600, startSec);
+    db.prepare(`
+      INSERT INTO downloaded_markets (download_id, market_id, question, asset, timeframe, start_time, end_time, status, clob_token_ids)
+      VALUES (?, ?, 'Bitcoin Up or Down - test', 'BTC', '15min', ?, ?, 'active', ?)
+    `).run(DOWNLOAD_ID, MARKET_ID, startSec, startSec + 3600, JSON.stringify([UP_TOKEN, DOWN_TOKEN]));
+
+    log('\nOrder book collector', 'cyan');
+
+    const first = await orderbookCollector.collectOnce(DOWNLOAD_ID, 3);
+    check('collects one book per token', () => {
+      assert.deepStrictEqual(first, { tokens: 2, stored: 2, errors: 0 });
+    });
+
+    const upRow = db.prepare('SELECT * FROM orderbook_snapshots WHERE token_id = ?').get(UP_TOKEN);
+    check('normalizes to top-N levels, best first', () => {
+      assert.strictEqual(upRow.download_id, DOWNLOAD_ID);
+      assert.strictEqual(upRow.outcome_index, 0);
+      assert.strictEqual(upRow.outcome_label, 'UP');
+      assert.strictEqual(upRow.timestamp, startSec);
+      assert.strictEqual(upRow.best_bid, 0.46);
+      assert.strictEqual(upRow.best_ask, 0.50);
+      assert.deepStrictEqual(JSON.parse(upRow.asks_json).map(l => l.price), [0.50, 0.51, 0.52]);
+      assert.deepStrictEqual(JSON.parse(upRow.bids_json).map(l => l.price), [0.46, 0.45, 0.44]);
+      assert.strictEqual(upRow.ask_depth, 60 + 150 + 200);
+    });
+
+    const downRow = db.prepare('SELECT * FROM orderbook_snapshots WHERE token_id = ?').get(DOWN_TOKEN);
+    check('labels the second token as outcome 1', () => {
+      assert.strictEqual(downRow.outcome_index, 1);
+      assert.strictEqual(downRow.outcome_label, 'DOWN');
+    });
+
+    db.prepare(`
+      INSERT INTO downloaded_markets (download_id, market_id, asset, timeframe, start_time, end_time, status, clob_token_ids)
+      VALUES (?, '0xnobook', 'BTC', '15min', ?, ?, 'closed', '["missing"]')
+    `).run(DOWNLOAD_ID, startSec, startSec + 3600);
+    const withMissing = await orderbookCollector.collectOnce(DOWNLOAD_ID, 3);
+    check('counts tokens without a book as errors', () => {
+      assert.deepStrictEqual(withMissing, { tokens: 3, stored: 2, errors: 1 });
+    });
+
+    log('\nScheduled collection', 'cyan');
+
+    orderbookCollector.start(DOWNLOAD_ID, { intervalSeconds: 1, depth: 3, durationMinutes: 1 });
+    await sleep(2500);
+    const status = orderbookCollector.stop(DOWNLOAD_ID);
+    check('polls on the interval until stopped', () => {
+      assert.ok(status.polls >= 2, `expected at least 2 polls, got ${status.polls}`);
+      assert.strictEqual(status.snapshots_stored, status.polls * 2);
+      assert.strictEqual(orderbookCollector.isCollecting(DOWNLOAD_ID), false);
+    });
+
+    log('\nBook-priced window detection', 'cyan');
+
+    // Top up to polls 0-8 so the dislocation (polls 2-5) is recorded whole and closed
+    const countBooks = () => db.prepare('SELECT COUNT(*) as cnt FROM orderbook_snapshots WHERE token_id = ?').get(UP_TOKEN).cnt;
+    while (countBooks() < 9) {
+      await orderbookCollector.collectOnce(DOWNLOAD_ID, 3);
+    }
+    const cnt = countBooks();
+    const run = { id: 'test-run', analysis_start: startSec, analysis_end: startSec + 3600 };
+    const snapshots = backtestProcessor.loadOrderbookSnapshots([DOWNLOAD_ID], run, new Set([MARKET_ID]));
+    check('loads one tick per token and timestamp', () => {
+      assert.strictEqual(snapshots.length, cnt * 2);
+      assert.ok(snapshots.every(s => Number.isFinite(s.best_ask)));
+    });
+
+    const book = windowDetector.detectWindowsByMarket(snapshots, startSec, startSec + 3600, {
+      priceSource: 'book',
+      minTickCount: 3
+    });
+    check('detects the dislocation from best asks', () => {
+      assert.strictEqual(book.windows.length, 1);
+      const [window] = book.windows;
+      assert.strictEqual(window.market_id, MARKET_ID);
+      assert.strictEqual(window.startTime, startSec + 10);
+      assert.strictEqual(window.tickCount, 4);
+      assert.ok(Math.abs(window.minCombinedPrice - 0.97) < 1e-9);
+    });
+
+    const mid = windowDetector.detectWindowsByMarket(snapshots, startSec, startSec + 3600, { minTickCount: 3 });
+    check('mid pricing ignores the recorded asks', () => {
+      assert.ok(mid.windows.every(w => Math.abs(w.minCombinedPrice - 0.97) > 1e-6));
+    });
+
+    log(`\nAll ${passed} checks passed`, 'green');
+  } finally {
+    orderbookCollector.stop(DOWNLOAD_ID);
+    await mock.close();
+    db.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${dbPath}${suffix}`, { force: true });
+    }
+  }
+}
+
+run().catch(error => {
+  log(`✗ ${error.message}`, 'red');
+  console.error(error);
+  process.exit(1);
+});
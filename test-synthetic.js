@@ -0,0 +1,206 @@
+/**
+ * Synthetic Data Test Script
+ *
+ * Generates synthetic markets with planted windows and checks:
+ * 1. Generation is reproducible from its seed
+ * 2. Price paths follow the ground truth (overround outside windows, below 1.00 inside)
+ * 3. Gaps, stale legs and halts show up in the ticks as described
+ * 4. A synthetic download is stored completed, with its ground truth, and kept out of
+ *    the download cache
+ * 5. The detector finds the planted windows (recall and precision), and noisier
+ *    markets cost precision
+ * 6. Filled pairs on planted windows settle at $1 per pair
+ *
+ * Uses a throwaway SQLite database - no server or network access needed.
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const colors = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const START = 1700000100;
+const PARAMS = { seed: 42, startTime: START, durationHours: 12 };
+
+async function run() {
+  const dbPath = path.join(os.tmpdir(), `synthetic-test-${process.pid}.db`);
+  process.env.DATABASE_PATH = dbPath;
+
+  // Imported after the env is set so they pick up the test database
+  const { default: db } = await import('./server/database/db.js');
+  await import('./server/database/init.js');
+  const { default: generator } = await import('./server/services/synthetic-market-generator.js');
+  const { default: backtestProcessor } = await import('./server/services/backtest-processor.js');
+  const { default: downloadProcessor } = await import('./server/services/download-processor.js');
+  const { default: windowDetector, DEFAULT_DETECTION_PARAMS } = await import('./server/services/window-detector.js');
+  const { default: tradeSimulator, FILLED_RESULTS } = await import('./server/services/trade-simulator.js');
+
+  let passed = 0;
+  const check = (name, fn) => {
+    fn();
+    passed++;
+    log(`✓ ${name}`, 'green');
+  };
+
+  try {
+    log('\nGeneration', 'cyan');
+
+    const generated = generator.generate(PARAMS);
+    check('is reproducible from its seed', () => {
+      const again = generator.generate(PARAMS);
+      assert.deepStrictEqual(again.snapshots, generated.snapshots);
+      assert.deepStrictEqual(again.plantedWindows, generated.plantedWindows);
+      assert.notDeepStrictEqual(generator.generate({ ...PARAMS, seed: 43 }).snapshots, generated.snapshots);
+    });
+
+    check('runs 15 minute markets back to back over the period', () => {
+      assert.strictEqual(generated.startTime, 1700000100 - (1700000100 % 900));
+      assert.strictEqual(generated.markets.length, 48);
+      assert.strictEqual(generated.endTime - generated.startTime, 12 * 3600);
+      assert.ok(generated.markets.every(m => m.resolution_status === 'resolved' && [0, 1].includes(m.winning_outcome)));
+      assert.ok(generated.plantedWindows.length >= 10, `only ${generated.plantedWindows.length} windows planted`);
+    });
+
+    // Combined mid per market and grid time (ticks are jittered around the grid)
+    const combined = new Map();
+    for (const s of generated.snapshots) {
+      const key = `${s.market_id}_${Math.round(s.timestamp / 5) * 5}`;
+      combined.set(key, [...(combined.get(key) || []), s]);
+    }
+    const inWindow = (marketId, time) => generated.plantedWindows.some(w =>
+      w.market_id === marketId && time >= w.startTime - 5 && time <= w.endTime + 5);
+
+    // Noise can leave a recovering tick just under 1.00, never under the detector's threshold
+    const threshold = 1 - 2 * DEFAULT_DETECTION_PARAMS.spreadProxy;
+    check('prices stay above the detection threshold outside windows and dip below 1.00 inside', () => {
+      let outside = 0;
+      let outsideBelow = 0;
+      for (const [key, pair] of combined) {
+        if (pair.length !== 2) continue;
+        const [marketId, time] = [key.slice(0, key.lastIndexOf('_')), Number(key.slice(key.lastIndexOf('_') + 1))];
+        if (inWindow(marketId, time)) continue;
+        outside++;
+        if (pair[0].mid + pair[1].mid < threshold) outsideBelow++;
+      }
+      assert.ok(outside > 1000);
+      assert.strictEqual(outsideBelow, 0);
+
+      for (const window of generated.plantedWindows.filter(w => w.impairments.length === 0)) {
+        const pair = combined.get(`${window.market_id}_${window.startTime}`);
+        assert.ok(pair[0].mid + pair[1].mid < 1, `window at ${window.startTime} starts at ${pair[0].mid + pair[1].mid}`);
+      }
+    });
+
+    const impaired = generator.generate({ ...PARAMS, gapsPerHour: 2, staleLegsPerHour: 2, haltsPerHour: 2 });
+    check('gaps, stale legs and halts show in the ticks', () => {
+      const types = new Set(impaired.impairments.map(imp => imp.type));
+      assert.deepStrictEqual([...types].sort(), ['gap', 'halt', 'stale_leg']);
+
+      for (const imp of impaired.impairments) {
+        const ticks = impaired.snapshots.filter(s =>
+          s.market_id === imp.market_id && s.timestamp >= imp.startTime + 1 && s.timestamp < imp.endTime - 1);
+        if (imp.type === 'gap') {
+          assert.strictEqual(ticks.length, 0);
+        } else if (imp.type === 'stale_leg') {
+          assert.ok(ticks.length > 0 && ticks.every(s => s.outcome_index !== imp.leg));
+        } else {
+          assert.ok(ticks.length > 0 && ticks.every(s => s.is_tradable === 0));
+          assert.strictEqual(new Set(ticks.filter(s => s.outcome_index === 0).map(s => s.mid)).size, 1);
+        }
+      }
+    });
+
+    log('\nSynthetic download', 'cyan');
+
+    const download = generator.createDownload(PARAMS);
+    const row = db.prepare('SELECT * FROM data_downloads WHERE id = ?').get(download.downloadId);
+    check('stores a completed synthetic download with its ground truth', () => {
+      assert.strictEqual(row.status, 'completed');
+      assert.strictEqual(row.synthetic, 1);
+      assert.strictEqual(download.snapshotCount, generated.snapshots.length);
+      assert.strictEqual(
+        db.prepare('SELECT COUNT(*) as cnt FROM downloaded_snapshots WHERE download_id = ?').get(download.downloadId).cnt,
+        generated.snapshots.length
+      );
+      assert.deepStrictEqual(generator.getGroundTruth(download.downloadId).plantedWindows, generated.plantedWindows);
+    });
+    check('is kept out of the download cache', () => {
+      assert.strictEqual(downloadProcessor.getExistingCoverage('BTC', row.start_time, row.end_time).size, 0);
+    });
+
+    log('\nDetection against ground truth', 'cyan');
+
+    const runRow = { id: 'synthetic-run', asset: 'BTC', analysis_start: row.start_time, analysis_end: row.end_time };
+    const { markets, snapshots } = backtestProcessor.loadDownloadedMarketData(runRow, download.downloadId);
+    const detection = windowDetector.detectWindowsByMarket(snapshots, row.start_time, row.end_time);
+    const score = generator.scoreDetection(generated.plantedWindows, detection.windows);
+    log(`  recall ${score.recall.toFixed(2)}, precision ${score.precision.toFixed(2)}, ${score.splitWindows} split`);
+    check('finds the planted windows', () => {
+      assert.strictEqual(score.cleanRecall, 1);
+      assert.ok(score.recall >= 0.9, `recall ${score.recall}`);
+      assert.ok(score.precision >= 0.9, `precision ${score.precision}`);
+      assert.ok(Math.abs(score.meanStartOffsetSeconds) <= 5);
+    });
+
+    check('scores a stored run the same way', () => {
+      const insert = db.prepare('INSERT INTO windows (id, run_id, market_id, start_time, end_time) VALUES (?, ?, ?, ?, ?)');
+      detection.windows.forEach((w, i) => insert.run(`w${i}`, runRow.id, w.market_id, w.startTime, w.endTime));
+      const stored = generator.scoreRun(generator.getGroundTruth(download.downloadId), runRow.id);
+      assert.strictEqual(stored.recall, score.recall);
+      assert.strictEqual(stored.precision, score.precision);
+    });
+
+    const noisy = generator.generate({ ...PARAMS, meanCombinedPrice: 1.006, combinedNoise: 0.004 });
+    const noisyScore = generator.scoreDetection(
+      noisy.plantedWindows,
+      windowDetector.detectWindowsByMarket(noisy.snapshots, noisy.startTime, noisy.endTime).windows
+    );
+    log(`  noisy: recall ${noisyScore.recall.toFixed(2)}, precision ${noisyScore.precision.toFixed(2)}`);
+    check('noise near 1.00 shows up as false windows', () => {
+      assert.ok(noisyScore.falsePositives > 0);
+      assert.ok(noisyScore.precision < score.precision);
+    });
+
+    log('\nSimulation against ground truth', 'cyan');
+
+    const marketMap = Object.fromEntries(markets.map(m => [m.market_id, m]));
+    const { trades } = tradeSimulator.simulateTrades(detection.windows, 100, {}, {
+      markets: marketMap,
+      analysisStart: row.start_time,
+      analysisEnd: row.end_time
+    });
+    const filled = trades.filter(t => FILLED_RESULTS.includes(t.result));
+    check('filled pairs on planted windows settle at $1 per pair', () => {
+      assert.ok(filled.length > 0);
+      for (const trade of filled) {
+        assert.ok(inWindow(trade.window.market_id, trade.window.startTime));
+        assert.ok(trade.avgPrice < 1);
+        assert.ok(Math.abs(trade.profit - (trade.filledSize - trade.cost)) < 1e-9);
+      }
+    });
+
+    log(`\nAll ${passed} checks passed`, 'green');
+  } finally {
+    db.close();
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${dbPath}${suffix}`, { force: true });
+    }
+  }
+}
+
+run().catch(error => {
+  log(`✗ ${error.message}`, 'red');
+  console.error(error);
+  process.exit(1);
+});